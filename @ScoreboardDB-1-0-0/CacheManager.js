@@ -1,19 +1,91 @@
-import { ScoreboardStorage } from "./ScoreboardStorage";
+import { ScoreboardStorage } from "./ScoreboardStorage.js";
+import { Query } from "./Query.js";
+import { Hooks } from "./Hooks.js";
 
 /**
  * Cache Management Utility
  * * Acts as a high-speed RAM layer over the physical ScoreboardStorage.
  * Eliminates the lag caused by repetitive JSON.parse() operations
  * by keeping a synchronized copy of the database in memory.
+ * Mirrors the whole ScoreboardStorage API: reads are answered from RAM,
+ * writes go to the scoreboard first, then to RAM.
+ * Secondary indexes on record fields turn lookups by value
+ * (e.g., a player's uuid) into O(1) Map reads.
+ * An optional memory budget evicts the least recently used records,
+ * which are reloaded from the scoreboard on demand.
  */
 export class CacheManager {
     /**
-     * The internal memory (RAM).
+     * The internal memory (RAM): the resident records of each loaded objective.
+     * Each Map is kept in LRU order (least recently used first).
      * Structure: Map<ObjectiveName, Map<RecordID, ParsedData>>
      * @type {Map<string, Map<number, object>>}
      */
     static _memory = new Map();
 
+    /**
+     * Every record ID of the loaded objectives, resident or evicted.
+     * An objective is loaded once it has an entry here.
+     * Structure: Map<ObjectiveName, Set<RecordID>>
+     * @type {Map<string, Set<number>>}
+     */
+    static _ids = new Map();
+
+    /**
+     * Global LRU order of the resident records, across objectives, with their approximate size.
+     * Structure: Map<"<id>@<objective>", {objectiveName, id, bytes}>
+     * @type {Map<string, {objectiveName: string, id: number, bytes: number}>}
+     */
+    static _lru = new Map();
+
+    /**
+     * Approximate size of the resident records of each objective (only measured under a byte budget).
+     * @type {Map<string, number>}
+     */
+    static _bytes = new Map();
+
+    /**
+     * Memory budgets of specific objectives.
+     * @type {Map<string, {maxRecords?: number, maxBytes?: number}>}
+     */
+    static _budgets = new Map();
+
+    /**
+     * Memory budget shared by every objective.
+     * @type {{maxRecords?: number, maxBytes?: number}|null}
+     */
+    static _globalBudget = null;
+
+    /**
+     * Cache statistics of each objective.
+     * @type {Map<string, {hits: number, misses: number, evictions: number}>}
+     */
+    static _stats = new Map();
+
+    /**
+     * The secondary indexes.
+     * Structure: Map<ObjectiveName, Map<Field, {unique, values: Map<Value, Set<RecordID>>, keysById: Map<RecordID, Array<Value>>}>>
+     * 'keysById' remembers what each record was indexed under, so stale keys
+     * are removed even if the caller mutated the cached object in place.
+     * @type {Map<string, Map<string, {unique: boolean, values: Map<any, Set<number>>, keysById: Map<number, Array<any>>}>>}
+     */
+    static _indexes = new Map();
+
+    /**
+     * Indexes of the unique constraints declared by the attached schemas (see DataSchema),
+     * built from the RAM copy on the first check (see ScoreboardStorage._uniqueIndex()).
+     * @type {Map<string, {constraints: Array<string[]>, entries: Array<object>}>}
+     */
+    static _uniqueIndexes = new Map();
+
+    /**
+     * Write-behind state of the objectives using it.
+     * Structure: Map<ObjectiveName, {interval, runId, dirty: Map<RecordID, JSON | null (deleted)>}>
+     * Repeated writes to a record overwrite its 'dirty' entry, so they are flushed once.
+     * @type {Map<string, {interval: number, runId: number, dirty: Map<number, string|null>}>}
+     */
+    static _writeBehind = new Map();
+
     /* =========================
        INTERNAL SYNC
     ========================= */
@@ -24,20 +96,390 @@ export class CacheManager {
      * @param {string} objectiveName - The objective to load.
      */
     static _ensureLoaded(objectiveName) {
-        if (this._memory.has(objectiveName)) {
+        if (this._ids.has(objectiveName)) {
             return; // Already in RAM, do nothing (Instant!)
         }
 
-        const objectiveCache = new Map();
-        
         // Read EVERYTHING from the physical scoreboard (Slow, but only happens once)
-        const physicalRecords = ScoreboardStorage.getElements(objectiveName);
-        
+        this._load(objectiveName, ScoreboardStorage.getElements(objectiveName));
+    }
+
+    /**
+     * Load an objective into RAM over several ticks (see ScoreboardStorage.getElementsAsync()),
+     * so that the first access to a large objective does not freeze the server.
+     * Accessing the objective before the job ends simply loads it synchronously.
+     * @param {string} objectiveName - The objective to load.
+     * @param {object} [options]
+     * @param {number} [options.batchSize] - Records parsed per job step (default ScoreboardStorage.BATCH_SIZE).
+     * @returns {Promise<number> & {cancel: function(): boolean}} The number of records in RAM once loaded.
+     * @throws {TypeError} If the batch size is invalid.
+     * @throws {Error} If the scheduler cannot run jobs (see ScoreboardStorage.useScheduler()).
+     */
+    static loadAsync(objectiveName, options) {
+        const reading = ScoreboardStorage.getElementsAsync(objectiveName, undefined, { batchSize: options?.batchSize });
+
+        const loading = reading.then(physicalRecords => {
+            // Loaded synchronously meanwhile: the RAM copy is already the most recent one
+            if (!this._ids.has(objectiveName)) this._load(objectiveName, physicalRecords);
+            return this._ids.get(objectiveName).size;
+        });
+        loading.cancel = reading.cancel;
+        return loading;
+    }
+
+    /**
+     * Put the records of an objective in RAM and build its indexes.
+     * @param {string} objectiveName
+     * @param {Array<{id: number, data: object}>} physicalRecords - Every record of the objective.
+     */
+    static _load(objectiveName, physicalRecords) {
+        this._ids.set(objectiveName, new Set(physicalRecords.map(r => r.id)));
+        this._memory.set(objectiveName, new Map());
+
+        // Indexes declared before the first load are built now
+        const indexes = this._indexes.get(objectiveName);
+        if (indexes) {
+            for (const field of indexes.keys()) {
+                this._buildIndex(objectiveName, field, physicalRecords);
+            }
+        }
+
+        // Records beyond the memory budget are evicted right away
         for (const record of physicalRecords) {
-            objectiveCache.set(record.id, record.data);
+            this._store(objectiveName, record.id, record.data);
         }
+    }
 
-        this._memory.set(objectiveName, objectiveCache);
+    /**
+     * Read records of a loaded objective, from RAM or (if evicted) from the scoreboard.
+     * Evicted records are fetched in a single scan.
+     * @param {string} objectiveName
+     * @param {Iterable<number>} ids - The IDs to read.
+     * @param {boolean} [keep=false] - Mark the records as recently used and keep the fetched ones in RAM.
+     *   Bulk reads leave it off, so a full scan does not push the hot records out.
+     * @returns {Map<number, object>} The data of the existing records, in the order of 'ids'.
+     */
+    static _read(objectiveName, ids, keep = false) {
+        const resident = this._memory.get(objectiveName);
+        const known = this._ids.get(objectiveName);
+        const stats = this._getStats(objectiveName);
+        const missing = new Set();
+
+        const order = [];
+        for (const id of ids) {
+            if (!known.has(id)) continue;
+            order.push(id);
+
+            if (resident.has(id)) {
+                stats.hits++;
+                if (keep) this._touch(objectiveName, id);
+            } else {
+                missing.add(id);
+            }
+        }
+
+        let fetched = new Map();
+        if (missing.size > 0) {
+            stats.misses += missing.size;
+            fetched = ScoreboardStorage._readMany(objectiveName, missing);
+        }
+
+        const result = new Map();
+        for (const id of order) {
+            const data = resident.has(id) ? resident.get(id) : fetched.get(id);
+            if (data !== undefined) result.set(id, data);
+        }
+
+        if (keep) {
+            for (const [id, data] of fetched.entries()) this._store(objectiveName, id, data);
+        }
+        return result;
+    }
+
+    /**
+     * Read every record of a loaded objective (see _read).
+     * @param {string} objectiveName
+     * @returns {Array<{id: number, data: object}>}
+     */
+    static _readAll(objectiveName) {
+        const results = [];
+        for (const [id, data] of this._read(objectiveName, this._ids.get(objectiveName)).entries()) {
+            results.push({ id, data });
+        }
+        return results;
+    }
+
+    /**
+     * Make a record resident (or replace its resident data), then enforce the memory budgets.
+     * @param {string} objectiveName
+     * @param {number} id
+     * @param {object} data
+     */
+    static _store(objectiveName, id, data) {
+        this._forget(objectiveName, id);
+
+        const bytes = this._measures(objectiveName) ? this._sizeOf(data) : 0;
+        this._memory.get(objectiveName).set(id, data);
+        this._lru.set(`${id}@${objectiveName}`, { objectiveName, id, bytes });
+        this._bytes.set(objectiveName, (this._bytes.get(objectiveName) || 0) + bytes);
+
+        this._enforceBudget(objectiveName);
+    }
+
+    /**
+     * Drop the resident data of a record (its ID and index entries are kept).
+     * @param {string} objectiveName
+     * @param {number} id
+     * @returns {boolean} True if the record was resident.
+     */
+    static _forget(objectiveName, id) {
+        const key = `${id}@${objectiveName}`;
+        const entry = this._lru.get(key);
+        if (!entry) return false;
+
+        this._memory.get(objectiveName).delete(id);
+        this._lru.delete(key);
+        this._bytes.set(objectiveName, this._bytes.get(objectiveName) - entry.bytes);
+        return true;
+    }
+
+    /**
+     * Move a resident record to the most recently used position.
+     * @param {string} objectiveName
+     * @param {number} id
+     */
+    static _touch(objectiveName, id) {
+        const resident = this._memory.get(objectiveName);
+        const data = resident.get(id);
+        resident.delete(id);
+        resident.set(id, data);
+
+        const key = `${id}@${objectiveName}`;
+        const entry = this._lru.get(key);
+        this._lru.delete(key);
+        this._lru.set(key, entry);
+    }
+
+    /**
+     * Remove a loaded objective from RAM entirely (records, IDs and sizes).
+     * @param {string} objectiveName
+     * @returns {boolean} True if the objective was loaded.
+     */
+    static _unload(objectiveName) {
+        const resident = this._memory.get(objectiveName);
+        if (!resident) return false;
+
+        for (const id of resident.keys()) this._lru.delete(`${id}@${objectiveName}`);
+        this._memory.delete(objectiveName);
+        this._ids.delete(objectiveName);
+        this._bytes.delete(objectiveName);
+        this._uniqueIndexes.delete(objectiveName);
+        return true;
+    }
+
+    /* =========================
+       INDEXES
+    ========================= */
+
+    /**
+     * Declare a secondary index on a field of an objective.
+     * Array fields are indexed by each of their elements.
+     * @param {string} objectiveName - The objective to index.
+     * @param {string} field - The field to index (e.g., "uuid").
+     * @param {object} [options]
+     * @param {boolean} [options.unique=false] - Reject writes that would give two records the same value.
+     * @throws {TypeError} If the field is not a valid string.
+     */
+    static defineIndex(objectiveName, field, { unique = false } = {}) {
+        if (typeof field !== "string" || field.trim() === "") {
+            throw new TypeError("[CacheManager] Index field must be a valid string.");
+        }
+
+        if (!this._indexes.has(objectiveName)) {
+            this._indexes.set(objectiveName, new Map());
+        }
+        this._indexes.get(objectiveName).set(field, { unique, values: new Map(), keysById: new Map() });
+
+        if (this._ids.has(objectiveName)) {
+            this._buildIndex(objectiveName, field, this._readAll(objectiveName));
+        }
+    }
+
+    /**
+     * Remove a secondary index.
+     * @param {string} objectiveName
+     * @param {string} field
+     * @returns {boolean} True if the index existed.
+     */
+    static dropIndex(objectiveName, field) {
+        const indexes = this._indexes.get(objectiveName);
+        return indexes ? indexes.delete(field) : false;
+    }
+
+    /**
+     * Retrieve the records whose indexed field holds (or, for arrays, contains) a value.
+     * @param {string} objectiveName
+     * @param {string} field - An indexed field.
+     * @param {any} value - The value to look up.
+     * @returns {Array<{id: number, data: object}>} The matched records (at most one for unique indexes).
+     * @throws {Error} If the field is not indexed.
+     */
+    static findBy(objectiveName, field, value) {
+        this._ensureLoaded(objectiveName);
+
+        const index = this._indexes.get(objectiveName)?.get(field);
+        if (!index) {
+            throw new Error(`[CacheManager] Field '${field}' of '${objectiveName}' is not indexed. Declare it with defineIndex().`);
+        }
+
+        const ids = index.values.get(value);
+        if (!ids) return [];
+
+        const results = [];
+        for (const [id, data] of this._read(objectiveName, ids, true).entries()) {
+            results.push({ id, data });
+        }
+        return results;
+    }
+
+    /**
+     * Extract the indexable keys of a field value.
+     * @param {any} value
+     * @returns {Array<any>} Primitive values only; arrays are flattened one level.
+     */
+    static _indexKeys(value) {
+        const values = Array.isArray(value) ? value : [value];
+        const keys = [];
+        for (const v of values) {
+            if (v === undefined || v === null) continue;
+            if (typeof v === "object" || typeof v === "function") continue; // Objects are not indexable
+            if (!keys.includes(v)) keys.push(v);
+        }
+        return keys;
+    }
+
+    /**
+     * (Re)build an index from every record of the objective.
+     * @param {string} objectiveName
+     * @param {string} field
+     * @param {Array<{id: number, data: object}>} records - All the records, resident or not.
+     */
+    static _buildIndex(objectiveName, field, records) {
+        const index = this._indexes.get(objectiveName).get(field);
+        index.values.clear();
+        index.keysById.clear();
+
+        for (const { id, data } of records) {
+            this._indexInsert(index, field, id, data);
+        }
+    }
+
+    /**
+     * Add a record to a single index.
+     * @param {{values: Map<any, Set<number>>, keysById: Map<number, Array<any>>}} index
+     * @param {string} field
+     * @param {number} id
+     * @param {object} data
+     */
+    static _indexInsert(index, field, id, data) {
+        const keys = this._indexKeys(Query.get(data, field));
+        for (const key of keys) {
+            let ids = index.values.get(key);
+            if (!ids) {
+                ids = new Set();
+                index.values.set(key, ids);
+            }
+            ids.add(id);
+        }
+        if (keys.length > 0) index.keysById.set(id, keys);
+    }
+
+    /**
+     * Remove a record from a single index.
+     * @param {{values: Map<any, Set<number>>, keysById: Map<number, Array<any>>}} index
+     * @param {number} id
+     */
+    static _indexRemove(index, id) {
+        for (const key of index.keysById.get(id) || []) {
+            const ids = index.values.get(key);
+            if (!ids) continue;
+
+            ids.delete(id);
+            if (ids.size === 0) index.values.delete(key);
+        }
+        index.keysById.delete(id);
+    }
+
+    /**
+     * Ensure a write would not break a unique index.
+     * @param {string} objectiveName
+     * @param {number|null} id - The record being written (null for new records).
+     * @param {object} data - The data about to be written.
+     * @throws {Error} If another record already holds a unique value.
+     */
+    static _checkUnique(objectiveName, id, data) {
+        this._checkUniqueMany(objectiveName, new Map([[id, data]]));
+    }
+
+    /**
+     * Ensure a batch of writes would not break a unique index (or a unique constraint of the schema),
+     * neither against the other records nor between the records of the batch.
+     * @param {string} objectiveName
+     * @param {Map<number|null, object>} writes - The data about to be written, by record ID.
+     * @throws {Error} If two records would hold the same unique value.
+     * @throws {UniqueConstraintError} If two records would hold the same values for a schema constraint.
+     */
+    static _checkUniqueMany(objectiveName, writes) {
+        const constraints = ScoreboardStorage._uniqueIndex(this._uniqueIndexes, objectiveName, () => this._readAll(objectiveName));
+        ScoreboardStorage._assertUnique("CacheManager", objectiveName, constraints, writes);
+
+        const indexes = this._indexes.get(objectiveName);
+        if (!indexes) return;
+
+        for (const [field, index] of indexes.entries()) {
+            if (!index.unique) continue;
+
+            const claimed = new Map(); // Value -> ID of the batch record holding it
+            for (const [id, data] of writes.entries()) {
+                for (const key of this._indexKeys(Query.get(data, field))) {
+                    let otherId = claimed.get(key);
+
+                    // Records of the batch are rewritten, so their current values do not count
+                    if (otherId === undefined) {
+                        for (const existingId of index.values.get(key) || []) {
+                            if (existingId !== id && !writes.has(existingId)) {
+                                otherId = existingId;
+                                break;
+                            }
+                        }
+                    }
+
+                    if (otherId !== undefined && otherId !== id) {
+                        throw new Error(`[CacheManager] Unique index violation on '${objectiveName}.${field}': value '${key}' is already used by record ${otherId}.`);
+                    }
+                    claimed.set(key, id);
+                }
+            }
+        }
+    }
+
+    /**
+     * Update every index of an objective after a write.
+     * @param {string} objectiveName
+     * @param {number} id
+     * @param {object|null} newData - The new data (null for deletions).
+     */
+    static _reindex(objectiveName, id, newData) {
+        const constraints = this._uniqueIndexes.get(objectiveName);
+        if (constraints) ScoreboardStorage._setUniqueKeys(constraints, id, newData);
+
+        const indexes = this._indexes.get(objectiveName);
+        if (!indexes) return;
+
+        for (const [field, index] of indexes.entries()) {
+            this._indexRemove(index, id);
+            if (newData) this._indexInsert(index, field, id, newData);
+        }
     }
 
     /* =========================
@@ -52,7 +494,17 @@ export class CacheManager {
      */
     static getById(objectiveName, id) {
         this._ensureLoaded(objectiveName);
-        return this._memory.get(objectiveName).get(id) || null;
+        return this._read(objectiveName, [id], true).get(id) || null;
+    }
+
+    /**
+     * Alias of getById, matching the ScoreboardStorage API.
+     * @param {string} objectiveName
+     * @param {number} id
+     * @returns {object|null}
+     */
+    static getElementById(objectiveName, id) {
+        return this.getById(objectiveName, id);
     }
 
     /**
@@ -62,16 +514,177 @@ export class CacheManager {
      */
     static getAll(objectiveName) {
         this._ensureLoaded(objectiveName);
-        
-        const results = [];
-        const objectiveCache = this._memory.get(objectiveName);
-        
+
         // Iterating over a JS Map is incredibly faster than iterating scoreboard participants
-        for (const [id, data] of objectiveCache.entries()) {
-            results.push({ id, data });
+        // (evicted records, if any, are fetched in a single scan)
+        return this._readAll(objectiveName);
+    }
+
+    /**
+     * Retrieve records from RAM, optionally filtering by conditions.
+     * Object queries on an indexed field (exact value, $eq, $in or $has) only inspect the records holding those values.
+     * @param {string} objectiveName
+     * @param {object|function} [query] - Optional. Example: { uuid: "xxxxx", "stats.kills": { $gt: 5 } } OR (data) => data.level > 10.
+     * @param {object} [options] - Optional. { sort, after, skip, limit, fields }. See Query.shape.
+     * @returns {Array<{id: number, data: object}>}
+     * @throws {TypeError} If the query or the options are invalid.
+     */
+    static getElements(objectiveName, query, options) {
+        if (query !== undefined && typeof query !== "object" && typeof query !== "function") {
+            throw new TypeError("[CacheManager] Query must be an object, a function, or undefined.");
         }
-        
-        return results;
+        if (options !== undefined) Query.validateOptions(options);
+
+        if (query === undefined || query === null) {
+            return Query.shape(this.getAll(objectiveName), options);
+        }
+        this._ensureLoaded(objectiveName);
+
+        const results = [];
+        for (const [id, data] of this._read(objectiveName, this._candidates(objectiveName, query)).entries()) {
+            if (Query.match(data, query)) results.push({ id, data });
+        }
+        return Query.shape(results, options);
+    }
+
+    /**
+     * Find the first record using a callback condition (or an object query) from RAM.
+     * @param {string} objectiveName
+     * @param {function|object} callback - Function that evaluates each object: (data) => boolean, OR an object query.
+     * @returns {{id: number, data: object}|null} The first matched record, or null if not found.
+     * @throws {TypeError} If the callback is neither a function nor an object.
+     */
+    static find(objectiveName, callback) {
+        if (typeof callback !== "function" && (typeof callback !== "object" || callback === null)) {
+            throw new TypeError("[CacheManager] Callback must be a function or an object query.");
+        }
+        this._ensureLoaded(objectiveName);
+
+        for (const [id, data] of this._read(objectiveName, this._candidates(objectiveName, callback)).entries()) {
+            if (Query.match(data, callback)) return { id, data };
+        }
+        return null;
+    }
+
+    /**
+     * Find ALL records using a callback condition (or an object query) from RAM.
+     * @param {string} objectiveName
+     * @param {function|object} callback - Function that evaluates each object: (data) => boolean, OR an object query.
+     * @param {object} [options] - Optional. { sort, after, skip, limit, fields }. See Query.shape.
+     * @returns {Array<{id: number, data: object}>}
+     * @throws {TypeError} If the callback is neither a function nor an object, or the options are invalid.
+     */
+    static findAll(objectiveName, callback, options) {
+        if (typeof callback !== "function" && (typeof callback !== "object" || callback === null)) {
+            throw new TypeError("[CacheManager] Callback must be a function or an object query.");
+        }
+        return this.getElements(objectiveName, callback, options);
+    }
+
+    /**
+     * Check if records exist in RAM.
+     * - If 'query' is omitted: checks if the objective has any record.
+     * - If 'query' is a number: checks if that ID exists.
+     * - If 'query' is an object: checks if a record matches it.
+     * @param {string} objectiveName
+     * @param {number|object} [query]
+     * @returns {boolean}
+     * @throws {TypeError} If the query is invalid.
+     */
+    static exists(objectiveName, query) {
+        if (query !== undefined && typeof query !== "number" && typeof query !== "object") {
+            throw new TypeError("[CacheManager] Query must be a number (ID), an object, or undefined.");
+        }
+
+        this._ensureLoaded(objectiveName);
+        const ids = this._ids.get(objectiveName);
+
+        if (query === undefined) return ids.size > 0;
+        if (typeof query === "number") return ids.has(query);
+
+        return this.find(objectiveName, query ?? {}) !== null;
+    }
+
+    /**
+     * Count records in RAM.
+     * @param {string} objectiveName
+     * @param {object|function} [query] - Optional. Example: { role: "admin" } OR (data) => data.level > 10.
+     * @returns {number}
+     * @throws {TypeError} If the query is invalid.
+     */
+    static count(objectiveName, query) {
+        if (query !== undefined && typeof query !== "object" && typeof query !== "function") {
+            throw new TypeError("[CacheManager] Query must be an object, a function, or undefined.");
+        }
+
+        this._ensureLoaded(objectiveName);
+
+        if (query === undefined || query === null) return this._ids.get(objectiveName).size;
+
+        let total = 0;
+        for (const data of this._read(objectiveName, this._candidates(objectiveName, query)).values()) {
+            if (Query.match(data, query)) total++;
+        }
+        return total;
+    }
+
+    /**
+     * Compute totals from RAM with an aggregation pipeline.
+     * A leading $match stage goes through getElements, so it benefits from the indexes.
+     * @param {string} objectiveName
+     * @param {Array<object>} pipeline - See Query.aggregate.
+     * @returns {Array<object>} The rows produced by the last stage.
+     * @throws {TypeError} If the pipeline is invalid.
+     */
+    static aggregate(objectiveName, pipeline) {
+        Query.validatePipeline(pipeline);
+
+        const leadingMatch = pipeline.length > 0 && "$match" in pipeline[0];
+        const records = this.getElements(objectiveName, leadingMatch ? pipeline[0].$match : undefined);
+
+        return Query.aggregate(records.map(r => r.data), leadingMatch ? pipeline.slice(1) : pipeline);
+    }
+
+    /**
+     * List the IDs worth testing against a query (the objective must be loaded).
+     * Object queries are narrowed with the first indexed field they filter on.
+     * @param {string} objectiveName
+     * @param {object|function} query
+     * @returns {Iterable<number>}
+     */
+    static _candidates(objectiveName, query) {
+        if (typeof query !== "function") {
+            const indexes = this._indexes.get(objectiveName);
+            for (const key in query) {
+                const index = indexes?.get(key);
+                const values = index ? this._lookupValues(query[key]) : null;
+                if (values) {
+                    const candidates = new Set();
+                    for (const value of values) {
+                        for (const id of index.values.get(value) || []) candidates.add(id);
+                    }
+                    return candidates;
+                }
+            }
+        }
+        return [...this._ids.get(objectiveName)]; // Copy: writers may delete while iterating
+    }
+
+    /**
+     * Extract the values an index can look up for a query condition.
+     * @param {any} condition - A field condition (exact value or operator object).
+     * @returns {Array<any>|null} The values to look up, or null if the condition needs a full scan.
+     */
+    static _lookupValues(condition) {
+        const isPrimitive = v => v !== undefined && v !== null && typeof v !== "object";
+
+        if (isPrimitive(condition)) return [condition];
+        if (!Query.isOperator(condition) || Object.keys(condition).length !== 1) return null;
+
+        if (isPrimitive(condition.$eq)) return [condition.$eq];
+        if (isPrimitive(condition.$has)) return [condition.$has]; // Array fields are indexed by element
+        if (Array.isArray(condition.$in) && condition.$in.every(isPrimitive)) return condition.$in;
+        return null;
     }
 
     /* =========================
@@ -80,38 +693,85 @@ export class CacheManager {
 
     /**
      * Save a new object. Writes to physical storage and updates RAM.
+     * Fires the beforeSave/afterSave hooks (see Hooks).
      * @param {string} objectiveName 
      * @param {object} data 
-     * @returns {number} The generated ID
+     * @returns {number|null} The generated ID, or null if a hook cancelled the save.
      */
     static save(objectiveName, data) {
         this._ensureLoaded(objectiveName); // Make sure the cache is ready
 
-        // 1. Save Physically (To ensure data persists after a restart)
-        const newId = ScoreboardStorage.save(objectiveName, data);
+        const event = { objectiveName, id: null, data };
+        if (!Hooks._runBefore(objectiveName, "beforeSave", event)) return null;
+        this._ensureLoaded(objectiveName); // A hook may have dropped the RAM copy (e.g., invalidate())
+
+        // Keep in RAM exactly what the attached schema (if any) lets through
+        data = ScoreboardStorage._prepare(objectiveName, event.data);
+        this._checkUnique(objectiveName, null, data);
+
+        // 1. Save Physically (To ensure data persists after a restart), now or on the next flush
+        const newId = this._isDeferred(objectiveName)
+            ? this._defer(objectiveName, null, data)
+            : ScoreboardStorage._insert(objectiveName, data);
 
         // 2. Save in RAM (To make future reads instant)
-        this._memory.get(objectiveName).set(newId, data);
+        this._ids.get(objectiveName).add(newId);
+        this._store(objectiveName, newId, data);
+        this._reindex(objectiveName, newId, data);
 
+        Hooks._runAfter(objectiveName, "afterSave", { objectiveName, id: newId, data });
         return newId;
     }
 
     /**
      * Update an object by ID. Updates physical storage and RAM.
+     * Fires the beforeUpdate/afterUpdate hooks (see Hooks).
      * @param {string} objectiveName 
      * @param {number} id 
      * @param {object} newData 
-     * @returns {boolean}
+     * @returns {boolean} False if the ID was not found or a hook cancelled the update.
      */
     static updateById(objectiveName, id, newData) {
         this._ensureLoaded(objectiveName);
 
-        // 1. Update Physically
-        const success = ScoreboardStorage.updateById(objectiveName, id, newData);
+        if (typeof id !== "number" || isNaN(id)) {
+            throw new TypeError(`[CacheManager] ID must be a valid number, got ${typeof id}.`);
+        }
+        if (newData === undefined) {
+            throw new TypeError("[CacheManager] newData must be provided to perform an update.");
+        }
+
+        // The old data is only read if someone listens
+        const hooked = Hooks.has(objectiveName, "beforeUpdate", "afterUpdate");
+        let oldData;
+        if (hooked) {
+            oldData = this._read(objectiveName, [id]).get(id);
+            if (oldData === undefined) return false;
+
+            const event = { objectiveName, id, oldData, data: newData };
+            if (!Hooks._runBefore(objectiveName, "beforeUpdate", event)) return false;
+            newData = event.data;
+            this._ensureLoaded(objectiveName); // A hook may have dropped the RAM copy (e.g., invalidate())
+        }
+
+        newData = ScoreboardStorage._prepare(objectiveName, newData);
+        this._checkUnique(objectiveName, id, newData);
+
+        // 1. Update Physically, now or on the next flush
+        let success;
+        if (this._isDeferred(objectiveName)) {
+            success = this._ids.get(objectiveName).has(id);
+            if (success) this._defer(objectiveName, id, newData);
+        } else {
+            success = ScoreboardStorage._replace(objectiveName, id, newData);
+        }
 
         if (success) {
             // 2. Update RAM only if physical update was successful
-            this._memory.get(objectiveName).set(id, newData);
+            this._store(objectiveName, id, newData);
+            this._reindex(objectiveName, id, newData);
+
+            if (hooked) Hooks._runAfter(objectiveName, "afterUpdate", { objectiveName, id, oldData, data: newData });
         }
 
         return success;
@@ -119,21 +779,590 @@ export class CacheManager {
 
     /**
      * Delete an object by ID. Removes from physical storage and RAM.
+     * Fires the beforeDelete/afterDelete hooks (see Hooks).
+     * When hooked, the deletion runs in a transaction, so a hook error rolls back its writes too.
      * @param {string} objectiveName 
      * @param {number} id 
-     * @returns {boolean}
+     * @returns {boolean} False if the ID was not found or a hook cancelled the deletion.
      */
     static deleteById(objectiveName, id) {
         this._ensureLoaded(objectiveName);
 
-        // 1. Delete Physically
-        const success = ScoreboardStorage.deleteById(objectiveName, id);
+        if (typeof id !== "number" || isNaN(id)) {
+            throw new TypeError(`[CacheManager] ID must be a valid number, got ${typeof id}.`);
+        }
+
+        // Delete hooks may write other objectives (e.g., Relation cascades): keep it all atomic
+        const hooked = Hooks.has(objectiveName, "beforeDelete", "afterDelete");
+        if (hooked && !ScoreboardStorage._transaction) {
+            return ScoreboardStorage.transaction(() => this.deleteById(objectiveName, id));
+        }
+
+        // The old data is only read if someone listens
+        let oldData;
+        if (hooked) {
+            oldData = this._read(objectiveName, [id]).get(id);
+            if (oldData === undefined) return false;
+            if (!Hooks._runBefore(objectiveName, "beforeDelete", { objectiveName, id, oldData })) return false;
+            this._ensureLoaded(objectiveName); // A hook may have dropped the RAM copy (e.g., invalidate())
+        }
+
+        // 1. Delete Physically, now or on the next flush
+        let success;
+        if (this._isDeferred(objectiveName)) {
+            success = this._ids.get(objectiveName).has(id);
+            if (success) this._defer(objectiveName, id, null);
+        } else {
+            success = ScoreboardStorage._removeMany(objectiveName, new Set([id])).length > 0;
+        }
 
         if (success) {
             // 2. Delete from RAM
-            this._memory.get(objectiveName).delete(id);
+            this._ids.get(objectiveName).delete(id);
+            this._forget(objectiveName, id);
+            this._reindex(objectiveName, id, null);
+
+            if (hooked) Hooks._runAfter(objectiveName, "afterDelete", { objectiveName, id, oldData });
         }
 
         return success;
     }
+
+    /**
+     * Update records based on conditions (Partial update / Merge). Updates physical storage and RAM.
+     * Every new value goes through the beforeUpdate hooks, then is prepared and checked
+     * against the unique indexes before anything is written. afterUpdate hooks fire at the end.
+     * @param {string} objectiveName
+     * @param {object|function} query - Example: { uuid: "xxxxx" } OR (data) => data.level < 10.
+     * @param {object|function} newData - The properties to update, OR a callback (oldData) => newData.
+     * @returns {number} The amount of records updated (records cancelled by a hook are not counted).
+     * @throws {TypeError} If query or newData are not provided.
+     */
+    static update(objectiveName, query, newData) {
+        if (query === undefined) {
+            throw new TypeError("[CacheManager] Query must be provided for mass update.");
+        }
+        if (newData === undefined) {
+            throw new TypeError("[CacheManager] newData must be provided for update.");
+        }
+        if (query === null) return 0;
+
+        const updates = new Map();
+        const oldData = new Map();
+        for (const { id, data } of this.getElements(objectiveName, query)) {
+            const merged = typeof newData === "function" ? newData(data) : { ...data, ...newData };
+
+            const event = { objectiveName, id, oldData: data, data: merged };
+            if (!Hooks._runBefore(objectiveName, "beforeUpdate", event)) continue;
+
+            updates.set(id, ScoreboardStorage._prepare(objectiveName, event.data));
+            oldData.set(id, data);
+        }
+        this._ensureLoaded(objectiveName); // A hook may have dropped the RAM copy (e.g., invalidate())
+        this._checkUniqueMany(objectiveName, updates);
+
+        // 1. Update Physically (a single scan of the scoreboard), now or on the next flush
+        let updatedIds;
+        if (this._isDeferred(objectiveName)) {
+            updatedIds = [...updates.keys()];
+            for (const id of updatedIds) this._defer(objectiveName, id, updates.get(id));
+        } else {
+            updatedIds = ScoreboardStorage._replaceMany(objectiveName, updates);
+        }
+
+        // 2. Update RAM
+        for (const id of updatedIds) {
+            this._store(objectiveName, id, updates.get(id));
+            this._reindex(objectiveName, id, updates.get(id));
+        }
+
+        for (const id of updatedIds) {
+            Hooks._runAfter(objectiveName, "afterUpdate", { objectiveName, id, oldData: oldData.get(id), data: updates.get(id) });
+        }
+        return updatedIds.length;
+    }
+
+    /**
+     * Delete records based on conditions (Massive delete). Removes from physical storage and RAM.
+     * An undefined or null query deletes nothing: use clear() to wipe an objective.
+     * Fires the beforeDelete/afterDelete hooks for each record (see Hooks).
+     * When hooked, the deletion runs in a transaction, so a hook error rolls back its writes too.
+     * @param {string} objectiveName
+     * @param {object|function} query - Example: { faction: "Bandits" } OR (data) => data.level < 5.
+     * @returns {number} The amount of records deleted (records kept by a hook are not counted).
+     * @throws {TypeError} If the query is invalid.
+     */
+    static delete(objectiveName, query) {
+        if (query !== undefined && typeof query !== "object" && typeof query !== "function") {
+            throw new TypeError("[CacheManager] Query must be an object, a function, or undefined.");
+        }
+        if (query === undefined || query === null) return 0;
+
+        // Delete hooks may write other objectives (e.g., Relation cascades): keep it all atomic
+        if (Hooks.has(objectiveName, "beforeDelete", "afterDelete") && !ScoreboardStorage._transaction) {
+            return ScoreboardStorage.transaction(() => this.delete(objectiveName, query));
+        }
+
+        const oldData = new Map();
+        for (const { id, data } of this.getElements(objectiveName, query)) {
+            if (Hooks._runBefore(objectiveName, "beforeDelete", { objectiveName, id, oldData: data })) {
+                oldData.set(id, data);
+            }
+        }
+        this._ensureLoaded(objectiveName); // A hook may have dropped the RAM copy (e.g., invalidate())
+        const ids = new Set(oldData.keys());
+
+        // 1. Delete Physically (a single scan of the scoreboard), now or on the next flush
+        let deletedIds;
+        if (this._isDeferred(objectiveName)) {
+            deletedIds = [...ids];
+            for (const id of deletedIds) this._defer(objectiveName, id, null);
+        } else {
+            deletedIds = ScoreboardStorage._removeMany(objectiveName, ids);
+        }
+
+        // 2. Delete from RAM
+        for (const id of deletedIds) {
+            this._ids.get(objectiveName).delete(id);
+            this._forget(objectiveName, id);
+            this._reindex(objectiveName, id, null);
+        }
+
+        for (const id of deletedIds) {
+            Hooks._runAfter(objectiveName, "afterDelete", { objectiveName, id, oldData: oldData.get(id) });
+        }
+        return deletedIds.length;
+    }
+
+    /**
+     * Remove every record of an objective, physically and from RAM.
+     * The declared indexes are kept (empty), and pending write-behind writes are discarded.
+     * @param {string} objectiveName
+     * @throws {TypeError} If the objective name is invalid.
+     */
+    static clear(objectiveName) {
+        if (this._isDeferred(objectiveName)) {
+            this._writeBehind.get(objectiveName).dirty.clear();
+        }
+        ScoreboardStorage.clear(objectiveName);
+        this._empty(objectiveName);
+    }
+
+    /**
+     * Load an objective as empty (its declared indexes are kept, empty).
+     * @param {string} objectiveName
+     */
+    static _empty(objectiveName) {
+        this._unload(objectiveName);
+        this._ids.set(objectiveName, new Set());
+        this._memory.set(objectiveName, new Map());
+        for (const field of this._indexes.get(objectiveName)?.keys() || []) {
+            this._buildIndex(objectiveName, field, []);
+        }
+    }
+
+    /* =========================
+       SYNC CONTROL
+    ========================= */
+
+    /**
+     * Drop the RAM copy of an objective (or of every objective).
+     * Use it when another addon edited the scoreboard directly: the next access reloads it.
+     * Declared indexes are kept and rebuilt on reload. Pending write-behind writes are flushed first.
+     * @param {string} [objectiveName] - Optional. If omitted, every objective is dropped.
+     * @returns {boolean} True if something was in RAM.
+     */
+    static invalidate(objectiveName) {
+        this.flush(objectiveName);
+
+        if (objectiveName === undefined) {
+            let hadData = false;
+            for (const name of [...this._ids.keys()]) {
+                hadData = this._unload(name) || hadData;
+            }
+            return hadData;
+        }
+        return this._unload(objectiveName);
+    }
+
+    /**
+     * Reload an objective from the scoreboard right away.
+     * @param {string} objectiveName
+     * @returns {number} The number of records loaded.
+     */
+    static reload(objectiveName) {
+        this.invalidate(objectiveName);
+        this._ensureLoaded(objectiveName);
+        return this._ids.get(objectiveName).size;
+    }
+
+    /**
+     * Called before ScoreboardStorage writes an objective directly: the pending write-behind
+     * writes are stored first, so they can never be flushed over the new records.
+     * @param {string} objectiveName
+     */
+    static _beforeDirectWrite(objectiveName) {
+        this.flush(objectiveName);
+    }
+
+    /**
+     * Called after ScoreboardStorage wrote a record directly: the RAM copy (if loaded) takes the same change.
+     * @param {string} objectiveName
+     * @param {number|null} id - The record written (null when the whole objective was cleared).
+     * @param {object|null} data - Its prepared data (null when it was deleted).
+     */
+    static _afterDirectWrite(objectiveName, id, data) {
+        if (!this._ids.has(objectiveName)) return;
+
+        if (id === null) {
+            this._writeBehind.get(objectiveName)?.dirty.clear();
+            this._empty(objectiveName);
+            return;
+        }
+
+        // A pending write of the record (e.g., made by a hook) is older than this one
+        this._writeBehind.get(objectiveName)?.dirty.delete(id);
+        if (data === null) {
+            this._ids.get(objectiveName).delete(id);
+            this._forget(objectiveName, id);
+        } else {
+            this._ids.get(objectiveName).add(id);
+            this._store(objectiveName, id, data);
+        }
+        this._reindex(objectiveName, id, data);
+    }
+
+    /**
+     * Called after ScoreboardStorage rewrote objectives behind the cache's back (a rolled back
+     * transaction, an import, a snapshot restore, a repair): RAM no longer matches it, so
+     * they are dropped and reloaded on next access. Their pending write-behind writes predate
+     * the new state, so they are dropped too, never flushed over it.
+     * @param {string[]} objectiveNames
+     */
+    static _afterRewrite(objectiveNames) {
+        for (const objectiveName of objectiveNames) {
+            this._writeBehind.get(objectiveName)?.dirty.clear();
+            this._unload(objectiveName);
+        }
+    }
+
+    /* =========================
+       MEMORY BUDGET
+    ========================= */
+
+    /**
+     * Limit the RAM used by one objective, or by all of them together.
+     * Above the budget, the least recently used records are evicted: their IDs and index
+     * entries stay in RAM, their data is reloaded from the scoreboard when needed.
+     * Dirty write-behind records are never evicted before being flushed.
+     * @param {{maxRecords?: number, maxBytes?: number}|null} budget - The limits (null removes the budget).
+     *   'maxBytes' is approximate (JSON length of the records, 2 bytes per character).
+     * @param {string} [objectiveName] - Optional. If omitted, the budget is shared by every objective.
+     * @throws {TypeError} If a limit is not a positive integer.
+     */
+    static setBudget(budget, objectiveName) {
+        if (budget !== null) {
+            if (typeof budget !== "object" || Array.isArray(budget)) {
+                throw new TypeError("[CacheManager] Budget must be an object ({ maxRecords, maxBytes }) or null.");
+            }
+            for (const limit of ["maxRecords", "maxBytes"]) {
+                const value = budget[limit];
+                if (value !== undefined && (!Number.isInteger(value) || value < 1)) {
+                    throw new TypeError(`[CacheManager] Budget '${limit}' must be a positive integer.`);
+                }
+            }
+            budget = { maxRecords: budget.maxRecords, maxBytes: budget.maxBytes };
+        }
+
+        if (objectiveName === undefined) {
+            this._globalBudget = budget;
+        } else if (budget === null) {
+            this._budgets.delete(objectiveName);
+        } else {
+            this._budgets.set(objectiveName, budget);
+        }
+
+        // Sizes are only measured under a byte budget: measure (or forget) them again
+        for (const [name, bytes] of this._bytes.entries()) {
+            if (bytes === 0 && !this._measures(name)) continue;
+
+            let total = 0;
+            for (const [id, data] of this._memory.get(name).entries()) {
+                const entry = this._lru.get(`${id}@${name}`);
+                entry.bytes = this._measures(name) ? this._sizeOf(data) : 0;
+                total += entry.bytes;
+            }
+            this._bytes.set(name, total);
+        }
+
+        for (const name of this._ids.keys()) this._enforceBudget(name);
+    }
+
+    /**
+     * Get the cache statistics of an objective, or of every objective together.
+     * @param {string} [objectiveName] - Optional.
+     * @returns {{hits: number, misses: number, evictions: number, hitRate: number, resident: number, records: number, bytes: number}}
+     *   'resident' records are in RAM, out of 'records' known ones; 'bytes' is only measured under a byte budget.
+     */
+    static getStats(objectiveName) {
+        const names = objectiveName === undefined
+            ? new Set([...this._stats.keys(), ...this._ids.keys()])
+            : [objectiveName];
+
+        const result = { hits: 0, misses: 0, evictions: 0, hitRate: 0, resident: 0, records: 0, bytes: 0 };
+        for (const name of names) {
+            const stats = this._stats.get(name);
+            if (stats) {
+                result.hits += stats.hits;
+                result.misses += stats.misses;
+                result.evictions += stats.evictions;
+            }
+            result.resident += this._memory.get(name)?.size || 0;
+            result.records += this._ids.get(name)?.size || 0;
+            result.bytes += this._bytes.get(name) || 0;
+        }
+
+        const reads = result.hits + result.misses;
+        result.hitRate = reads > 0 ? result.hits / reads : 0;
+        return result;
+    }
+
+    /**
+     * Reset the hit/miss/eviction counters of an objective (or of every objective).
+     * @param {string} [objectiveName] - Optional.
+     */
+    static resetStats(objectiveName) {
+        if (objectiveName === undefined) {
+            this._stats.clear();
+        } else {
+            this._stats.delete(objectiveName);
+        }
+    }
+
+    /**
+     * Get (creating them if needed) the statistics counters of an objective.
+     * @param {string} objectiveName
+     * @returns {{hits: number, misses: number, evictions: number}}
+     */
+    static _getStats(objectiveName) {
+        let stats = this._stats.get(objectiveName);
+        if (!stats) {
+            stats = { hits: 0, misses: 0, evictions: 0 };
+            this._stats.set(objectiveName, stats);
+        }
+        return stats;
+    }
+
+    /**
+     * Evict least recently used records until the objective and the global budgets are met.
+     * @param {string} objectiveName - The objective that just grew.
+     */
+    static _enforceBudget(objectiveName) {
+        const budget = this._budgets.get(objectiveName);
+        if (budget) {
+            const resident = this._memory.get(objectiveName);
+            for (const id of resident.keys()) { // Oldest first
+                if (!this._isOver(budget, resident.size, this._bytes.get(objectiveName))) break;
+                this._evict(objectiveName, id);
+            }
+        }
+
+        const global = this._globalBudget;
+        if (global) {
+            for (const { objectiveName: name, id } of this._lru.values()) { // Oldest first, across objectives
+                if (!this._isOver(global, this._lru.size, this._totalBytes())) break;
+                this._evict(name, id);
+            }
+        }
+    }
+
+    /**
+     * Evict a record unless it holds unflushed write-behind data.
+     * @param {string} objectiveName
+     * @param {number} id
+     * @returns {boolean} True if the record was evicted.
+     */
+    static _evict(objectiveName, id) {
+        if (this._writeBehind.get(objectiveName)?.dirty.has(id)) return false; // Pinned until flushed
+
+        this._forget(objectiveName, id);
+        this._getStats(objectiveName).evictions++;
+        return true;
+    }
+
+    /**
+     * Check if a usage exceeds a budget.
+     * @param {{maxRecords?: number, maxBytes?: number}} budget
+     * @param {number} records
+     * @param {number} bytes
+     * @returns {boolean}
+     */
+    static _isOver(budget, records, bytes) {
+        return (budget.maxRecords !== undefined && records > budget.maxRecords)
+            || (budget.maxBytes !== undefined && bytes > budget.maxBytes);
+    }
+
+    /**
+     * Check if the records of an objective must be measured (a byte budget applies to it).
+     * @param {string} objectiveName
+     * @returns {boolean}
+     */
+    static _measures(objectiveName) {
+        return this._budgets.get(objectiveName)?.maxBytes !== undefined || this._globalBudget?.maxBytes !== undefined;
+    }
+
+    /**
+     * Approximate the memory used by a record.
+     * @param {object} data
+     * @returns {number} Bytes (2 per character of its JSON).
+     */
+    static _sizeOf(data) {
+        return JSON.stringify(data).length * 2;
+    }
+
+    /**
+     * Total approximate size of every resident record.
+     * @returns {number}
+     */
+    static _totalBytes() {
+        let total = 0;
+        for (const bytes of this._bytes.values()) total += bytes;
+        return total;
+    }
+
+    /* =========================
+       WRITE-BEHIND
+    ========================= */
+
+    /**
+     * Defer the physical writes of an objective: writes update RAM at once and mark the
+     * record dirty, and dirty records are flushed to the scoreboard every 'interval' ticks.
+     * Calling it again only changes the interval.
+     * Inside a transaction, writes are not deferred so they can be rolled back.
+     * @param {string} objectiveName
+     * @param {object} [options]
+     * @param {number} [options.interval=20] - Ticks between two flushes.
+     * @throws {TypeError} If the interval is not a positive integer.
+     * @throws {Error} If no scheduler is configured.
+     */
+    static enableWriteBehind(objectiveName, { interval = 20 } = {}) {
+        if (!Number.isInteger(interval) || interval < 1) {
+            throw new TypeError("[CacheManager] Write-behind interval must be a positive integer (ticks).");
+        }
+
+        const scheduler = ScoreboardStorage._getScheduler();
+        const state = this._writeBehind.get(objectiveName) || { dirty: new Map() };
+
+        if (state.runId !== undefined) scheduler.clearRun(state.runId);
+        state.interval = interval;
+        state.runId = scheduler.runInterval(() => this.flush(objectiveName), interval);
+
+        this._writeBehind.set(objectiveName, state);
+    }
+
+    /**
+     * Flush the pending writes of an objective and go back to writing through.
+     * @param {string} objectiveName
+     * @returns {boolean} True if write-behind was enabled.
+     */
+    static disableWriteBehind(objectiveName) {
+        const state = this._writeBehind.get(objectiveName);
+        if (!state) return false;
+
+        this.flush(objectiveName);
+        ScoreboardStorage._getScheduler().clearRun(state.runId);
+        this._writeBehind.delete(objectiveName);
+        return true;
+    }
+
+    /**
+     * Write the dirty records of an objective (or of every objective) to the scoreboard now.
+     * Call it before a shutdown, or before reading the scoreboard through ScoreboardStorage.
+     * @param {string} [objectiveName] - Optional. If omitted, every objective is flushed.
+     * @returns {number} The number of records written or deleted.
+     */
+    static flush(objectiveName) {
+        if (objectiveName === undefined) {
+            let total = 0;
+            for (const name of this._writeBehind.keys()) total += this.flush(name);
+            return total;
+        }
+
+        const state = this._writeBehind.get(objectiveName);
+        if (!state || state.dirty.size === 0) return 0;
+
+        const writes = state.dirty;
+        state.dirty = new Map();
+
+        try {
+            // Those writes were made before any running transaction: a rollback must keep them
+            ScoreboardStorage._outsideTransaction(() => ScoreboardStorage._writeMany(objectiveName, writes));
+        } catch (err) {
+            // Keep the batch for the next flush, unless the record was written again meanwhile
+            for (const [id, json] of writes.entries()) {
+                if (!state.dirty.has(id)) state.dirty.set(id, json);
+            }
+            throw err;
+        }
+
+        // Flushed records are no longer pinned in RAM
+        if (this._ids.has(objectiveName)) this._enforceBudget(objectiveName);
+        return writes.size;
+    }
+
+    /**
+     * Check if the writes of an objective must be deferred.
+     * Inside a transaction, the pending writes are flushed and the new ones are written through.
+     * @param {string} objectiveName
+     * @returns {boolean}
+     */
+    static _isDeferred(objectiveName) {
+        if (!this._writeBehind.has(objectiveName)) return false;
+        if (!ScoreboardStorage._transaction) return true;
+
+        this.flush(objectiveName);
+        return false;
+    }
+
+    /**
+     * Queue a physical write for the next flush.
+     * The data is serialized now, so a later mutation of the RAM object cannot alter it.
+     * @param {string} objectiveName
+     * @param {number|null} id - The record ID (null allocates a new one).
+     * @param {object|null} data - The prepared data (null deletes the record).
+     * @returns {number} The record ID.
+     */
+    static _defer(objectiveName, id, data) {
+        const json = data === null ? null : ScoreboardStorage._stringify(data, objectiveName);
+        if (id === null) id = ScoreboardStorage._allocateId(objectiveName);
+
+        this._writeBehind.get(objectiveName).dirty.set(id, json);
+        return id;
+    }
+
+    /* =========================
+       CLEANUP
+    ========================= */
+
+    /**
+     * Drop everything kept in RAM: records, indexes, budgets, statistics and write-behind state.
+     * Pending write-behind writes are discarded, not written: call flush() first to keep them.
+     */
+    static reset() {
+        for (const state of this._writeBehind.values()) ScoreboardStorage.scheduler?.clearRun(state.runId);
+        this._writeBehind.clear();
+
+        this._memory.clear();
+        this._ids.clear();
+        this._lru.clear();
+        this._bytes.clear();
+        this._budgets.clear();
+        this._globalBudget = null;
+        this._stats.clear();
+        this._indexes.clear();
+        this._uniqueIndexes.clear();
+    }
 }
+
+// Keep RAM in step with the writes made through ScoreboardStorage
+ScoreboardStorage._cache = CacheManager;
@@ -0,0 +1,319 @@
+import { Codec, IntegrityError } from "./Codec.js";
+
+/**
+ * Cipher Codec
+ * * Encrypts records (or single fields, see DataSchema) with a key configured
+ * by the addon, so `/scoreboard players list` no longer shows them in clear.
+ *
+ * - Encryption: SHA-256 in counter mode, keyed by the addon key and a random
+ *   nonce stored with each payload (the same data never looks the same twice).
+ * - Authentication: HMAC-SHA256 over the nonce and the ciphertext. A payload
+ *   edited by hand, or written with another key, throws an IntegrityError
+ *   instead of being silently decoded.
+ *
+ * Everything is implemented in plain JavaScript (the scripting engine has no
+ * crypto API) and the nonces come from Math.random(): this keeps the data away
+ * from curious operators, it is not meant to resist a determined attacker
+ * holding the addon's source code.
+ */
+export class CipherCodec extends Codec {
+
+    /**
+     * The tag of encrypted payloads (also used for encrypted fields: `~e<body>`).
+     * @type {string}
+     */
+    static TAG = "e";
+
+    tag = CipherCodec.TAG;
+
+    /**
+     * Payload layout, in 16-bit words: nonce, then authentication tag, then ciphertext.
+     * @type {number}
+     */
+    static NONCE_WORDS = 6;
+
+    /**
+     * @type {number}
+     */
+    static TAG_WORDS = 8;
+
+    /**
+     * @param {string} key - The secret of the addon. Keep it out of the world (e.g., in the script source).
+     * @throws {TypeError} If the key is not a non-empty string.
+     */
+    constructor(key) {
+        super();
+
+        if (typeof key !== "string" || key === "") {
+            throw new TypeError("[CipherCodec] The key must be a non-empty string.");
+        }
+
+        // Separate keys for encryption and authentication, derived from the addon secret
+        const secret = CipherCodec._utf8(key);
+        this._encryptionKey = CipherCodec._hmac(secret, CipherCodec._utf8("sdb:encrypt"));
+        this._macKey = CipherCodec._hmac(secret, CipherCodec._utf8("sdb:mac"));
+    }
+
+    /* =========================
+       CODEC
+    ========================= */
+
+    encode(json) {
+        return this.encrypt(json);
+    }
+
+    decode(body) {
+        return this.decrypt(body);
+    }
+
+    /* =========================
+       ENCRYPTION
+    ========================= */
+
+    /**
+     * Encrypt a string.
+     * @param {string} text
+     * @returns {string} The encrypted body (characters safe in participant names).
+     */
+    encrypt(text) {
+        const { NONCE_WORDS } = CipherCodec;
+
+        const nonce = [];
+        for (let i = 0; i < NONCE_WORDS; i++) nonce.push(Math.floor(Math.random() * 0x10000));
+
+        const words = [];
+        for (let i = 0; i < text.length; i++) words.push(text.charCodeAt(i));
+
+        const cipherWords = this._xor(nonce, words);
+        const tag = this._tag(nonce, cipherWords);
+
+        const writer = CipherCodec._writer();
+        for (const word of [...nonce, ...tag, ...cipherWords]) writer.write(word, 16);
+        return writer.finish();
+    }
+
+    /**
+     * Decrypt a body produced by encrypt().
+     * @param {string} body
+     * @returns {string}
+     * @throws {IntegrityError} If the body was tampered with or written with another key.
+     */
+    decrypt(body) {
+        const { NONCE_WORDS, TAG_WORDS, BITS_PER_CHAR } = CipherCodec;
+
+        // Padding is always shorter than a word, so the word count is exact
+        const count = Math.floor(body.length * BITS_PER_CHAR / 16);
+        if (count < NONCE_WORDS + TAG_WORDS) {
+            throw new IntegrityError("[CipherCodec] Encrypted payload is truncated.");
+        }
+
+        const words = [];
+        try {
+            const reader = CipherCodec._reader(body);
+            for (let i = 0; i < count; i++) words.push(reader.read(16));
+        } catch {
+            throw new IntegrityError("[CipherCodec] Encrypted payload contains invalid characters.");
+        }
+
+        const nonce = words.slice(0, NONCE_WORDS);
+        const tag = words.slice(NONCE_WORDS, NONCE_WORDS + TAG_WORDS);
+        const cipherWords = words.slice(NONCE_WORDS + TAG_WORDS);
+
+        // Compare the whole tag, so the time taken does not reveal where it differs
+        const expected = this._tag(nonce, cipherWords);
+        let difference = 0;
+        for (let i = 0; i < TAG_WORDS; i++) difference |= expected[i] ^ tag[i];
+        if (difference !== 0) {
+            throw new IntegrityError("[CipherCodec] Payload authentication failed: it was tampered with or written with another key.");
+        }
+
+        return this._xor(nonce, cipherWords).map(word => String.fromCharCode(word)).join("");
+    }
+
+    /**
+     * XOR 16-bit words with the keystream of a nonce (encryption and decryption alike).
+     * Keystream block i = SHA-256(encryptionKey | nonce | i).
+     * @param {number[]} nonce
+     * @param {number[]} words
+     * @returns {number[]}
+     * @private
+     */
+    _xor(nonce, words) {
+        const input = new Uint8Array(32 + nonce.length * 2 + 4);
+        input.set(this._encryptionKey, 0);
+        input.set(CipherCodec._bytes(nonce), 32);
+        const counterAt = 32 + nonce.length * 2;
+
+        const output = [];
+        let block = null;
+        for (let i = 0; i < words.length; i++) {
+            if (i % 16 === 0) {
+                const counter = i / 16;
+                input[counterAt] = counter & 0xFF;
+                input[counterAt + 1] = (counter >>> 8) & 0xFF;
+                input[counterAt + 2] = (counter >>> 16) & 0xFF;
+                input[counterAt + 3] = (counter >>> 24) & 0xFF;
+                block = CipherCodec._sha256(input);
+            }
+            const offset = (i % 16) * 2;
+            output.push(words[i] ^ (block[offset] | (block[offset + 1] << 8)));
+        }
+        return output;
+    }
+
+    /**
+     * Compute the authentication tag of a payload.
+     * @param {number[]} nonce
+     * @param {number[]} cipherWords
+     * @returns {number[]} TAG_WORDS 16-bit words.
+     * @private
+     */
+    _tag(nonce, cipherWords) {
+        const mac = CipherCodec._hmac(this._macKey, CipherCodec._bytes([...nonce, ...cipherWords]));
+
+        const tag = [];
+        for (let i = 0; i < CipherCodec.TAG_WORDS; i++) tag.push(mac[i * 2] | (mac[i * 2 + 1] << 8));
+        return tag;
+    }
+
+    /* =========================
+       PRIMITIVES (INTERNAL)
+    ========================= */
+
+    /**
+     * SHA-256 round constants.
+     * @type {Uint32Array}
+     * @private
+     */
+    static _K = new Uint32Array([
+        0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+        0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+        0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+        0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+        0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+        0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+        0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+        0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+    ]);
+
+    /**
+     * Compute the SHA-256 digest of some bytes.
+     * @param {Uint8Array} bytes
+     * @returns {Uint8Array} 32 bytes.
+     * @private
+     */
+    static _sha256(bytes) {
+        const K = this._K;
+        const hash = new Uint32Array([
+            0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+        ]);
+
+        // Padding: 0x80, zeros, then the bit length as a 64-bit big-endian integer
+        const length = Math.ceil((bytes.length + 9) / 64) * 64;
+        const message = new Uint8Array(length);
+        message.set(bytes);
+        message[bytes.length] = 0x80;
+        const bitLength = bytes.length * 8;
+        message[length - 5] = Math.floor(bitLength / 0x100000000) & 0xFF;
+        message[length - 4] = (bitLength >>> 24) & 0xFF;
+        message[length - 3] = (bitLength >>> 16) & 0xFF;
+        message[length - 2] = (bitLength >>> 8) & 0xFF;
+        message[length - 1] = bitLength & 0xFF;
+
+        const w = new Uint32Array(64);
+        const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+        for (let offset = 0; offset < length; offset += 64) {
+            for (let i = 0; i < 16; i++) {
+                const j = offset + i * 4;
+                w[i] = (message[j] << 24) | (message[j + 1] << 16) | (message[j + 2] << 8) | message[j + 3];
+            }
+            for (let i = 16; i < 64; i++) {
+                const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+                const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+                w[i] = w[i - 16] + s0 + w[i - 7] + s1;
+            }
+
+            let [a, b, c, d, e, f, g, h] = hash;
+            for (let i = 0; i < 64; i++) {
+                const S1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+                const ch = (e & f) ^ (~e & g);
+                const t1 = (h + S1 + ch + K[i] + w[i]) | 0;
+                const S0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+                const maj = (a & b) ^ (a & c) ^ (b & c);
+                const t2 = (S0 + maj) | 0;
+
+                h = g;
+                g = f;
+                f = e;
+                e = (d + t1) | 0;
+                d = c;
+                c = b;
+                b = a;
+                a = (t1 + t2) | 0;
+            }
+
+            hash[0] += a; hash[1] += b; hash[2] += c; hash[3] += d;
+            hash[4] += e; hash[5] += f; hash[6] += g; hash[7] += h;
+        }
+
+        const digest = new Uint8Array(32);
+        for (let i = 0; i < 8; i++) {
+            digest[i * 4] = hash[i] >>> 24;
+            digest[i * 4 + 1] = (hash[i] >>> 16) & 0xFF;
+            digest[i * 4 + 2] = (hash[i] >>> 8) & 0xFF;
+            digest[i * 4 + 3] = hash[i] & 0xFF;
+        }
+        return digest;
+    }
+
+    /**
+     * Compute the HMAC-SHA256 of a message.
+     * @param {Uint8Array} key
+     * @param {Uint8Array} message
+     * @returns {Uint8Array} 32 bytes.
+     * @private
+     */
+    static _hmac(key, message) {
+        const block = new Uint8Array(64);
+        block.set(key.length > 64 ? this._sha256(key) : key);
+
+        const inner = new Uint8Array(64 + message.length);
+        const outer = new Uint8Array(64 + 32);
+        for (let i = 0; i < 64; i++) {
+            inner[i] = block[i] ^ 0x36;
+            outer[i] = block[i] ^ 0x5c;
+        }
+        inner.set(message, 64);
+        outer.set(this._sha256(inner), 64);
+        return this._sha256(outer);
+    }
+
+    /**
+     * Encode a string as UTF-8 bytes.
+     * @param {string} text
+     * @returns {Uint8Array}
+     * @private
+     */
+    static _utf8(text) {
+        const binary = unescape(encodeURIComponent(text));
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes;
+    }
+
+    /**
+     * Split 16-bit words into bytes (little-endian).
+     * @param {number[]} words
+     * @returns {Uint8Array}
+     * @private
+     */
+    static _bytes(words) {
+        const bytes = new Uint8Array(words.length * 2);
+        for (let i = 0; i < words.length; i++) {
+            bytes[i * 2] = words[i] & 0xFF;
+            bytes[i * 2 + 1] = words[i] >>> 8;
+        }
+        return bytes;
+    }
+}
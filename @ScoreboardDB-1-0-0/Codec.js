@@ -0,0 +1,153 @@
+/**
+ * Error thrown when a stored payload fails its integrity check
+ * (e.g., an encrypted record edited by hand or written with another key).
+ */
+export class IntegrityError extends Error {
+    /**
+     * @param {string} message
+     * @param {string|null} [objectiveName] - The objective holding the payload, when known.
+     */
+    constructor(message, objectiveName = null) {
+        super(message);
+        this.name = "IntegrityError";
+        this.objectiveName = objectiveName;
+    }
+}
+
+/**
+ * Codec Interface
+ * * Describes a reversible transformation of the serialized records
+ * (compression, encryption...), applied by ScoreboardStorage between
+ * JSON.stringify and the participant names (see ScoreboardStorage.useCodec()).
+ *
+ * Encoded payloads are stored as `~<tag><body>`: the tag tells which codec
+ * wrote a record, so plain JSON records and records written by another
+ * codec stay readable side by side.
+ *
+ * Implementations must extend this class and override every method.
+ * The static bit packing helpers let them store binary data in
+ * characters that are safe in participant names.
+ */
+export class Codec {
+
+    /**
+     * Bits of data stored in each character by the packing helpers.
+     * @type {number}
+     */
+    static BITS_PER_CHAR = 14;
+
+    /**
+     * Code point of the character holding the value 0.
+     * The CJK ideographs block (U+4E00 - U+8DFF) is printable, outside of the surrogate
+     * range and free of the quotes/control characters that participant names dislike.
+     * @type {number}
+     */
+    static CHAR_BASE = 0x4E00;
+
+    /**
+     * A single character identifying the codec in the stored payloads.
+     * @type {string}
+     */
+    tag = "";
+
+    /**
+     * Encode a serialized record.
+     * @param {string} json - The JSON of the record.
+     * @returns {string|null} The encoded body, or null to store the JSON as is
+     *   (e.g., when compression would not save any space).
+     */
+    encode(json) {
+        throw new Error(`[Codec] encode() is not implemented by ${this.constructor.name}.`);
+    }
+
+    /**
+     * Decode a body produced by encode().
+     * @param {string} body - The stored payload, without its `~<tag>` header.
+     * @returns {string} The JSON of the record.
+     * @throws {Error} If the body is malformed.
+     */
+    decode(body) {
+        throw new Error(`[Codec] decode() is not implemented by ${this.constructor.name}.`);
+    }
+
+    /* =========================
+       BIT PACKING
+    ========================= */
+
+    /**
+     * Create a writer packing values into characters, least significant bits first.
+     * @returns {{write: function(number, number): void, finish: function(): string}}
+     * @protected
+     */
+    static _writer() {
+        const { BITS_PER_CHAR, CHAR_BASE } = this;
+        const mask = (1 << BITS_PER_CHAR) - 1;
+        const chars = [];
+        let buffer = 0;
+        let count = 0;
+
+        const write = (value, bits) => {
+            // Keep the buffer within 32 bits
+            if (bits > 16) {
+                write(value & 0xFFFF, 16);
+                write(Math.floor(value / 0x10000), bits - 16);
+                return;
+            }
+
+            buffer |= value << count;
+            count += bits;
+            while (count >= BITS_PER_CHAR) {
+                chars.push(String.fromCharCode(CHAR_BASE + (buffer & mask)));
+                buffer >>>= BITS_PER_CHAR;
+                count -= BITS_PER_CHAR;
+            }
+        };
+
+        const finish = () => {
+            if (count > 0) chars.push(String.fromCharCode(CHAR_BASE + (buffer & mask)));
+            return chars.join("");
+        };
+
+        return { write, finish };
+    }
+
+    /**
+     * Create a reader for the values packed by _writer().
+     * @param {string} body
+     * @returns {{read: function(number): number}}
+     * @protected
+     */
+    static _reader(body) {
+        const { BITS_PER_CHAR, CHAR_BASE } = this;
+        const mask = (1 << BITS_PER_CHAR) - 1;
+        let position = 0;
+        let buffer = 0;
+        let count = 0;
+
+        const read = (bits) => {
+            if (bits > 16) {
+                const low = read(16);
+                return low + read(bits - 16) * 0x10000;
+            }
+
+            while (count < bits) {
+                if (position >= body.length) {
+                    throw new Error("[Codec] Corrupted payload: unexpected end of data.");
+                }
+                const value = body.charCodeAt(position++) - CHAR_BASE;
+                if (value < 0 || value > mask) {
+                    throw new Error("[Codec] Corrupted payload: invalid character.");
+                }
+                buffer |= value << count;
+                count += BITS_PER_CHAR;
+            }
+
+            const value = buffer & ((1 << bits) - 1);
+            buffer >>>= bits;
+            count -= bits;
+            return value;
+        };
+
+        return { read };
+    }
+}
@@ -0,0 +1,206 @@
+import { ScoreboardStorage } from "./ScoreboardStorage.js";
+import { CacheManager } from "./CacheManager.js";
+import { DataSchema } from "./DataSchema.js";
+import { Relation } from "./Relation.js";
+
+/**
+ * Collection (Model)
+ * * Binds an objective to its schema, its cache and its relations once,
+ * instead of passing the objective name to every static call:
+ * - insert() resolves the schema defaults before saving, and the attached
+ *   schema validates every write (see DataSchema.attach());
+ * - reads and writes go through the CacheManager when the collection is cached;
+ * - the declared relations are bound, and reads can populate them.
+ *
+ * Open collections with `collection()` from ScoreboardDB.js.
+ */
+export class Collection {
+
+    /**
+     * @param {string} objectiveName - The objective holding the records (e.g., "players").
+     * @param {object} [options]
+     * @param {{manager: DataSchema, name: string}} [options.schema] - The schema manager and the schema the records must match.
+     * @param {boolean} [options.cached=false] - Read and write through the CacheManager.
+     * @param {Array<{field: string, target: string, targetField: string, as: string, reverse?: boolean, onDelete?: string, checkOnSave?: boolean}>} [options.relations]
+     *   Relations of the objective (see Relation.bind() and Relation.bindReverse()). A relation already bound under the same 'as' name is kept.
+     * @throws {TypeError} If the objective name or an option is invalid.
+     * @throws {Error} If the schema has not been defined.
+     */
+    constructor(objectiveName, { schema, cached = false, relations = [] } = {}) {
+        if (typeof objectiveName !== "string" || objectiveName.trim() === "") {
+            throw new TypeError(`[Collection] Invalid objective name: '${objectiveName}'. Must be a non-empty string.`);
+        }
+        if (typeof cached !== "boolean") {
+            throw new TypeError("[Collection] 'cached' must be a boolean.");
+        }
+        if (!Array.isArray(relations)) {
+            throw new TypeError("[Collection] 'relations' must be an array.");
+        }
+
+        /**
+         * The objective holding the records.
+         * @type {string}
+         */
+        this.name = objectiveName;
+
+        /**
+         * The API the records are read and written through.
+         * @type {typeof ScoreboardStorage|typeof CacheManager}
+         */
+        this.store = cached ? CacheManager : ScoreboardStorage;
+
+        /**
+         * The schema of the records, if any.
+         * @type {{manager: DataSchema, name: string}|null}
+         */
+        this.schema = null;
+
+        if (schema !== undefined) {
+            if (!(schema?.manager instanceof DataSchema) || typeof schema.name !== "string") {
+                throw new TypeError("[Collection] 'schema' must be { manager: <DataSchema>, name: <schema name> }.");
+            }
+            schema.manager.attach(objectiveName, schema.name);
+            this.schema = { manager: schema.manager, name: schema.name };
+        }
+
+        for (const relation of relations) this._bind(relation);
+    }
+
+    /**
+     * Bind a relation of the objective, unless one is already bound under the same name.
+     * @param {{field: string, target: string, targetField: string, as: string, reverse?: boolean, onDelete?: string, checkOnSave?: boolean}} relation
+     * @throws {TypeError} If the relation is invalid.
+     */
+    _bind(relation) {
+        if (typeof relation !== "object" || relation === null) {
+            throw new TypeError("[Collection] Each relation must be an object { field, target, targetField, as }.");
+        }
+
+        const { field, target, targetField, as, reverse = false, onDelete, checkOnSave } = relation;
+        if (Relation._bindings.get(this.name)?.some(binding => binding.as === as)) return;
+
+        const bind = reverse ? Relation.bindReverse : Relation.bind;
+        bind.call(Relation, this.name, field, target, targetField, as, { onDelete, checkOnSave });
+    }
+
+    /* =========================
+       WRITE
+    ========================= */
+
+    /**
+     * Save a new record, with the missing fields filled from the schema.
+     * @param {object} data - The (partial) record.
+     * @returns {number} The ID of the new record.
+     * @throws {SchemaValidationError} If the record does not match the schema.
+     * @throws {UniqueConstraintError} If the record breaks a unique constraint.
+     */
+    insert(data) {
+        const record = this.schema ? this.schema.manager.resolve(this.schema.name, data) : data;
+        return this.store.save(this.name, record);
+    }
+
+    /**
+     * Update records (partial update / merge).
+     * @param {number|object|function} query - A record ID, an object query, or (data) => boolean.
+     * @param {object|function} newData - The properties to update, OR a callback (oldData) => newData.
+     * @returns {number} The amount of records updated.
+     * @throws {TypeError} If query or newData are invalid.
+     */
+    update(query, newData) {
+        if (typeof query !== "number") {
+            return this.store.update(this.name, query, newData);
+        }
+
+        if (typeof newData !== "function" && (typeof newData !== "object" || newData === null)) {
+            throw new TypeError("[Collection] newData must be an object or a function.");
+        }
+
+        const oldData = this.store.getElementById(this.name, query);
+        if (oldData === null) return 0;
+
+        const updated = typeof newData === "function" ? newData(oldData) : { ...oldData, ...newData };
+        return this.store.updateById(this.name, query, updated) ? 1 : 0;
+    }
+
+    /**
+     * Delete records. As in ScoreboardStorage.delete(), a missing query never deletes everything.
+     * @param {number|object|function} query - A record ID, an object query, or (data) => boolean.
+     * @returns {number} The amount of records deleted.
+     * @throws {TypeError} If the query is invalid.
+     */
+    remove(query) {
+        if (typeof query === "number") {
+            return this.store.deleteById(this.name, query) ? 1 : 0;
+        }
+        return this.store.delete(this.name, query);
+    }
+
+    /* =========================
+       READ
+    ========================= */
+
+    /**
+     * Retrieve the records matching a query.
+     * @param {object|function} [query] - Optional. An object query, or (data) => boolean.
+     * @param {object} [options] - Optional. The query options of getElements() (sort, after, skip, limit, fields), and:
+     * @param {boolean|string|Array<string>} [options.populate] - Populate every relation (true) or the named ones.
+     * @param {number} [options.depth=1] - The population depth (see Relation.populate()).
+     * @returns {Array<{id: number, data: object}>}
+     * @throws {TypeError} If the query or the options are invalid.
+     */
+    find(query, options) {
+        const { populate, depth, ...queryOptions } = options ?? {};
+        const records = this.store.getElements(this.name, query, options === undefined ? undefined : queryOptions);
+        return this._populate(records, populate, depth);
+    }
+
+    /**
+     * Retrieve a single record.
+     * @param {number|object|function} query - A record ID, an object query, or (data) => boolean.
+     * @param {object} [options] - Optional. { populate, depth }, as in find().
+     * @returns {{id: number, data: object}|null} The record (the first match for a query), or null if not found.
+     * @throws {TypeError} If the query is invalid.
+     */
+    findOne(query, { populate, depth } = {}) {
+        let record;
+        if (typeof query === "number") {
+            const data = this.store.getElementById(this.name, query);
+            record = data === null ? null : { id: query, data };
+        } else {
+            record = this.store.find(this.name, query);
+        }
+        return this._populate(record, populate, depth);
+    }
+
+    /**
+     * Inject the linked records into records read from this collection.
+     * Populated records hold extra fields: write back the stored data, not the populated one.
+     * @param {{id: number, data: object}|Array<{id: number, data: object}>|null} records
+     * @param {string|Array<string>} [relations] - Optional. The relations ('as' names) to populate. If omitted, populates all.
+     * @param {object} [options] - Optional. { depth }, see Relation.populate().
+     * @returns {{id: number, data: object}|Array<{id: number, data: object}>|null} New records with populated data.
+     * @throws {TypeError} If the depth is invalid.
+     */
+    populate(records, relations, options) {
+        if (!records) return null;
+
+        // A single call for every record: each target objective is read once
+        const list = Array.isArray(records) ? records : [records];
+        const populated = Relation.populate(this.name, list.map(record => record.data), relations ?? null, options);
+        const result = list.map((record, i) => ({ id: record.id, data: populated[i] }));
+
+        return Array.isArray(records) ? result : result[0];
+    }
+
+    /**
+     * Apply the 'populate' read option.
+     * @param {{id: number, data: object}|Array<{id: number, data: object}>|null} records
+     * @param {boolean|string|Array<string>|undefined} populate
+     * @param {number|undefined} depth
+     * @returns {{id: number, data: object}|Array<{id: number, data: object}>|null}
+     */
+    _populate(records, populate, depth) {
+        if (!populate) return records;
+        return this.populate(records, populate === true ? null : populate, { depth });
+    }
+}
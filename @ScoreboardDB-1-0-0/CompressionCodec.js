@@ -0,0 +1,137 @@
+import { Codec } from "./Codec.js";
+
+/**
+ * Compression Codec
+ * * Compresses records with an LZW-style dictionary scheme: repeated keys and
+ * values are replaced by short codes, which makes a big difference on
+ * JSON, where every record repeats the same property names.
+ *
+ * The output is packed 14 bits per character (see Codec._writer()), so a
+ * participant name can hold far more data than with raw JSON.
+ *
+ * Records that would not shrink are stored as plain JSON.
+ */
+export class CompressionCodec extends Codec {
+
+    tag = "z";
+
+    /* =========================
+       CODEC
+    ========================= */
+
+    encode(json) {
+        const body = CompressionCodec.compress(json);
+
+        // The stored payload also holds the `~z` header
+        return body.length + 2 < json.length ? body : null;
+    }
+
+    decode(body) {
+        return CompressionCodec.decompress(body);
+    }
+
+    /* =========================
+       COMPRESSION
+    ========================= */
+
+    /**
+     * Compress a string.
+     * Codes 0 and 1 introduce a new 8-bit/16-bit character, code 2 ends the stream,
+     * and every other code refers to a dictionary entry. Codes grow one bit wider
+     * each time the dictionary doubles, exactly as the decoder expects them.
+     * @param {string} input
+     * @returns {string} The compressed body.
+     */
+    static compress(input) {
+        const writer = this._writer();
+        const dictionary = new Map();
+        let nextCode = 3;
+        const width = () => 32 - Math.clz32(nextCode - 1);
+
+        let w = "";
+        for (let i = 0; i < input.length; i++) {
+            const c = input[i];
+            const wc = w + c;
+            if (dictionary.has(wc)) {
+                w = wc;
+                continue;
+            }
+
+            if (w !== "") {
+                writer.write(dictionary.get(w), width());
+                dictionary.set(wc, nextCode++);
+            }
+            if (dictionary.has(c)) {
+                w = c;
+                continue;
+            }
+
+            // First occurrence of the character: emit it as a literal
+            const charCode = c.charCodeAt(0);
+            if (charCode < 256) {
+                writer.write(0, width());
+                writer.write(charCode, 8);
+            } else {
+                writer.write(1, width());
+                writer.write(charCode, 16);
+            }
+            dictionary.set(c, nextCode++);
+            w = "";
+        }
+
+        if (w !== "") {
+            writer.write(dictionary.get(w), width());
+            nextCode++; // The decoder reserves an entry after every code
+        }
+        writer.write(2, width());
+
+        return writer.finish();
+    }
+
+    /**
+     * Decompress a body produced by compress().
+     * @param {string} body
+     * @returns {string}
+     * @throws {Error} If the body is truncated or corrupted.
+     */
+    static decompress(body) {
+        const reader = this._reader(body);
+        const entries = [null, null, null];
+        const output = [];
+
+        // The entry of the previous code: its dictionary successor is only known
+        // once the first character of the next token is read
+        let previous = null;
+
+        while (true) {
+            const size = entries.length + (previous !== null ? 1 : 0);
+            const token = reader.read(32 - Math.clz32(size - 1));
+
+            if (token === 2) break;
+
+            if (token === 0 || token === 1) {
+                const c = String.fromCharCode(reader.read(token === 0 ? 8 : 16));
+                if (previous !== null) entries.push(previous + c);
+                entries.push(c);
+                output.push(c);
+                previous = null;
+                continue;
+            }
+
+            let entry;
+            if (token < entries.length) {
+                entry = entries[token];
+            } else if (token === entries.length && previous !== null) {
+                entry = previous + previous[0];
+            } else {
+                throw new Error("[CompressionCodec] Corrupted payload: unknown code.");
+            }
+
+            if (previous !== null) entries.push(previous + entry[0]);
+            output.push(entry);
+            previous = entry;
+        }
+
+        return output.join("");
+    }
+}
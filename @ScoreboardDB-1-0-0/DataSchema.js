@@ -1,4 +1,21 @@
-import { ScoreboardStorage } from "./ScoreboardStorage";
+import { ScoreboardStorage } from "./ScoreboardStorage.js";
+
+/**
+ * Error thrown when data does not match its schema.
+ * The 'errors' array lists every offending field.
+ */
+export class SchemaValidationError extends Error {
+    /**
+     * @param {string} schemaName - The schema the data was checked against.
+     * @param {Array<{field: string, rule: string, message: string}>} errors - The offending fields.
+     */
+    constructor(schemaName, errors) {
+        super(`[DataSchema] Data does not match schema '${schemaName}': ${errors.map(e => e.message).join(" ")}`);
+        this.name = "SchemaValidationError";
+        this.schemaName = schemaName;
+        this.errors = errors;
+    }
+}
 
 /**
  * Data Schema Utility
@@ -6,9 +23,25 @@ import { ScoreboardStorage } from "./ScoreboardStorage";
  * It automatically fills in missing fields with default values
  * or executes generator functions (e.g., for UUIDs or Timestamps)
  * before saving the data to the database.
+ * Fields can also be declared with typed descriptors
+ * (e.g., { type: "number", required: true, min: 0 }) to validate records.
+ * Versioned schemas stamp their records and upgrade old ones
+ * through a chain of migration functions.
  */
 export class DataSchema {
 
+    /**
+     * The field types a descriptor can declare.
+     * @type {string[]}
+     */
+    static TYPES = ["number", "string", "boolean", "array", "object", "vector3"];
+
+    /**
+     * The field holding the schema version of a record.
+     * @type {string}
+     */
+    static VERSION_FIELD = "_v";
+
     /**
      * Initializes the Schema Manager.
      * @param {string} scoreboardName - The objective name where schema metadata will be saved.
@@ -31,6 +64,40 @@ export class DataSchema {
          * @type {Map<string, object>}
          */
         this.schemas = new Map();
+
+        /**
+         * Versioning options of the versioned schemas.
+         * Structure: Map<SchemaName, {version: number, migrations: Object<number, function>}>
+         * @type {Map<string, {version: number, migrations: Object<number, function(object): object>}>}
+         */
+        this.versions = new Map();
+
+        /**
+         * Unique constraints of each schema: the fields (dotted paths) whose combined values
+         * no two records may share.
+         * Structure: Map<SchemaName, Array<Array<Field>>>
+         * @type {Map<string, Array<string[]>>}
+         */
+        this.constraints = new Map();
+
+        /**
+         * Objectives guarded through attach(), with the schema they use.
+         * Structure: Map<ObjectiveName, SchemaName>
+         * @type {Map<string, string>}
+         */
+        this.attached = new Map();
+    }
+
+    /**
+     * Check if a schema entry is a typed field descriptor
+     * (a plain object whose 'type' is one of DataSchema.TYPES)
+     * rather than a static default value.
+     * @param {any} value - The schema entry.
+     * @returns {boolean}
+     */
+    static _isDescriptor(value) {
+        return typeof value === "object" && value !== null && !Array.isArray(value)
+            && DataSchema.TYPES.includes(value.type);
     }
 
     /* =========================
@@ -39,33 +106,87 @@ export class DataSchema {
 
     /**
      * Registers a new data schema. This should be executed when the world starts.
+     * Each field is either a default value, a generator function, or a typed descriptor:
+     * { type, required, default, min, max, enum, pattern, schema, encrypted, unique }.
+     * Fields with `encrypted: true` are stored encrypted by the objectives the schema is
+     * attached to (see ScoreboardStorage.useCipher()). Fields with `unique: true` (and the
+     * combinations listed in 'options.unique') cannot be shared by two records of those objectives.
+     * Defining a schema again replaces it, for the objectives already attached to it too.
      * @param {string} schemaName - The name of the schema (e.g., "PlayerSchema").
-     * @param {object} schemaDefinition - The object defining default values or generator functions.
+     * @param {object} schemaDefinition - The object defining default values, generator functions or field descriptors.
+     * @param {object} [options]
+     * @param {number} [options.version] - Optional. Current version of the data shape (integer >= 1). Makes the schema versioned.
+     * @param {Object<number, function(object): object>} [options.migrations] - For each version above 1, the function upgrading a record from the previous version.
+     * @param {Array<string|string[]>} [options.unique] - Optional. Fields, or combinations of fields, that must be unique together
+     *   (e.g., [["guildId", "rank"]]: one leader per guild, but many guilds can have one).
      * @throws {TypeError} If the parameters are invalid.
      */
-    define(schemaName, schemaDefinition) {
+    define(schemaName, schemaDefinition, { version, migrations = {}, unique = [] } = {}) {
         if (typeof schemaName !== "string" || schemaName.trim() === "") {
             throw new TypeError("[DataSchema] Schema name must be a valid string.");
         }
         if (typeof schemaDefinition !== "object" || schemaDefinition === null) {
             throw new TypeError("[DataSchema] Schema definition must be an object.");
         }
+        if (version !== undefined) {
+            if (!Number.isInteger(version) || version < 1) {
+                throw new TypeError("[DataSchema] Schema version must be an integer >= 1.");
+            }
+            for (let v = 2; v <= version; v++) {
+                if (typeof migrations[v] !== "function") {
+                    throw new TypeError(`[DataSchema] Schema '${schemaName}' is missing the migration to version ${v}.`);
+                }
+            }
+        }
+
+        if (!Array.isArray(unique)) {
+            throw new TypeError("[DataSchema] Unique constraints must be an array of fields or field combinations.");
+        }
+        const constraints = this._uniqueFields(schemaDefinition).map(field => [field]);
+        for (const constraint of unique) {
+            const fields = Array.isArray(constraint) ? constraint : [constraint];
+            if (fields.length === 0 || !fields.every(field => typeof field === "string" && field.trim() !== "")) {
+                throw new TypeError(`[DataSchema] Invalid unique constraint in schema '${schemaName}': expected a field or an array of fields.`);
+            }
+            constraints.push(fields);
+        }
 
         // 1. Save the operational logic (including functions) in RAM
         this.schemas.set(schemaName, schemaDefinition);
+        this.constraints.set(schemaName, constraints);
+        if (version !== undefined) {
+            this.versions.set(schemaName, { version, migrations });
+        } else {
+            this.versions.delete(schemaName);
+        }
 
         // 2. Save a textual representation in the dedicated scoreboard
         // We only extract the keys to prevent JSON.stringify from crashing due to functions
         const schemaMetadata = {
             name: schemaName,
             fields: Object.keys(schemaDefinition),
+            version: version ?? 1,
             registeredAt: Date.now()
         };
         
         // Check if a schema with this name already exists in the scoreboard to avoid duplicates
-        const existing = ScoreboardStorage.exists(this.scoreboardName, { name: schemaName });
+        const existing = ScoreboardStorage.getElements(this.scoreboardName, { name: schemaName })[0];
         if (!existing) {
             ScoreboardStorage.save(this.scoreboardName, schemaMetadata);
+        } else if (existing.data.version !== schemaMetadata.version
+            || JSON.stringify(existing.data.fields) !== JSON.stringify(schemaMetadata.fields)) {
+            // The data shape changed: keep track of the current fields and version
+            ScoreboardStorage.updateById(this.scoreboardName, existing.id, {
+                ...existing.data,
+                fields: schemaMetadata.fields,
+                version: schemaMetadata.version,
+                updatedAt: Date.now()
+            });
+        }
+
+        // 3. Objectives already guarded by this schema switch to the new definition
+        for (const [objectiveName, attachedSchema] of this.attached.entries()) {
+            if (attachedSchema === schemaName) this.attach(objectiveName, schemaName);
         }
     }
 
@@ -82,34 +203,344 @@ export class DataSchema {
      * @throws {Error} If the requested schema has not been defined.
      */
     resolve(schemaName, inputData = {}) {
+        return this._stamp(schemaName, this._resolveFields(this._getSchema(schemaName), inputData));
+    }
+
+    /**
+     * Get a registered schema definition.
+     * @param {string} schemaName
+     * @returns {object}
+     * @throws {Error} If the requested schema has not been defined.
+     */
+    _getSchema(schemaName) {
         const schema = this.schemas.get(schemaName);
-        
+
         if (!schema) {
             throw new Error(`[DataSchema] Schema '${schemaName}' not found. Make sure to register it using define() on startup.`);
         }
+        return schema;
+    }
 
+    /**
+     * Fill the missing fields of an object from a schema definition (recursive for nested schemas).
+     * @param {object} definition - The schema definition.
+     * @param {object} inputData - The partial data.
+     * @returns {object} A resolved clone of the data.
+     */
+    _resolveFields(definition, inputData) {
         // Create a clone of the input to avoid mutating the original object
         const resolvedData = { ...inputData };
 
         // Iterate over all expected keys from the schema
-        for (const [key, defaultValue] of Object.entries(schema)) {
-            
+        for (const [key, entry] of Object.entries(definition)) {
+            const isDescriptor = DataSchema._isDescriptor(entry);
+            const defaultValue = isDescriptor ? entry.default : entry;
+
             // If the user did NOT provide this field, or passed undefined/null
             if (resolvedData[key] === undefined || resolvedData[key] === null) {
                 
                 // Check if the default value is a function (e.g., UUID Generator)
                 if (typeof defaultValue === "function") {
                     resolvedData[key] = defaultValue(); // Execute the generator function
-                } else {
+                } else if (defaultValue !== undefined || !isDescriptor) {
                     // It's a static fallback value (e.g., defaultRank: 1)
                     resolvedData[key] = defaultValue;
+                } else if (entry.schema) {
+                    // Nested object without default: build it from its own schema
+                    resolvedData[key] = {};
                 }
             }
+
+            // Nested schemas also get their missing fields filled
+            const value = resolvedData[key];
+            if (isDescriptor && entry.schema && typeof value === "object" && value !== null && !Array.isArray(value)) {
+                resolvedData[key] = this._resolveFields(entry.schema, value);
+            }
         }
 
         return resolvedData;
     }
 
+    /* =========================
+       VALIDATION
+    ========================= */
+
+    /**
+     * Checks data against the typed descriptors of a schema.
+     * Fields declared with a plain default value are not checked.
+     * @param {string} schemaName - The name of the schema to use.
+     * @param {object} data - The data to check.
+     * @returns {{valid: boolean, errors: Array<{field: string, rule: string, message: string}>}} Every offending field (dotted paths for nested ones).
+     * @throws {Error} If the requested schema has not been defined.
+     */
+    validate(schemaName, data) {
+        const schema = this._getSchema(schemaName);
+        const errors = [];
+
+        if (typeof data !== "object" || data === null || Array.isArray(data)) {
+            errors.push({ field: "", rule: "type", message: "Data must be an object." });
+        } else {
+            this._validateFields(schema, data, "", errors);
+        }
+
+        return { valid: errors.length === 0, errors };
+    }
+
+    /**
+     * Validates data and throws if it does not match its schema.
+     * @param {string} schemaName - The name of the schema to use.
+     * @param {object} data - The data to check.
+     * @throws {SchemaValidationError} If at least one field is invalid.
+     */
+    assertValid(schemaName, data) {
+        const { valid, errors } = this.validate(schemaName, data);
+        if (!valid) {
+            throw new SchemaValidationError(schemaName, errors);
+        }
+    }
+
+    /**
+     * Validate every descriptor field of a definition.
+     * @param {object} definition - The schema definition.
+     * @param {object} data - The object to check.
+     * @param {string} path - Dotted prefix of the current object.
+     * @param {Array<object>} errors - Collected errors.
+     */
+    _validateFields(definition, data, path, errors) {
+        for (const [key, entry] of Object.entries(definition)) {
+            if (!DataSchema._isDescriptor(entry)) continue;
+            this._validateField(entry, data[key], path ? `${path}.${key}` : key, errors);
+        }
+    }
+
+    /**
+     * Validate a single value against its descriptor.
+     * @param {object} descriptor - The field descriptor.
+     * @param {any} value - The value to check.
+     * @param {string} field - Dotted path of the field.
+     * @param {Array<object>} errors - Collected errors.
+     */
+    _validateField(descriptor, value, field, errors) {
+        const fail = (rule, message) => errors.push({ field, rule, message: `'${field}' ${message}` });
+
+        if (value === undefined || value === null) {
+            if (descriptor.required) fail("required", "is required.");
+            return;
+        }
+
+        if (!DataSchema._matchesType(descriptor.type, value)) {
+            fail("type", `must be of type ${descriptor.type}, got ${Array.isArray(value) ? "array" : typeof value}.`);
+            return; // Other rules are meaningless on the wrong type
+        }
+
+        // min/max bound numbers by value, strings and arrays by length
+        const size = typeof value === "number" ? value : (typeof value === "string" || Array.isArray(value)) ? value.length : null;
+        const unit = typeof value === "number" ? "" : " in length";
+        if (size !== null && typeof descriptor.min === "number" && size < descriptor.min) {
+            fail("min", `must be at least ${descriptor.min}${unit}.`);
+        }
+        if (size !== null && typeof descriptor.max === "number" && size > descriptor.max) {
+            fail("max", `must be at most ${descriptor.max}${unit}.`);
+        }
+
+        if (Array.isArray(descriptor.enum) && !descriptor.enum.includes(value)) {
+            fail("enum", `must be one of: ${descriptor.enum.join(", ")}.`);
+        }
+
+        if (descriptor.pattern !== undefined && typeof value === "string") {
+            const pattern = descriptor.pattern instanceof RegExp ? descriptor.pattern : new RegExp(descriptor.pattern);
+            pattern.lastIndex = 0;
+            if (!pattern.test(value)) fail("pattern", `must match ${pattern}.`);
+        }
+
+        if (descriptor.type === "object" && descriptor.schema) {
+            this._validateFields(descriptor.schema, value, field, errors);
+        }
+    }
+
+    /**
+     * Check a value against a descriptor type.
+     * @param {string} type - One of DataSchema.TYPES.
+     * @param {any} value
+     * @returns {boolean}
+     */
+    static _matchesType(type, value) {
+        switch (type) {
+            case "number": return typeof value === "number" && Number.isFinite(value);
+            case "string": return typeof value === "string";
+            case "boolean": return typeof value === "boolean";
+            case "array": return Array.isArray(value);
+            case "object": return typeof value === "object" && !Array.isArray(value);
+            case "vector3": return typeof value === "object" && !Array.isArray(value)
+                && ["x", "y", "z"].every(axis => typeof value[axis] === "number" && Number.isFinite(value[axis]));
+            default: return false;
+        }
+    }
+
+    /**
+     * List the fields marked `encrypted` in a definition (dotted paths for nested schemas).
+     * @param {object} definition - The schema definition.
+     * @param {string} [path] - Dotted prefix of the current object.
+     * @returns {string[]}
+     */
+    _encryptedFields(definition, path = "") {
+        const fields = [];
+        for (const [key, entry] of Object.entries(definition)) {
+            if (!DataSchema._isDescriptor(entry)) continue;
+
+            const field = path ? `${path}.${key}` : key;
+            if (entry.encrypted) {
+                fields.push(field);
+            } else if (entry.schema) {
+                fields.push(...this._encryptedFields(entry.schema, field));
+            }
+        }
+        return fields;
+    }
+
+    /**
+     * List the fields marked `unique` in a definition (dotted paths for nested schemas).
+     * @param {object} definition - The schema definition.
+     * @param {string} [path] - Dotted prefix of the current object.
+     * @returns {string[]}
+     */
+    _uniqueFields(definition, path = "") {
+        const fields = [];
+        for (const [key, entry] of Object.entries(definition)) {
+            if (!DataSchema._isDescriptor(entry)) continue;
+
+            const field = path ? `${path}.${key}` : key;
+            if (entry.unique) fields.push(field);
+            if (entry.schema) fields.push(...this._uniqueFields(entry.schema, field));
+        }
+        return fields;
+    }
+
+    /* =========================
+       VERSIONING
+    ========================= */
+
+    /**
+     * Get the current version of a schema.
+     * @param {string} schemaName
+     * @returns {number} 1 for unversioned schemas.
+     */
+    getVersion(schemaName) {
+        this._getSchema(schemaName);
+        return this.versions.get(schemaName)?.version ?? 1;
+    }
+
+    /**
+     * Upgrades a record to the current version of its schema,
+     * running every migration between its stamp and the current version.
+     * Records without a stamp are considered version 1.
+     * @param {string} schemaName - The name of the schema to use.
+     * @param {object} data - The stored record.
+     * @returns {object} The upgraded record (the same object if already up to date).
+     * @throws {Error} If the record is newer than the schema.
+     */
+    upgrade(schemaName, data) {
+        const versioning = this.versions.get(schemaName);
+        if (!versioning || typeof data !== "object" || data === null) return data;
+
+        const from = data[DataSchema.VERSION_FIELD] ?? 1;
+        if (from > versioning.version) {
+            throw new Error(`[DataSchema] Record version ${from} is newer than schema '${schemaName}' (version ${versioning.version}).`);
+        }
+        if (from === versioning.version) return data;
+
+        let upgraded = data;
+        for (let v = from + 1; v <= versioning.version; v++) {
+            // Migrations get a copy: they may either return a new object or edit it in place
+            const copy = { ...upgraded };
+            upgraded = { ...(versioning.migrations[v](copy) ?? copy), [DataSchema.VERSION_FIELD]: v };
+        }
+        return upgraded;
+    }
+
+    /**
+     * Upgrades and rewrites every outdated record of an objective.
+     * @param {string} objectiveName - The objective to migrate.
+     * @param {string} [schemaName] - Optional. Defaults to the schema attached to the objective.
+     * @returns {number} The amount of records upgraded.
+     * @throws {Error} If no schema is given nor attached.
+     */
+    migrateAll(objectiveName, schemaName = this.attached.get(objectiveName)) {
+        if (!schemaName) {
+            throw new Error(`[DataSchema] No schema attached to '${objectiveName}'. Pass the schema name to migrateAll().`);
+        }
+        const version = this.getVersion(schemaName);
+
+        // One atomic pass: either every outdated record is upgraded, or none is
+        return ScoreboardStorage.transaction(() => {
+            let upgradedCount = 0;
+            for (const record of ScoreboardStorage._rawRecords(objectiveName)) {
+                if ((record.data[DataSchema.VERSION_FIELD] ?? 1) >= version) continue;
+
+                ScoreboardStorage.updateById(objectiveName, record.id, this.upgrade(schemaName, record.data));
+                upgradedCount++;
+            }
+            return upgradedCount;
+        });
+    }
+
+    /**
+     * Stamp the current version on a record of a versioned schema, if missing.
+     * @param {string} schemaName
+     * @param {object} data
+     * @returns {object} The stamped record.
+     */
+    _stamp(schemaName, data) {
+        const versioning = this.versions.get(schemaName);
+        if (!versioning || typeof data !== "object" || data === null || data[DataSchema.VERSION_FIELD] !== undefined) {
+            return data;
+        }
+        return { ...data, [DataSchema.VERSION_FIELD]: versioning.version };
+    }
+
+    /* =========================
+       OBJECTIVE BINDING
+    ========================= */
+
+    /**
+     * Binds a schema to an objective, through ScoreboardStorage and CacheManager alike:
+     * every record saved or updated is version-stamped and validated,
+     * and every record read is upgraded to the current schema version.
+     * Fields marked `encrypted` are encrypted in storage and decrypted on read,
+     * and writes breaking a unique constraint throw a UniqueConstraintError.
+     * @param {string} objectiveName - The objective to guard (e.g., "players").
+     * @param {string} schemaName - The schema its records must match.
+     * @throws {Error} If the requested schema has not been defined.
+     */
+    attach(objectiveName, schemaName) {
+        const schema = this._getSchema(schemaName);
+
+        ScoreboardStorage.attachSchema(objectiveName, {
+            schemaName,
+            encryptedFields: this._encryptedFields(schema),
+            unique: this.constraints.get(schemaName),
+            beforeWrite: (data) => {
+                const stamped = this._stamp(schemaName, data);
+                this.assertValid(schemaName, stamped);
+                return stamped;
+            },
+            afterRead: (data) => this.upgrade(schemaName, data),
+            validate: (data) => this.validate(schemaName, data).errors,
+            describe: () => ({ name: schemaName, version: this.getVersion(schemaName), fields: Object.keys(schema) })
+        });
+        this.attached.set(objectiveName, schemaName);
+    }
+
+    /**
+     * Stops validating the records of an objective.
+     * @param {string} objectiveName
+     */
+    detach(objectiveName) {
+        if (this.attached.delete(objectiveName)) {
+            ScoreboardStorage.detachSchema(objectiveName);
+        }
+    }
+
     /* =========================
        CLEANUP
     ========================= */
@@ -119,9 +550,15 @@ export class DataSchema {
      * Use with caution as this is a destructive action.
      */
     reset() {
-        // 1. Clear the RAM memory
+        // 1. Clear the RAM memory (and stop guarding objectives with the old schemas)
+        for (const objectiveName of this.attached.keys()) {
+            ScoreboardStorage.detachSchema(objectiveName);
+        }
+        this.attached.clear();
         this.schemas.clear();
-        
+        this.versions.clear();
+        this.constraints.clear();
+
         // 2. Physically clear the schema scoreboard
         try {
             ScoreboardStorage.clear(this.scoreboardName);
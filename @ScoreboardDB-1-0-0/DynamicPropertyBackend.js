@@ -0,0 +1,157 @@
+import { world } from "@minecraft/server";
+import { StorageBackend } from "./StorageBackend.js";
+
+/**
+ * Dynamic Property Backend
+ * * A StorageBackend built on world dynamic properties instead of scoreboards.
+ * Records are invisible to `/scoreboard` commands and do not clutter the
+ * objective list, while keeping the exact same ScoreboardStorage API.
+ *
+ * Layout:
+ * `sdb:<objective>`          -> Next free slot (marks the objective as existing)
+ * `sdb:<objective>:<slot>`   -> "<score>:<participant name>", for each slot below the next free one
+ */
+export class DynamicPropertyBackend extends StorageBackend {
+
+    /**
+     * @param {object} [options]
+     * @param {string} [options.prefix="sdb"] - Namespace of the dynamic property keys.
+     * @param {import("@minecraft/server").World} [options.target=world] - The owner of the dynamic properties.
+     */
+    constructor({ prefix = "sdb", target = world } = {}) {
+        super();
+
+        // A string property holds up to 32,767 characters, minus the "<score>:" header
+        this.maxParticipantLength = 32767 - "-2147483648:".length;
+
+        /**
+         * Namespace of the dynamic property keys.
+         * @type {string}
+         */
+        this.prefix = prefix;
+
+        /**
+         * The object owning the dynamic properties (usually the world).
+         * @type {import("@minecraft/server").World}
+         */
+        this.target = target;
+
+        /**
+         * RAM index of the loaded objectives, to avoid scanning every property on each call.
+         * Structure: Map<ObjectiveName, Map<ParticipantName, {slot: number, score: number}>>
+         * @type {Map<string, Map<string, {slot: number, score: number}>>}
+         */
+        this._index = new Map();
+    }
+
+    /* =========================
+       INTERNAL UTILITIES
+    ========================= */
+
+    /**
+     * Key marking an objective and storing its next free slot.
+     * @param {string} objectiveName
+     * @returns {string}
+     */
+    _objectiveKey(objectiveName) {
+        return `${this.prefix}:${objectiveName}`;
+    }
+
+    /**
+     * Load (once) the participants of an objective into the RAM index.
+     * @param {string} objectiveName
+     * @returns {Map<string, {slot: number, score: number}>|null} Null if the objective does not exist.
+     */
+    _load(objectiveName) {
+        if (this._index.has(objectiveName)) {
+            return this._index.get(objectiveName);
+        }
+        if (!this.hasObjective(objectiveName)) return null;
+
+        const participants = new Map();
+        const objectiveKey = this._objectiveKey(objectiveName);
+
+        // Read the exact slot keys: matching on the key prefix would also pick up
+        // the slots of objectives whose name extends this one (e.g., "a" and "a:b")
+        const slots = this.target.getDynamicProperty(objectiveKey);
+        for (let slot = 0; slot < slots; slot++) {
+            const value = this.target.getDynamicProperty(`${objectiveKey}:${slot}`);
+            if (typeof value !== "string") continue; // Freed slot
+
+            const separator = value.indexOf(":");
+            participants.set(value.slice(separator + 1), {
+                slot,
+                score: Number(value.slice(0, separator))
+            });
+        }
+
+        this._index.set(objectiveName, participants);
+        return participants;
+    }
+
+    /* =========================
+       OBJECTIVES
+    ========================= */
+
+    hasObjective(objectiveName) {
+        return this._index.has(objectiveName) || this.target.getDynamicProperty(this._objectiveKey(objectiveName)) !== undefined;
+    }
+
+    createObjective(objectiveName) {
+        if (!this.hasObjective(objectiveName)) {
+            this.target.setDynamicProperty(this._objectiveKey(objectiveName), 0);
+        }
+    }
+
+    /* =========================
+       PARTICIPANTS
+    ========================= */
+
+    getParticipants(objectiveName) {
+        const participants = this._load(objectiveName);
+        if (!participants) return [];
+
+        const result = [];
+        for (const [name, info] of participants.entries()) {
+            result.push({ name, score: info.score });
+        }
+        return result;
+    }
+
+    getScore(objectiveName, participant) {
+        return this._load(objectiveName)?.get(participant)?.score;
+    }
+
+    setScore(objectiveName, participant, score) {
+        const participants = this._load(objectiveName);
+        if (!participants) {
+            throw new Error(`[DynamicPropertyBackend] Objective '${objectiveName}' does not exist.`);
+        }
+        if (participant.length > this.maxParticipantLength) {
+            throw new RangeError(`[DynamicPropertyBackend] Participant name exceeds ${this.maxParticipantLength} characters.`);
+        }
+
+        let info = participants.get(participant);
+        if (!info) {
+            const objectiveKey = this._objectiveKey(objectiveName);
+            const slot = this.target.getDynamicProperty(objectiveKey);
+            this.target.setDynamicProperty(objectiveKey, slot + 1);
+
+            info = { slot, score };
+            participants.set(participant, info);
+        }
+
+        info.score = score;
+        this.target.setDynamicProperty(`${this._objectiveKey(objectiveName)}:${info.slot}`, `${score}:${participant}`);
+    }
+
+    removeParticipant(objectiveName, participant) {
+        const participants = this._load(objectiveName);
+        const info = participants?.get(participant);
+        if (!info) return false;
+
+        this.target.setDynamicProperty(`${this._objectiveKey(objectiveName)}:${info.slot}`, undefined);
+        participants.delete(participant);
+        return true;
+    }
+}
@@ -0,0 +1,141 @@
+/**
+ * Lifecycle Hooks Utility
+ * * Lets addons react to the data changes of an objective (collection)
+ * without wrapping every call site: audit logs, sidebar refreshes,
+ * custom rejections... Hooks fire from both ScoreboardStorage and
+ * CacheManager, whichever one performed the write.
+ *
+ * - "before" hooks run before the write: they may return new data (or mutate
+ *   `event.data`) to modify it, or return `false` to cancel the write.
+ * - "after" hooks run once the write is done, with the final data.
+ *
+ * Every listener receives an event: { objectiveName, id, oldData, data }
+ * ('id' is null in beforeSave; saves have no 'oldData' and deletes no 'data').
+ */
+export class Hooks {
+
+    /**
+     * Supported hook names.
+     * @type {string[]}
+     */
+    static EVENTS = ["beforeSave", "afterSave", "beforeUpdate", "afterUpdate", "beforeDelete", "afterDelete"];
+
+    /**
+     * The registered listeners.
+     * Structure: Map<ObjectiveName, Map<EventName, Array<Listener>>>
+     * @type {Map<string, Map<string, Array<function(object): any>>>}
+     */
+    static _listeners = new Map();
+
+    /* =========================
+       REGISTRATION
+    ========================= */
+
+    /**
+     * Register a hook on an objective.
+     * @param {string} objectiveName - The objective to watch.
+     * @param {string} event - One of Hooks.EVENTS.
+     * @param {function(object): any} listener - Receives { objectiveName, id, oldData, data }.
+     * @returns {function(): boolean} A function removing the hook.
+     * @throws {TypeError} If the event is unknown or the listener is not a function.
+     */
+    static on(objectiveName, event, listener) {
+        if (!this.EVENTS.includes(event)) {
+            throw new TypeError(`[Hooks] Unknown event '${event}'. Use one of: ${this.EVENTS.join(", ")}.`);
+        }
+        if (typeof listener !== "function") {
+            throw new TypeError("[Hooks] Listener must be a function.");
+        }
+
+        if (!this._listeners.has(objectiveName)) {
+            this._listeners.set(objectiveName, new Map());
+        }
+        const events = this._listeners.get(objectiveName);
+        if (!events.has(event)) {
+            events.set(event, []);
+        }
+        events.get(event).push(listener);
+
+        return () => this.off(objectiveName, event, listener);
+    }
+
+    /**
+     * Remove a hook.
+     * @param {string} objectiveName
+     * @param {string} event
+     * @param {function(object): any} listener - The function given to on().
+     * @returns {boolean} True if the hook was registered.
+     */
+    static off(objectiveName, event, listener) {
+        const listeners = this._listeners.get(objectiveName)?.get(event);
+        const index = listeners ? listeners.indexOf(listener) : -1;
+        if (index === -1) return false;
+
+        listeners.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Remove every hook of an objective (or of every objective).
+     * @param {string} [objectiveName] - Optional.
+     */
+    static clear(objectiveName) {
+        if (objectiveName === undefined) {
+            this._listeners.clear();
+        } else {
+            this._listeners.delete(objectiveName);
+        }
+    }
+
+    /**
+     * Check if an objective has listeners for any of the given events.
+     * Writers use it to skip reading the old data when nobody listens.
+     * @param {string} objectiveName
+     * @param {...string} events
+     * @returns {boolean}
+     */
+    static has(objectiveName, ...events) {
+        const registered = this._listeners.get(objectiveName);
+        if (!registered) return false;
+        return events.some(event => (registered.get(event)?.length || 0) > 0);
+    }
+
+    /* =========================
+       DISPATCH (INTERNAL)
+    ========================= */
+
+    /**
+     * Run the "before" listeners of an event, in registration order.
+     * A listener returning an object replaces `event.data` for the next listeners and the write.
+     * @param {string} objectiveName
+     * @param {string} name - The hook name (e.g., "beforeSave").
+     * @param {{objectiveName: string, id: number|null, oldData?: any, data?: any}} event
+     * @returns {boolean} False if a listener cancelled the write.
+     */
+    static _runBefore(objectiveName, name, event) {
+        const listeners = this._listeners.get(objectiveName)?.get(name);
+        if (!listeners) return true;
+
+        for (const listener of [...listeners]) {
+            const result = listener(event);
+            if (result === false) return false;
+            if (result !== undefined && result !== true) event.data = result;
+        }
+        return true;
+    }
+
+    /**
+     * Run the "after" listeners of an event, in registration order.
+     * @param {string} objectiveName
+     * @param {string} name - The hook name (e.g., "afterSave").
+     * @param {{objectiveName: string, id: number, oldData?: any, data?: any}} event
+     */
+    static _runAfter(objectiveName, name, event) {
+        const listeners = this._listeners.get(objectiveName)?.get(name);
+        if (!listeners) return;
+
+        for (const listener of [...listeners]) {
+            listener(event);
+        }
+    }
+}
@@ -0,0 +1,300 @@
+import { ScoreboardStorage } from "./ScoreboardStorage.js";
+import { CacheManager } from "./CacheManager.js";
+import { Relation } from "./Relation.js";
+import { Query } from "./Query.js";
+import { IntegrityError } from "./Codec.js";
+
+/**
+ * Integrity Checker
+ * * Finds (and fixes) the damage that a crash, a manual `/scoreboard` command or
+ * another add-on can leave in an objective: participants that are not records,
+ * duplicate or invalid IDs, a sequence lagging behind the data, references to
+ * deleted records (see Relation) and records breaking their schema (see DataSchema).
+ *
+ * Corrupt records are never deleted: repair() moves them to QUARANTINE_OBJECTIVE,
+ * where they can still be inspected.
+ */
+export class Integrity {
+
+    /**
+     * The objective receiving the entries that repair() cannot read.
+     * Each record holds { objective, id, reason, participants, quarantinedAt }.
+     * @type {string}
+     */
+    static QUARANTINE_OBJECTIVE = "sdb_quarantine";
+
+    /**
+     * Kinds of issues reported by verify().
+     * - "corrupt": a participant that is not a valid record (non-JSON, missing chunks, unknown codec).
+     * - "tampered": an encrypted record failing its integrity check (see IntegrityError).
+     * - "invalid-id": a record stored under ID 0 or a negative ID.
+     * - "duplicate-id": a record sharing its ID with an earlier one.
+     * - "sequence": the ID sequence is behind the highest ID, so save() would hand out used IDs.
+     * - "dangling": a Relation reference to a record that does not exist.
+     * - "schema": a record that does not match its attached schema.
+     * @type {string[]}
+     */
+    static ISSUES = ["corrupt", "tampered", "invalid-id", "duplicate-id", "sequence", "dangling", "schema"];
+
+    /* =========================
+       VERIFICATION
+    ========================= */
+
+    /**
+     * Check every record of an objective without changing anything.
+     * Pending CacheManager writes are flushed first, so the scoreboard is up to date.
+     * @param {string} objectiveName - The name of the objective.
+     * @returns {{objective: string, records: number, ok: boolean, issues: Array<{type: string, id: number, message: string}>}}
+     *   'records' counts the readable records. Issues may carry details: 'participants' (corrupt, tampered, IDs),
+     *   'field', 'key', 'target' (dangling), 'errors' (schema), 'sequence' and 'highestId' (sequence).
+     * @throws {TypeError} If the objective name is invalid.
+     */
+    static verify(objectiveName) {
+        const { issues, records } = this._scan(objectiveName);
+        return { objective: objectiveName, records: records.length, ok: issues.length === 0, issues };
+    }
+
+    /**
+     * Fix the issues reported by verify():
+     * - corrupt and tampered entries are moved to QUARANTINE_OBJECTIVE;
+     * - records with an invalid or duplicate ID get a new ID from the sequence;
+     * - the sequence is moved past the highest ID;
+     * - dangling references are set to null (pulled from arrays), and junction links are deleted.
+     * Schema violations need a human decision: they are left as they are and returned in 'unresolved'.
+     * The repair is atomic and fires no hooks; caches are refreshed (see ScoreboardStorage.onRollback()).
+     * @param {string} objectiveName - The name of the objective.
+     * @param {object} [options]
+     * @param {boolean} [options.dryRun=false] - Only list the actions, without writing anything.
+     * @returns {{objective: string, dryRun: boolean, issues: Array<object>, actions: Array<{type: string, id: number}>, unresolved: Array<object>}}
+     *   Actions are "quarantine", "renumber" (with 'newId'), "sequence" (with 'from' and 'to'),
+     *   "null-reference" and "delete-link" (with 'field' and 'key').
+     * @throws {TypeError} If the objective name is invalid.
+     */
+    static repair(objectiveName, { dryRun = false } = {}) {
+        const { issues, records, broken, sequence, highestId } = this._scan(objectiveName);
+        const actions = [];
+
+        for (const { entry } of broken) {
+            actions.push({ type: "quarantine", id: entry.id, participants: entry.participants });
+        }
+
+        // New IDs come after every ID ever used, corrupt entries included
+        let nextId = Math.max(sequence ?? 0, highestId);
+        for (const record of records) {
+            if (record.renumber) {
+                record.newId = ++nextId;
+                actions.push({ type: "renumber", id: record.entry.id, newId: record.newId });
+            }
+
+            for (const { field, key, junction } of record.dangling) {
+                if (junction) {
+                    record.remove = true;
+                    actions.push({ type: "delete-link", id: record.entry.id, field, key });
+                    break;
+                }
+                const value = Query.get(record.data, field);
+                record.data = Relation._withValue(record.data, field, Array.isArray(value) ? value.filter(v => v !== key) : null);
+                record.changed = true;
+                actions.push({ type: "null-reference", id: record.entry.id, field, key });
+            }
+        }
+
+        if (sequence !== undefined && sequence < nextId) {
+            actions.push({ type: "sequence", id: null, from: sequence, to: nextId });
+        }
+
+        const unresolved = issues.filter(issue => issue.type === "schema");
+        if (dryRun || actions.length === 0) {
+            return { objective: objectiveName, dryRun, issues, actions, unresolved };
+        }
+
+        ScoreboardStorage.transaction(() => {
+            for (const { entry, issue } of broken) {
+                ScoreboardStorage._insert(this.QUARANTINE_OBJECTIVE, {
+                    objective: objectiveName,
+                    id: entry.id,
+                    reason: issue.type,
+                    participants: entry.participants,
+                    quarantinedAt: Date.now()
+                });
+                ScoreboardStorage._removeEntry(objectiveName, entry);
+            }
+
+            for (const record of records) {
+                if (!record.renumber && !record.changed && !record.remove) continue;
+
+                ScoreboardStorage._removeEntry(objectiveName, record.entry);
+                if (record.remove) continue;
+
+                // Untouched payloads are moved as stored (codec and encryption included)
+                const json = record.changed ? ScoreboardStorage._stringify(record.data, objectiveName) : record.entry.raw;
+                ScoreboardStorage._writeEntry(objectiveName, record.newId ?? record.entry.id, json);
+            }
+
+            if (sequence !== undefined && sequence < nextId) {
+                ScoreboardStorage._journal(objectiveName);
+                ScoreboardStorage._getBackend(objectiveName).setScore(objectiveName, ScoreboardStorage.SEQUENCE_PARTICIPANT, nextId);
+            }
+        });
+
+        ScoreboardStorage._notifyRewritten([objectiveName, this.QUARANTINE_OBJECTIVE]);
+        return { objective: objectiveName, dryRun, issues, actions, unresolved };
+    }
+
+    /* =========================
+       INTERNALS
+    ========================= */
+
+    /**
+     * Read and classify every entry of an objective.
+     * @param {string} objectiveName
+     * @returns {{issues: Array<object>, records: Array<object>, broken: Array<{entry: object, issue: object}>,
+     *   sequence: number|undefined, highestId: number}}
+     * @private
+     */
+    static _scan(objectiveName) {
+        if (typeof objectiveName !== "string" || objectiveName.trim() === "") {
+            throw new TypeError(`[Integrity] Invalid objective name: '${objectiveName}'. Must be a non-empty string.`);
+        }
+
+        // Pending write-behind records must be on the scoreboard to be checked
+        CacheManager.flush(objectiveName);
+
+        const issues = [];
+        const records = [];
+        const broken = [];
+        if (!ScoreboardStorage._hasObjective(objectiveName)) {
+            return { issues, records, broken, sequence: undefined, highestId: 0 };
+        }
+
+        const binding = ScoreboardStorage._schemas.get(objectiveName);
+        const references = Relation.referencesOf(objectiveName).map(link => ({ ...link, keys: this._keys(link.parent, link.parentKey) }));
+        const seen = new Set();
+        let highestId = 0;
+
+        for (const entry of ScoreboardStorage._entries(objectiveName)) {
+            const { id, participants } = entry;
+            highestId = Math.max(highestId, id);
+
+            let data;
+            try {
+                data = ScoreboardStorage._parse(entry.raw, objectiveName, true);
+            } catch (err) {
+                if (!(err instanceof IntegrityError)) throw err;
+                const issue = { type: "tampered", id, participants, message: `Record ${id} failed its integrity check (edited by hand, or encrypted with another key).` };
+                issues.push(issue);
+                broken.push({ entry, issue });
+                continue;
+            }
+
+            if (data === null) {
+                const message = entry.raw === null
+                    ? `Record ${id} is missing some of its chunks.`
+                    : `Participant ${JSON.stringify(participants[0].slice(0, 32))} (score ${id}) is not a valid record.`;
+                const issue = { type: "corrupt", id, participants, message };
+                issues.push(issue);
+                broken.push({ entry, issue });
+                continue;
+            }
+
+            const record = { entry, data, renumber: false, dangling: [] };
+            records.push(record);
+
+            if (id <= 0) {
+                record.renumber = true;
+                issues.push({ type: "invalid-id", id, participants, message: `Record ${id} has an invalid ID (IDs start at 1).` });
+            } else if (seen.has(id)) {
+                record.renumber = true;
+                issues.push({ type: "duplicate-id", id, participants, message: `Record ${id} shares its ID with another record.` });
+            }
+            seen.add(id);
+
+            if (binding) this._checkSchema(binding, record, issues);
+            this._checkReferences(references, record, issues);
+        }
+
+        const sequence = ScoreboardStorage._getBackend(objectiveName).getScore(objectiveName, ScoreboardStorage.SEQUENCE_PARTICIPANT);
+        if (sequence !== undefined && sequence < highestId) {
+            issues.push({ type: "sequence", id: null, sequence, highestId, message: `The ID sequence (${sequence}) is behind the highest ID (${highestId}).` });
+        }
+
+        return { issues, records, broken, sequence, highestId };
+    }
+
+    /**
+     * Check a record against the attached schema binding, on its upgraded data.
+     * Upgraded data replaces the stored one, so a repaired record is rewritten in the current version.
+     * @param {object} binding - The schema binding of the objective.
+     * @param {{entry: object, data: any}} record
+     * @param {Array<object>} issues - Collected issues.
+     * @private
+     */
+    static _checkSchema(binding, record, issues) {
+        const { id } = record.entry;
+        try {
+            if (typeof binding.afterRead === "function") record.data = binding.afterRead(record.data);
+        } catch (err) {
+            issues.push({ type: "schema", id, errors: [], message: `Record ${id} cannot be upgraded: ${err.message}` });
+            return;
+        }
+
+        const errors = typeof binding.validate === "function" ? binding.validate(record.data) : [];
+        if (errors.length > 0) {
+            issues.push({ type: "schema", id, errors, message: `Record ${id} does not match schema '${binding.schemaName}': ${errors.map(e => e.message).join(" ")}` });
+        }
+    }
+
+    /**
+     * Look for the keys referenced by a record that match no parent record.
+     * @param {Array<{parent: string, parentKey: string, childField: string, junction: boolean, keys: Set<any>}>} references
+     * @param {{entry: object, data: any, dangling: Array<object>}} record
+     * @param {Array<object>} issues - Collected issues.
+     * @private
+     */
+    static _checkReferences(references, record, issues) {
+        const { id } = record.entry;
+        if (typeof record.data !== "object") return;
+
+        for (const { parent, parentKey, childField, junction, keys } of references) {
+            const value = Query.get(record.data, childField);
+            for (const key of Array.isArray(value) ? value : [value]) {
+                if (key === undefined || key === null || keys.has(key)) continue;
+
+                record.dangling.push({ field: childField, key, junction });
+                issues.push({
+                    type: "dangling",
+                    id,
+                    field: childField,
+                    key,
+                    target: parent,
+                    message: `Record ${id} references a missing '${parent}' record through '${childField}' (${parentKey} = ${JSON.stringify(key)}).`
+                });
+            }
+        }
+    }
+
+    /**
+     * Collect the values of a field across the readable records of an objective.
+     * @param {string} objectiveName
+     * @param {string} field
+     * @returns {Set<any>}
+     * @private
+     */
+    static _keys(objectiveName, field) {
+        CacheManager.flush(objectiveName);
+
+        const keys = new Set();
+        if (!ScoreboardStorage._hasObjective(objectiveName)) return keys;
+
+        for (const entry of ScoreboardStorage._entries(objectiveName)) {
+            let data;
+            try {
+                data = ScoreboardStorage._decode(objectiveName, entry.raw, true);
+            } catch (err) {
+                continue; // Unreadable parents are reported by their own verify()
+            }
+            if (data !== null && typeof data === "object") keys.add(Query.get(data, field));
+        }
+        return keys;
+    }
+}
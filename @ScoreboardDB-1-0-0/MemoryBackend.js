@@ -0,0 +1,83 @@
+import { StorageBackend } from "./StorageBackend.js";
+
+/**
+ * Memory Backend
+ * * An in-memory stand-in for the world scoreboard.
+ * It behaves like the ScoreboardBackend (same limits, same 32-bit scores)
+ * but has no dependency on "@minecraft/server", so the whole library
+ * can be run and tested under plain Node on a build machine.
+ */
+export class MemoryBackend extends StorageBackend {
+
+    /**
+     * @param {object} [options]
+     * @param {number} [options.maxParticipantLength=32767] - Lower it to exercise chunking with small records.
+     */
+    constructor({ maxParticipantLength = 32767 } = {}) {
+        super();
+
+        this.maxParticipantLength = maxParticipantLength;
+
+        /**
+         * The simulated scoreboard.
+         * Structure: Map<ObjectiveName, Map<ParticipantName, Score>>
+         * @type {Map<string, Map<string, number>>}
+         */
+        this.objectives = new Map();
+    }
+
+    /* =========================
+       OBJECTIVES
+    ========================= */
+
+    hasObjective(objectiveName) {
+        return this.objectives.has(objectiveName);
+    }
+
+    createObjective(objectiveName) {
+        if (!this.objectives.has(objectiveName)) {
+            this.objectives.set(objectiveName, new Map());
+        }
+    }
+
+    /* =========================
+       PARTICIPANTS
+    ========================= */
+
+    getParticipants(objectiveName) {
+        const objective = this.objectives.get(objectiveName);
+        if (!objective) return [];
+
+        const result = [];
+        for (const [name, score] of objective.entries()) {
+            result.push({ name, score });
+        }
+        return result;
+    }
+
+    getScore(objectiveName, participant) {
+        return this.objectives.get(objectiveName)?.get(participant);
+    }
+
+    setScore(objectiveName, participant, score) {
+        const objective = this.objectives.get(objectiveName);
+        if (!objective) {
+            throw new Error(`[MemoryBackend] Objective '${objectiveName}' does not exist.`);
+        }
+        if (!Number.isInteger(score) || score < -2147483648 || score > 2147483647) {
+            throw new RangeError(`[MemoryBackend] Score ${score} is not a 32-bit integer.`);
+        }
+        if (participant.length > this.maxParticipantLength) {
+            throw new RangeError(`[MemoryBackend] Participant name exceeds ${this.maxParticipantLength} characters.`);
+        }
+
+        objective.set(participant, score);
+    }
+
+    removeParticipant(objectiveName, participant) {
+        const objective = this.objectives.get(objectiveName);
+        if (!objective) return false;
+
+        return objective.delete(participant);
+    }
+}
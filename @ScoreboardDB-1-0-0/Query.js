@@ -0,0 +1,547 @@
+/**
+ * Query Matching Utility
+ * * The single matcher behind every object query of the library
+ * (ScoreboardStorage, CacheManager...). Supports exact values,
+ * Mongo-style operators and dotted paths to nested fields.
+ *
+ * Example: { "stats.kills": { $gte: 10 }, faction: { $in: ["Red", "Blue"] } }
+ * It also shapes query results (sort, skip/cursor, limit, fields projection)
+ * and runs aggregation pipelines ($match, $group, $sort, $skip, $limit).
+ */
+export class Query {
+
+    /* =========================
+       PATHS
+    ========================= */
+
+    /**
+     * Read a (possibly nested) field using a dotted path.
+     * @param {any} data - The object to read.
+     * @param {string} path - Example: "stats.kills".
+     * @returns {any} The value, or undefined if any step of the path is missing.
+     */
+    static get(data, path) {
+        if (!path.includes(".")) return data?.[path];
+
+        let value = data;
+        for (const key of path.split(".")) {
+            if (value === undefined || value === null) return undefined;
+            value = value[key];
+        }
+        return value;
+    }
+
+    /* =========================
+       MATCHING
+    ========================= */
+
+    /**
+     * Check if a record matches a query.
+     * - If 'query' is undefined or null: always matches.
+     * - If 'query' is a function: returns its result.
+     * - If 'query' is an object: every key must match (field conditions and $and/$or/$not).
+     * @param {any} data - The parsed record.
+     * @param {object|function} [query] - The query to evaluate.
+     * @returns {boolean}
+     * @throws {TypeError} If the query uses an unknown operator.
+     */
+    static match(data, query) {
+        if (query === undefined || query === null) return true;
+        if (typeof query === "function") return Boolean(query(data));
+
+        for (const key in query) {
+            const condition = query[key];
+
+            switch (key) {
+                case "$and":
+                    if (!this._asArray(key, condition).every(q => this.match(data, q))) return false;
+                    break;
+                case "$or":
+                    if (!this._asArray(key, condition).some(q => this.match(data, q))) return false;
+                    break;
+                case "$not":
+                    if (this.match(data, condition)) return false;
+                    break;
+                default:
+                    if (key.startsWith("$")) {
+                        throw new TypeError(`[Query] Unknown logical operator '${key}'.`);
+                    }
+                    if (!this._matchField(this.get(data, key), condition)) return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Check if a value is an operator object (e.g., { $gt: 5 }).
+     * @param {any} condition
+     * @returns {boolean}
+     */
+    static isOperator(condition) {
+        if (typeof condition !== "object" || condition === null || Array.isArray(condition)) return false;
+
+        const keys = Object.keys(condition);
+        return keys.length > 0 && keys.every(k => k.startsWith("$"));
+    }
+
+    /**
+     * Match a single field value against a condition (exact value or operator object).
+     * @param {any} value - The field value.
+     * @param {any} condition - The condition.
+     * @returns {boolean}
+     */
+    static _matchField(value, condition) {
+        if (!this.isOperator(condition)) {
+            return this._equals(value, condition);
+        }
+
+        for (const operator in condition) {
+            const operand = condition[operator];
+
+            switch (operator) {
+                case "$eq":
+                    if (!this._equals(value, operand)) return false;
+                    break;
+                case "$ne":
+                    if (this._equals(value, operand)) return false;
+                    break;
+                case "$gt":
+                    if (!(this._comparable(value, operand) && value > operand)) return false;
+                    break;
+                case "$gte":
+                    if (!(this._comparable(value, operand) && value >= operand)) return false;
+                    break;
+                case "$lt":
+                    if (!(this._comparable(value, operand) && value < operand)) return false;
+                    break;
+                case "$lte":
+                    if (!(this._comparable(value, operand) && value <= operand)) return false;
+                    break;
+                case "$in":
+                    if (!this._asArray(operator, operand).some(v => this._equals(value, v))) return false;
+                    break;
+                case "$nin":
+                    if (this._asArray(operator, operand).some(v => this._equals(value, v))) return false;
+                    break;
+                case "$exists":
+                    if ((value !== undefined) !== Boolean(operand)) return false;
+                    break;
+                case "$regex": {
+                    if (typeof value !== "string") return false;
+                    const regex = operand instanceof RegExp ? operand : new RegExp(operand, condition.$options || "");
+                    regex.lastIndex = 0;
+                    if (!regex.test(value)) return false;
+                    break;
+                }
+                case "$options":
+                    break; // Flags of $regex
+                case "$contains":
+                    if (Array.isArray(value)) {
+                        if (!value.some(v => this._equals(v, operand))) return false;
+                    } else if (typeof value === "string") {
+                        if (!value.includes(operand)) return false;
+                    } else {
+                        return false;
+                    }
+                    break;
+                case "$has":
+                    if (!(Array.isArray(value) ? value : [value]).some(v => this._equals(v, operand))) return false;
+                    break;
+                case "$not":
+                    if (this._matchField(value, operand)) return false;
+                    break;
+                default:
+                    throw new TypeError(`[Query] Unknown operator '${operator}'.`);
+            }
+        }
+        return true;
+    }
+
+    /* =========================
+       RESULT SHAPING
+    ========================= */
+
+    /**
+     * Apply the query options to a list of matched records.
+     * - 'sort': { field: 1 | -1 | "asc" | "desc", ... }, keys applied in order. Ties are broken by ID.
+     * - 'after': the last record of the previous page ({ id, data }); returns the records placed after it.
+     * - 'skip' / 'limit': non-negative integers.
+     * - 'fields': array of (dotted) paths to keep in each record's data. The sort keys are always
+     *   kept too, so that the last record of a page can be passed as the next 'after' cursor.
+     * Without 'sort', a cursor orders the records by ID. The input array is never modified.
+     * @param {Array<{id: number, data: any}>} records - The matched records.
+     * @param {object} [options] - The query options.
+     * @returns {Array<{id: number, data: any}>} The shaped records.
+     * @throws {TypeError} If an option is invalid.
+     */
+    static shape(records, options) {
+        if (options === undefined || options === null) return records;
+        this.validateOptions(options);
+
+        const { sort, after, skip = 0, limit, fields } = options;
+        const keys = this._sortKeys(sort);
+        let result = records;
+
+        if (keys.length > 0 || after !== undefined) {
+            const compare = (a, b) => this._compareRecords(a, b, keys);
+            result = [...result].sort(compare);
+            if (after !== undefined) result = result.filter(record => compare(record, after) > 0);
+        }
+
+        if (skip > 0 || limit !== undefined) {
+            result = result.slice(skip, limit === undefined ? undefined : skip + limit);
+        }
+
+        if (fields !== undefined) {
+            const kept = [...fields, ...keys.map(key => key.path).filter(path => !fields.includes(path))];
+            result = result.map(record => ({ id: record.id, data: this.project(record.data, kept) }));
+        }
+        return result;
+    }
+
+    /**
+     * Validate a query options object.
+     * @param {object} options
+     * @throws {TypeError} If an option is invalid.
+     */
+    static validateOptions(options) {
+        if (typeof options !== "object" || options === null || Array.isArray(options)) {
+            throw new TypeError("[Query] Options must be an object.");
+        }
+
+        const { sort, after, skip, limit, fields } = options;
+        for (const [name, value] of [["skip", skip], ["limit", limit]]) {
+            if (value !== undefined && (!Number.isInteger(value) || value < 0)) {
+                throw new TypeError(`[Query] '${name}' must be a non-negative integer.`);
+            }
+        }
+        if (sort !== undefined) this._sortKeys(sort);
+        if (after !== undefined && (typeof after !== "object" || after === null || typeof after.id !== "number")) {
+            throw new TypeError("[Query] 'after' must be a record ({ id, data }) returned by a previous page.");
+        }
+        if (fields !== undefined && (!Array.isArray(fields) || !fields.every(f => typeof f === "string"))) {
+            throw new TypeError("[Query] 'fields' must be an array of field paths.");
+        }
+    }
+
+    /**
+     * Copy only the requested (dotted) paths of a record.
+     * @param {any} data - The record data.
+     * @param {Array<string>} fields - Example: ["name", "stats.kills"].
+     * @returns {object} A new object holding the requested fields (missing ones are omitted).
+     */
+    static project(data, fields) {
+        const result = {};
+        for (const path of fields) {
+            const value = this.get(data, path);
+            if (value === undefined) continue;
+
+            const steps = path.split(".");
+            let target = result;
+            for (const step of steps.slice(0, -1)) {
+                if (typeof target[step] !== "object" || target[step] === null) target[step] = {};
+                target = target[step];
+            }
+            target[steps[steps.length - 1]] = value;
+        }
+        return result;
+    }
+
+    /**
+     * Normalize a sort specification.
+     * @param {object} [sort] - Example: { level: -1, name: "asc" }.
+     * @returns {Array<{path: string, direction: number}>}
+     * @throws {TypeError} If a direction is invalid.
+     */
+    static _sortKeys(sort) {
+        if (sort === undefined || sort === null) return [];
+        if (typeof sort !== "object" || Array.isArray(sort)) {
+            throw new TypeError("[Query] 'sort' must be an object, e.g. { level: -1 }.");
+        }
+
+        return Object.entries(sort).map(([path, direction]) => {
+            if (direction === 1 || direction === "asc") return { path, direction: 1 };
+            if (direction === -1 || direction === "desc") return { path, direction: -1 };
+            throw new TypeError(`[Query] Invalid sort direction for '${path}': use 1, -1, "asc" or "desc".`);
+        });
+    }
+
+    /**
+     * Compare two records by the sort keys, then by ID.
+     * @param {{id: number, data: any}} a
+     * @param {{id: number, data: any}} b
+     * @param {Array<{path: string, direction: number}>} keys
+     * @returns {number}
+     */
+    static _compareRecords(a, b, keys) {
+        for (const { path, direction } of keys) {
+            const order = this._compareValues(this.get(a.data, path), this.get(b.data, path));
+            if (order !== 0) return order * direction;
+        }
+        return a.id - b.id;
+    }
+
+    /**
+     * Total order over JSON values: missing < null < numbers < strings < booleans < objects.
+     * @param {any} a
+     * @param {any} b
+     * @returns {number}
+     */
+    static _compareValues(a, b) {
+        const rank = v => {
+            if (v === undefined) return 0;
+            if (v === null) return 1;
+            switch (typeof v) {
+                case "number": return 2;
+                case "string": return 3;
+                case "boolean": return 4;
+                default: return 5;
+            }
+        };
+
+        const rankA = rank(a);
+        const rankB = rank(b);
+        if (rankA !== rankB) return rankA - rankB;
+        if (rankA === 5) return 0; // Objects and arrays are not ordered
+        if (a === b) return 0;
+        return a < b ? -1 : 1;
+    }
+
+    /* =========================
+       AGGREGATION
+    ========================= */
+
+    /**
+     * Supported accumulators of a $group stage.
+     * Each one folds the values of a path (or a constant) into a single result.
+     */
+    static ACCUMULATORS = ["$count", "$sum", "$avg", "$min", "$max", "$push"];
+
+    /**
+     * Run an aggregation pipeline over documents (records data).
+     * Stages run in order, each one receiving the output of the previous one:
+     * - { $match: query }: keeps the documents matching the query (see match).
+     * - { $group: { by: path | [paths] | null, <name>: { <accumulator>: path } } }: one row per distinct key.
+     * - { $sort: { field: 1 | -1 } }, { $skip: n }, { $limit: n }.
+     * Example: [{ $match: { online: true } }, { $group: { by: "faction", total: { $sum: "money" } } }]
+     * @param {Array<any>} documents - The input documents.
+     * @param {Array<object>} pipeline - The stages.
+     * @returns {Array<object>} The output of the last stage.
+     * @throws {TypeError} If the pipeline is invalid.
+     */
+    static aggregate(documents, pipeline) {
+        this.validatePipeline(pipeline);
+
+        let rows = documents;
+        for (const stage of pipeline) {
+            const [name] = Object.keys(stage);
+            const spec = stage[name];
+
+            switch (name) {
+                case "$match":
+                    rows = rows.filter(row => this.match(row, spec));
+                    break;
+                case "$group":
+                    rows = this._group(rows, spec);
+                    break;
+                case "$sort": {
+                    const keys = this._sortKeys(spec);
+                    rows = rows
+                        .map((row, index) => ({ id: index, data: row }))
+                        .sort((a, b) => this._compareRecords(a, b, keys))
+                        .map(record => record.data);
+                    break;
+                }
+                case "$skip":
+                    rows = rows.slice(spec);
+                    break;
+                case "$limit":
+                    rows = rows.slice(0, spec);
+                    break;
+            }
+        }
+        return rows;
+    }
+
+    /**
+     * Validate an aggregation pipeline.
+     * @param {Array<object>} pipeline
+     * @throws {TypeError} If a stage or an accumulator is invalid.
+     */
+    static validatePipeline(pipeline) {
+        if (!Array.isArray(pipeline)) {
+            throw new TypeError("[Query] Pipeline must be an array of stages.");
+        }
+
+        for (const stage of pipeline) {
+            const names = typeof stage === "object" && stage !== null ? Object.keys(stage) : [];
+            if (names.length !== 1) {
+                throw new TypeError("[Query] Each pipeline stage must be an object with a single key, e.g. { $match: {...} }.");
+            }
+
+            const [name] = names;
+            const spec = stage[name];
+            switch (name) {
+                case "$match":
+                    if (typeof spec !== "object" && typeof spec !== "function") {
+                        throw new TypeError("[Query] $match expects a query.");
+                    }
+                    break;
+                case "$group":
+                    this._groupAccumulators(spec);
+                    break;
+                case "$sort":
+                    this._sortKeys(spec);
+                    break;
+                case "$skip":
+                case "$limit":
+                    if (!Number.isInteger(spec) || spec < 0) {
+                        throw new TypeError(`[Query] ${name} expects a non-negative integer.`);
+                    }
+                    break;
+                default:
+                    throw new TypeError(`[Query] Unknown pipeline stage '${name}'.`);
+            }
+        }
+    }
+
+    /**
+     * Group documents and compute their accumulators.
+     * @param {Array<any>} documents
+     * @param {object} spec - The $group stage.
+     * @returns {Array<object>} One row per group, holding the group fields and the accumulated values.
+     */
+    static _group(documents, spec) {
+        const paths = spec.by === undefined || spec.by === null ? [] : [].concat(spec.by);
+        const accumulators = this._groupAccumulators(spec);
+        const groups = new Map();
+
+        for (const document of documents) {
+            const values = paths.map(path => this.get(document, path) ?? null);
+            const key = JSON.stringify(values);
+
+            if (!groups.has(key)) groups.set(key, { values, documents: [] });
+            groups.get(key).documents.push(document);
+        }
+
+        // Without 'by', an empty input still produces one row (e.g. a count of 0)
+        if (paths.length === 0 && groups.size === 0) {
+            groups.set("[]", { values: [], documents: [] });
+        }
+
+        const rows = [];
+        for (const { values, documents: members } of groups.values()) {
+            const row = {};
+            paths.forEach((path, i) => { row[path] = values[i]; });
+
+            for (const { name, operator, operand } of accumulators) {
+                row[name] = this._accumulate(operator, operand, members);
+            }
+            rows.push(row);
+        }
+        return rows;
+    }
+
+    /**
+     * Parse the accumulators of a $group stage.
+     * @param {object} spec - The $group stage.
+     * @returns {Array<{name: string, operator: string, operand: any}>}
+     * @throws {TypeError} If the stage or an accumulator is invalid.
+     */
+    static _groupAccumulators(spec) {
+        if (typeof spec !== "object" || spec === null || Array.isArray(spec)) {
+            throw new TypeError("[Query] $group expects an object, e.g. { by: \"faction\", total: { $sum: \"money\" } }.");
+        }
+
+        const accumulators = [];
+        for (const name in spec) {
+            if (name === "by") continue;
+
+            const accumulator = spec[name];
+            const operators = typeof accumulator === "object" && accumulator !== null ? Object.keys(accumulator) : [];
+            if (operators.length !== 1 || !this.ACCUMULATORS.includes(operators[0])) {
+                throw new TypeError(`[Query] Invalid accumulator for '${name}'. Use one of: ${this.ACCUMULATORS.join(", ")}.`);
+            }
+            accumulators.push({ name, operator: operators[0], operand: accumulator[operators[0]] });
+        }
+        return accumulators;
+    }
+
+    /**
+     * Compute one accumulator over the documents of a group.
+     * $sum/$avg ignore non-numeric values; $min/$max ignore missing and null values.
+     * @param {string} operator - The accumulator.
+     * @param {any} operand - A path, or a constant number ($sum: 1 counts documents).
+     * @param {Array<any>} documents
+     * @returns {any} The result, or null when no value was accumulated ($avg/$min/$max).
+     */
+    static _accumulate(operator, operand, documents) {
+        if (operator === "$count") return documents.length;
+
+        const values = documents.map(document => typeof operand === "string" ? this.get(document, operand) : operand);
+
+        switch (operator) {
+            case "$sum":
+                return values.reduce((total, v) => typeof v === "number" ? total + v : total, 0);
+            case "$avg": {
+                const numbers = values.filter(v => typeof v === "number");
+                return numbers.length > 0 ? numbers.reduce((a, b) => a + b, 0) / numbers.length : null;
+            }
+            case "$min":
+            case "$max": {
+                const sign = operator === "$min" ? -1 : 1;
+                let result = null;
+                for (const v of values) {
+                    if (v === undefined || v === null) continue;
+                    if (result === null || this._compareValues(v, result) * sign > 0) result = v;
+                }
+                return result;
+            }
+            case "$push":
+                return values.filter(v => v !== undefined);
+        }
+    }
+
+    /**
+     * Deep equality for JSON values (records are always JSON data).
+     * @param {any} a
+     * @param {any} b
+     * @returns {boolean}
+     */
+    static _equals(a, b) {
+        if (a === b) return true;
+        if (typeof a !== "object" || typeof b !== "object" || a === null || b === null) return false;
+        if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+        const keysA = Object.keys(a);
+        const keysB = Object.keys(b);
+        if (keysA.length !== keysB.length) return false;
+
+        return keysA.every(key => Object.prototype.hasOwnProperty.call(b, key) && this._equals(a[key], b[key]));
+    }
+
+    /**
+     * Range operators only compare numbers with numbers and strings with strings.
+     * @param {any} value
+     * @param {any} operand
+     * @returns {boolean}
+     */
+    static _comparable(value, operand) {
+        const type = typeof value;
+        return (type === "number" || type === "string") && type === typeof operand;
+    }
+
+    /**
+     * Ensure an operator operand is an array.
+     * @param {string} operator
+     * @param {any} operand
+     * @returns {Array}
+     * @throws {TypeError} If the operand is not an array.
+     */
+    static _asArray(operator, operand) {
+        if (!Array.isArray(operand)) {
+            throw new TypeError(`[Query] Operator '${operator}' expects an array.`);
+        }
+        return operand;
+    }
+}
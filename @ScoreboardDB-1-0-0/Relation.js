@@ -1,10 +1,16 @@
 import { ScoreboardStorage } from "./ScoreboardStorage.js";
+import { CacheManager } from "./CacheManager.js";
+import { Hooks } from "./Hooks.js";
+import { Query } from "./Query.js";
 
 /**
  * Relation Management Utility
  * * Handles "Foreign Key" relationships between different data objectives.
- * Supports Direct relations (1:1, N:1, N:N) and Reverse relations (1:N) to hydrate
- * raw data with the actual linked objects directly from the scoreboard.
+ * Supports Direct relations (1:1, N:1, N:N), Reverse relations (1:N) and Junction
+ * relations (N:N through a link objective) to hydrate raw data with the actual
+ * linked objects directly from the scoreboard.
+ * Bindings can also enforce referential integrity (on-delete policies and
+ * on-save existence checks) through lifecycle hooks (see Hooks).
  */
 export class Relation {
     /**
@@ -14,6 +20,29 @@ export class Relation {
      */
     static _bindings = new Map();
 
+    /**
+     * Supported on-delete policies, applied to the records referencing a deleted record.
+     * - "restrict": the deletion throws while references exist.
+     * - "cascade": the referencing records are deleted too.
+     * - "set-null": the referencing field is set to null.
+     * - "pull": the deleted key is removed from the referencing array (scalar fields are set to null).
+     * @type {string[]}
+     */
+    static ON_DELETE = ["restrict", "cascade", "set-null", "pull"];
+
+    /**
+     * Functions removing the hooks registered for integrity rules (see reset()).
+     * @type {Array<function(): boolean>}
+     */
+    static _hookRemovers = [];
+
+    /**
+     * Stores the junction objectives of N:N relations (see bindJunction).
+     * Structure: Map<JunctionObjective, {from: JunctionSide, to: JunctionSide}>
+     * @type {Map<string, {from: object, to: object}>}
+     */
+    static _junctions = new Map();
+
     /* =========================
        DEFINITION
     ========================= */
@@ -22,13 +51,16 @@ export class Relation {
      * Defines a DIRECT relationship (1:1, N:1, N:N).
      * The source object contains the Foreign Key (or array of Keys).
      * @param {string} sourceObjective - The objective containing the foreign key(s) (e.g., "players").
-     * @param {string} localField - The attribute holding the ID(s) (e.g., "guildId").
+     * @param {string} localField - The attribute holding the ID(s) (e.g., "guildId", or a dotted path like "guild.uuid").
      * @param {string} targetObjective - The objective where the linked data lives (e.g., "guilds").
      * @param {string} targetField - The attribute in the target matching the ID (e.g., "uuid").
      * @param {string} as - The new field name where the populated object will be injected (e.g., "guildData").
+     * @param {object} [options] - Optional integrity rules.
+     * @param {string} [options.onDelete] - What happens to the source records when their target is deleted (see ON_DELETE).
+     * @param {boolean} [options.checkOnSave=false] - Reject source saves/updates referencing a missing target.
      */
-    static bind(sourceObjective, localField, targetObjective, targetField, as) {
-        this._addBinding(sourceObjective, localField, targetObjective, targetField, as, false);
+    static bind(sourceObjective, localField, targetObjective, targetField, as, options = {}) {
+        this._addBinding(sourceObjective, localField, targetObjective, targetField, as, false, options);
     }
 
     /**
@@ -40,31 +72,303 @@ export class Relation {
      * @param {string} targetObjective - The objective containing the children (e.g., "players").
      * @param {string} targetField - The child's attribute pointing to the parent (e.g., "guildId").
      * @param {string} as - The new field name where the populated array will be injected (e.g., "memberData").
+     * @param {object} [options] - Optional integrity rules.
+     * @param {string} [options.onDelete] - What happens to the children when their parent (source record) is deleted (see ON_DELETE).
+     * @param {boolean} [options.checkOnSave=false] - Reject child saves/updates referencing a missing parent.
+     */
+    static bindReverse(sourceObjective, localField, targetObjective, targetField, as, options = {}) {
+        this._addBinding(sourceObjective, localField, targetObjective, targetField, as, true, options);
+    }
+
+    /**
+     * Defines a MANY-TO-MANY relationship through a junction objective.
+     * Each link is a small record of the junction objective holding both keys
+     * (e.g., { from: "<player uuid>", to: "<quest id>" }), so no side stores a growing array.
+     * Both sides can be populated, and the links are deleted with either side.
+     * @param {string} junctionObjective - The objective storing the links (e.g., "player_quests").
+     * @param {{objective: string, field: string, as: string, key?: string}} from - The first side:
+     *   its objective, its ID attribute, the field where its linked records are injected,
+     *   and the junction attribute holding its key (default "from").
+     * @param {{objective: string, field: string, as: string, key?: string}} to - The second side (junction attribute default "to").
+     * @throws {TypeError} If a parameter is invalid or both sides use the same junction attribute.
      */
-    static bindReverse(sourceObjective, localField, targetObjective, targetField, as) {
-        this._addBinding(sourceObjective, localField, targetObjective, targetField, as, true);
+    static bindJunction(junctionObjective, from, to) {
+        if (!junctionObjective || typeof junctionObjective !== "string") {
+            throw new TypeError("[Relation] Junction objective must be a valid non-empty string.");
+        }
+
+        const sides = [{ key: "from", ...from }, { key: "to", ...to }];
+        for (const side of sides) {
+            if (!side.objective || !side.field || !side.as || !side.key) {
+                throw new TypeError("[Relation] Junction sides need an objective, a field and an 'as' name.");
+            }
+        }
+        const [source, target] = sides;
+        if (source.key === target.key) {
+            throw new TypeError("[Relation] Both junction sides must use a different key.");
+        }
+
+        this._junctions.set(junctionObjective, { from: source, to: target });
+
+        for (const [local, remote] of [[source, target], [target, source]]) {
+            if (!this._bindings.has(local.objective)) {
+                this._bindings.set(local.objective, []);
+            }
+
+            this._bindings.get(local.objective).push({
+                localField: local.field,
+                targetObjective: remote.objective,
+                targetField: remote.field,
+                as: local.as,
+                isReverse: false,
+                junction: { objective: junctionObjective, localKey: local.key, targetKey: remote.key }
+            });
+
+            // A deleted record takes its links with it
+            this._enforceOnDelete({ parent: local.objective, parentKey: local.field, child: junctionObjective, childField: local.key }, "cascade");
+        }
     }
 
     /**
      * Internal helper to register a binding.
      * @private
      */
-    static _addBinding(sourceObjective, localField, targetObjective, targetField, as, isReverse) {
+    static _addBinding(sourceObjective, localField, targetObjective, targetField, as, isReverse, options = {}) {
         if (!sourceObjective || !localField || !targetObjective || !targetField || !as) {
             throw new TypeError("[Relation] All binding parameters must be valid non-empty strings.");
         }
 
+        const { onDelete, checkOnSave = false } = options;
+        if (onDelete !== undefined && !this.ON_DELETE.includes(onDelete)) {
+            throw new TypeError(`[Relation] Invalid onDelete policy '${onDelete}'. Use one of: ${this.ON_DELETE.join(", ")}.`);
+        }
+
         if (!this._bindings.has(sourceObjective)) {
             this._bindings.set(sourceObjective, []);
         }
 
-        this._bindings.get(sourceObjective).push({
+        const binding = {
             localField,
             targetObjective,
             targetField,
             as,
             isReverse
-        });
+        };
+        this._bindings.get(sourceObjective).push(binding);
+
+        const link = this._linkOf(sourceObjective, binding);
+        if (onDelete) this._enforceOnDelete(link, onDelete);
+        if (checkOnSave) this._enforceOnSave(link);
+    }
+
+    /* =========================
+       JUNCTIONS (N:N LINKS)
+    ========================= */
+
+    /**
+     * Link two records through a junction objective.
+     * @param {string} junctionObjective - A junction declared with bindJunction().
+     * @param {any} fromKey - The 'field' value of the 'from' record.
+     * @param {any} toKey - The 'field' value of the 'to' record.
+     * @returns {boolean} True if the link was created, false if it already existed.
+     * @throws {Error} If the junction is unknown or either record does not exist.
+     */
+    static link(junctionObjective, fromKey, toKey) {
+        const { from, to } = this._getJunction(junctionObjective);
+
+        for (const [side, key] of [[from, fromKey], [to, toKey]]) {
+            if (!this._store(side.objective).exists(side.objective, { [side.field]: key })) {
+                throw new Error(`[Relation] Cannot link: no '${side.objective}' record with ${side.field} = ${JSON.stringify(key)}.`);
+            }
+        }
+
+        const store = this._store(junctionObjective);
+        const linkData = { [from.key]: fromKey, [to.key]: toKey };
+        if (store.exists(junctionObjective, linkData)) return false;
+
+        store.save(junctionObjective, linkData);
+        return true;
+    }
+
+    /**
+     * Remove the link between two records.
+     * @param {string} junctionObjective - A junction declared with bindJunction().
+     * @param {any} fromKey - The 'field' value of the 'from' record.
+     * @param {any} toKey - The 'field' value of the 'to' record.
+     * @returns {boolean} True if a link was removed.
+     * @throws {Error} If the junction is unknown.
+     */
+    static unlink(junctionObjective, fromKey, toKey) {
+        const { from, to } = this._getJunction(junctionObjective);
+        return this._store(junctionObjective).delete(junctionObjective, { [from.key]: fromKey, [to.key]: toKey }) > 0;
+    }
+
+    /**
+     * @param {string} junctionObjective
+     * @returns {{from: object, to: object}}
+     * @throws {Error} If the junction was not declared.
+     * @private
+     */
+    static _getJunction(junctionObjective) {
+        const junction = this._junctions.get(junctionObjective);
+        if (!junction) {
+            throw new Error(`[Relation] '${junctionObjective}' is not a junction objective. Declare it with bindJunction() first.`);
+        }
+        return junction;
+    }
+
+    /* =========================
+       REFERENTIAL INTEGRITY
+    ========================= */
+
+    /**
+     * Register the hooks applying an on-delete policy.
+     * "restrict" is checked before the deletion; the other policies run after it,
+     * inside the transaction of the deletion, so a failure rolls everything back.
+     * @param {{parent: string, parentKey: string, child: string, childField: string}} link
+     * @param {string} policy - One of ON_DELETE.
+     * @private
+     */
+    static _enforceOnDelete(link, policy) {
+        const { parent, parentKey, child, childField } = link;
+
+        if (policy === "restrict") {
+            this._hookRemovers.push(Hooks.on(parent, "beforeDelete", ({ id, oldData }) => {
+                const key = Query.get(oldData, parentKey);
+                if (key === undefined || key === null) return;
+
+                const references = this._store(child).count(child, this._referencing(childField, key));
+                if (references > 0) {
+                    throw new Error(`[Relation] Cannot delete record ${id} of '${parent}': ${references} record(s) of '${child}' reference it through '${childField}'.`);
+                }
+            }));
+            return;
+        }
+
+        this._hookRemovers.push(Hooks.on(parent, "afterDelete", ({ oldData }) => {
+            const key = Query.get(oldData, parentKey);
+            if (key === undefined || key === null) return;
+
+            const store = this._store(child);
+            const query = this._referencing(childField, key);
+
+            if (policy === "cascade") {
+                store.delete(child, query);
+            } else if (policy === "set-null") {
+                store.update(child, query, data => this._withValue(data, childField, null));
+            } else {
+                store.update(child, query, data => {
+                    const value = Query.get(data, childField);
+                    return this._withValue(data, childField, Array.isArray(value) ? value.filter(v => v !== key) : null);
+                });
+            }
+        }));
+    }
+
+    /**
+     * Register the hooks rejecting child writes that reference a missing parent.
+     * @param {{parent: string, parentKey: string, child: string, childField: string}} link
+     * @private
+     */
+    static _enforceOnSave(link) {
+        const { parent, parentKey, child, childField } = link;
+
+        const check = ({ data }) => {
+            const value = Query.get(data, childField);
+            const keys = Array.isArray(value) ? value : [value];
+
+            for (const key of keys) {
+                if (key === undefined || key === null) continue;
+                if (!this._store(parent).exists(parent, { [parentKey]: key })) {
+                    throw new Error(`[Relation] '${child}.${childField}' references a missing '${parent}' record (${parentKey} = ${JSON.stringify(key)}).`);
+                }
+            }
+        };
+
+        this._hookRemovers.push(Hooks.on(child, "beforeSave", check));
+        this._hookRemovers.push(Hooks.on(child, "beforeUpdate", check));
+    }
+
+    /**
+     * Describe the reference behind a direct or reverse binding.
+     * The record holding the key is the "parent", the one holding the reference the "child".
+     * @param {string} sourceObjective
+     * @param {object} binding
+     * @returns {{parent: string, parentKey: string, child: string, childField: string}}
+     * @private
+     */
+    static _linkOf(sourceObjective, binding) {
+        const { localField, targetObjective, targetField, isReverse } = binding;
+        return isReverse
+            ? { parent: sourceObjective, parentKey: localField, child: targetObjective, childField: targetField }
+            : { parent: targetObjective, parentKey: targetField, child: sourceObjective, childField: localField };
+    }
+
+    /**
+     * List the references held by the records of an objective (every binding and junction side
+     * in which it is the child), e.g., to look for dangling references (see Integrity.verify()).
+     * @param {string} objectiveName
+     * @returns {Array<{parent: string, parentKey: string, child: string, childField: string, junction: boolean}>}
+     */
+    static referencesOf(objectiveName) {
+        const links = new Map();
+        const add = (link, junction) => {
+            if (link.child !== objectiveName) return;
+            // A relation bound both ways (bind + bindReverse) is a single reference
+            links.set(`${link.parent}.${link.parentKey}<-${link.childField}`, { ...link, junction });
+        };
+
+        for (const [sourceObjective, bindings] of this._bindings.entries()) {
+            for (const binding of bindings) {
+                if (!binding.junction) add(this._linkOf(sourceObjective, binding), false);
+            }
+        }
+        for (const [junctionObjective, sides] of this._junctions.entries()) {
+            for (const side of [sides.from, sides.to]) {
+                add({ parent: side.objective, parentKey: side.field, child: junctionObjective, childField: side.key }, true);
+            }
+        }
+
+        return [...links.values()];
+    }
+
+    /**
+     * Build the query matching the records whose field holds (or, for arrays, contains) a key.
+     * An object query, so CacheManager answers it from an index on the field when there is one.
+     * @param {string} field - A (dotted) path.
+     * @param {any} key
+     * @returns {object}
+     * @private
+     */
+    static _referencing(field, key) {
+        return { [field]: { $has: key } };
+    }
+
+    /**
+     * Copy a record with a new value at a (dotted) path, copying the nested objects on the way.
+     * @param {object} data
+     * @param {string} path
+     * @param {any} value
+     * @returns {object}
+     * @private
+     */
+    static _withValue(data, path, value) {
+        const [key, ...rest] = path.split(".");
+        if (rest.length === 0) return { ...data, [key]: value };
+
+        const nested = data?.[key];
+        return { ...data, [key]: this._withValue(typeof nested === "object" && nested !== null ? nested : {}, rest.join("."), value) };
+    }
+
+    /**
+     * Pick the layer to read/write an objective through: the CacheManager if it holds
+     * the objective (so its RAM copy stays in sync), the ScoreboardStorage otherwise.
+     * @param {string} objectiveName
+     * @returns {typeof CacheManager|typeof ScoreboardStorage}
+     * @private
+     */
+    static _store(objectiveName) {
+        return CacheManager._ids.has(objectiveName) ? CacheManager : ScoreboardStorage;
     }
 
     /* =========================
@@ -73,15 +377,26 @@ export class Relation {
 
     /**
      * Populates a raw object (or array of objects) with its linked relational data.
-     * Extracts linked data directly from the ScoreboardStorage.
+     * Each target objective is read only once per call (through the CacheManager if it holds
+     * the objective, the ScoreboardStorage otherwise) and matched through lookup maps.
      * @param {string} objectiveName - The name of the source objective (e.g., "players").
      * @param {object|Array<object>} rawData - The raw data object(s) to populate.
      * @param {string|Array<string>} [relationsToPopulate] - Optional. The specific relation name(s) (the 'as' field) to populate. If omitted, populates all.
+     * @param {object} [options] - Optional.
+     * @param {number} [options.depth=1] - How many levels to populate. Linked records are populated with all their own
+     *   relations down to this depth (e.g., 2 for player -> guild -> leader). A record already populated higher up
+     *   in the same branch is injected raw, so cycles stop there.
      * @returns {object|Array<object>} A cloned object containing the hydrated data.
+     * @throws {TypeError} If the depth is not a positive integer.
      */
-    static populate(objectiveName, rawData, relationsToPopulate = null) {
+    static populate(objectiveName, rawData, relationsToPopulate = null, options = {}) {
         if (!rawData) return null;
 
+        const { depth = 1 } = options;
+        if (!Number.isInteger(depth) || depth < 1) {
+            throw new TypeError("[Relation] Population depth must be a positive integer.");
+        }
+
         let bindings = this._bindings.get(objectiveName);
         
         if (!bindings || bindings.length === 0) {
@@ -97,63 +412,10 @@ export class Relation {
             bindings = bindings.filter(binding => requestedRelations.includes(binding.as));
         }
 
-        /**
-         * Internal helper to process a single object
-         * @param {object} obj 
-         */
-        const processSingle = (obj) => {
-            const result = { ...obj };
-
-            for (const binding of bindings) {
-                const localValue = result[binding.localField];
-
-                // If localValue is missing, set defaults and skip search
-                if (localValue === undefined || localValue === null) {
-                    result[binding.as] = binding.isReverse ? [] : null;
-                    continue;
-                }
-
-                // Fetch ALL records from the target database via ScoreboardStorage
-                const targetRecords = ScoreboardStorage.getElements(binding.targetObjective);
-
-                if (binding.isReverse) {
-                    // ==========================================
-                    // REVERSE RELATION (1 to N)
-                    // The parent searches for its children
-                    // ==========================================
-                    result[binding.as] = targetRecords
-                        .filter(record => {
-                            const targetVal = record.data[binding.targetField];
-                            // Handle if the child's target field is an array (Reverse N:N)
-                            if (Array.isArray(targetVal)) {
-                                return targetVal.includes(localValue);
-                            }
-                            return targetVal === localValue;
-                        })
-                        .map(record => record.data);
-
-                } else {
-                    // ==========================================
-                    // DIRECT RELATION (1:1, N:1, N:N)
-                    // The child looks for its parent(s)
-                    // ==========================================
-                    if (Array.isArray(localValue)) {
-                        // Array of IDs (N to N)
-                        result[binding.as] = localValue.map(idToFind => {
-                            const match = targetRecords.find(record => record.data[binding.targetField] === idToFind);
-                            return match ? match.data : null;
-                        }).filter(item => item !== null);
-
-                    } else {
-                        // Single ID (N to 1 / 1 to 1)
-                        const match = targetRecords.find(record => record.data[binding.targetField] === localValue);
-                        result[binding.as] = match ? match.data : null;
-                    }
-                }
-            }
+        // Shared by every object of the call: the fetched records and their lookup maps
+        const context = { records: new Map(), lookups: new Map() };
 
-            return result;
-        };
+        const processSingle = (obj) => this._populateOne(obj, bindings, depth, context, new Set());
 
         if (Array.isArray(rawData)) {
             return rawData.map(processSingle);
@@ -162,15 +424,129 @@ export class Relation {
         return processSingle(rawData);
     }
 
+    /**
+     * Populate a single object.
+     * @param {object} obj - The raw object.
+     * @param {Array<object>} bindings - The bindings to resolve.
+     * @param {number} depth - The remaining population levels (1 = only this one).
+     * @param {{records: Map<string, Array<{id: number, data: object}>>, lookups: Map<string, Map<any, Array<{id: number, data: object}>>>}} context
+     * @param {Set<string>} path - The records ("objective#id") populated above this object.
+     * @returns {object}
+     * @private
+     */
+    static _populateOne(obj, bindings, depth, context, path) {
+        const result = { ...obj };
+
+        for (const binding of bindings) {
+            const localValue = Query.get(result, binding.localField);
+
+            // If localValue is missing, set defaults and skip search
+            if (localValue === undefined || localValue === null) {
+                result[binding.as] = binding.isReverse || binding.junction ? [] : null;
+                continue;
+            }
+
+            const lookup = this._lookup(context, binding.targetObjective, binding.targetField, binding.isReverse);
+            const nest = (record) => this._nest(binding.targetObjective, record, depth, context, path);
+
+            if (binding.junction) {
+                // JUNCTION RELATION (N to N): follow the links of the junction objective
+                const { objective, localKey, targetKey } = binding.junction;
+                const links = this._lookup(context, objective, localKey, false).get(localValue) || [];
+
+                result[binding.as] = links
+                    .map(link => lookup.get(link.data[targetKey])?.[0])
+                    .filter(record => record !== undefined)
+                    .map(nest);
+
+            } else if (binding.isReverse) {
+                // REVERSE RELATION (1 to N): the parent gets all its children
+                result[binding.as] = (lookup.get(localValue) || []).map(nest);
+
+            } else if (Array.isArray(localValue)) {
+                // DIRECT RELATION, array of IDs (N to N)
+                result[binding.as] = localValue
+                    .map(idToFind => lookup.get(idToFind)?.[0])
+                    .filter(record => record !== undefined)
+                    .map(nest);
+
+            } else {
+                // DIRECT RELATION, single ID (N to 1 / 1 to 1)
+                const match = lookup.get(localValue)?.[0];
+                result[binding.as] = match ? nest(match) : null;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Populate a linked record one level deeper, unless the depth is exhausted
+     * or the record is already being populated in this branch (cycle).
+     * @param {string} objectiveName - The objective of the linked record.
+     * @param {{id: number, data: object}} record
+     * @param {number} depth - The remaining population levels of the parent.
+     * @param {object} context - See _populateOne.
+     * @param {Set<string>} path - See _populateOne.
+     * @returns {object} The data to inject.
+     * @private
+     */
+    static _nest(objectiveName, record, depth, context, path) {
+        const key = `${objectiveName}#${record.id}`;
+        const bindings = this._bindings.get(objectiveName);
+
+        if (depth <= 1 || !bindings || bindings.length === 0 || path.has(key)) {
+            return record.data;
+        }
+        return this._populateOne(record.data, bindings, depth - 1, context, new Set(path).add(key));
+    }
+
+    /**
+     * Get (or build) the map matching a field value to the records of an objective.
+     * The objective is read once per populate() call, whatever the amount of bindings on it.
+     * @param {object} context - See _populateOne.
+     * @param {string} objectiveName
+     * @param {string} field
+     * @param {boolean} spread - Index array fields by each of their entries (reverse relations).
+     * @returns {Map<any, Array<{id: number, data: object}>>} Matching records, in storage order.
+     * @private
+     */
+    static _lookup(context, objectiveName, field, spread) {
+        const lookupKey = JSON.stringify([objectiveName, field, spread]);
+        if (context.lookups.has(lookupKey)) return context.lookups.get(lookupKey);
+
+        if (!context.records.has(objectiveName)) {
+            context.records.set(objectiveName, this._store(objectiveName).getElements(objectiveName));
+        }
+
+        const lookup = new Map();
+        for (const record of context.records.get(objectiveName)) {
+            const value = Query.get(record.data, field);
+            const keys = spread && Array.isArray(value) ? new Set(value) : [value];
+
+            for (const key of keys) {
+                if (!lookup.has(key)) lookup.set(key, []);
+                lookup.get(key).push(record);
+            }
+        }
+
+        context.lookups.set(lookupKey, lookup);
+        return lookup;
+    }
+
     /* =========================
        CLEANUP
     ========================= */
 
     /**
-     * Clears all relationship bindings from memory.
+     * Clears all relationship bindings (and their integrity hooks) from memory.
      * Useful during server reloads.
      */
     static reset() {
         this._bindings.clear();
+        this._junctions.clear();
+
+        for (const remove of this._hookRemovers) remove();
+        this._hookRemovers = [];
     }
 }
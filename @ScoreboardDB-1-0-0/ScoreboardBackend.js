@@ -0,0 +1,70 @@
+import { world } from "@minecraft/server";
+import { StorageBackend } from "./StorageBackend.js";
+
+/**
+ * Scoreboard Backend
+ * * The default StorageBackend: persists data in the world scoreboard,
+ * using participant names as payloads and scores as IDs.
+ */
+export class ScoreboardBackend extends StorageBackend {
+
+    /**
+     * @param {import("@minecraft/server").Scoreboard} [scoreboard=world.scoreboard] - The scoreboard to use.
+     */
+    constructor(scoreboard = world.scoreboard) {
+        super();
+
+        /**
+         * The underlying Bedrock scoreboard.
+         * @type {import("@minecraft/server").Scoreboard}
+         */
+        this.scoreboard = scoreboard;
+    }
+
+    /* =========================
+       OBJECTIVES
+    ========================= */
+
+    hasObjective(objectiveName) {
+        return this.scoreboard.getObjective(objectiveName) !== undefined;
+    }
+
+    createObjective(objectiveName) {
+        if (!this.hasObjective(objectiveName)) {
+            this.scoreboard.addObjective(objectiveName, objectiveName);
+        }
+    }
+
+    /* =========================
+       PARTICIPANTS
+    ========================= */
+
+    getParticipants(objectiveName) {
+        const objective = this.scoreboard.getObjective(objectiveName);
+        if (!objective) return [];
+
+        // getScores() returns names and scores in a single native call
+        return objective.getScores().map(info => ({
+            name: info.participant.displayName,
+            score: info.score
+        }));
+    }
+
+    getScore(objectiveName, participant) {
+        const objective = this.scoreboard.getObjective(objectiveName);
+        if (!objective) return undefined;
+
+        return objective.hasParticipant(participant) ? objective.getScore(participant) : undefined;
+    }
+
+    setScore(objectiveName, participant, score) {
+        this.scoreboard.getObjective(objectiveName).setScore(participant, score);
+    }
+
+    removeParticipant(objectiveName, participant) {
+        const objective = this.scoreboard.getObjective(objectiveName);
+        if (!objective) return false;
+
+        return objective.removeParticipant(participant);
+    }
+}
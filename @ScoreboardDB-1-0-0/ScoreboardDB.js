@@ -1,4 +1,37 @@
-export { CacheManager } from "./CacheManager";
-export { DataFormat } from "./DataFormat";
-export { DataSchema } from "./DataSchema";
-export { ScoreboardStorage } from "./ScoreboardStorage";
+import { system } from "@minecraft/server";
+import { ScoreboardStorage } from "./ScoreboardStorage.js";
+import { ScoreboardBackend } from "./ScoreboardBackend.js";
+import { Collection } from "./Collection.js";
+
+// In-game entry point: persist data in the world scoreboard by default,
+// and schedule deferred work (write-behind flushes) on the game ticks
+ScoreboardStorage.useBackend(new ScoreboardBackend());
+ScoreboardStorage.useScheduler(system);
+
+/**
+ * Open a collection: an objective bound to its schema, cache and relations (see Collection).
+ * Example: `import * as db from "./ScoreboardDB.js"; const players = db.collection("players", { cached: true });`
+ * @param {string} objectiveName - The objective holding the records.
+ * @param {object} [options] - { schema, cached, relations }, see the Collection constructor.
+ * @returns {Collection}
+ */
+export function collection(objectiveName, options) {
+    return new Collection(objectiveName, options);
+}
+
+export { CacheManager } from "./CacheManager.js";
+export { DataFormat } from "./DataFormat.js";
+export { DataSchema, SchemaValidationError } from "./DataSchema.js";
+export { ScoreboardStorage, UniqueConstraintError, CancelledError } from "./ScoreboardStorage.js";
+export { Query } from "./Query.js";
+export { Hooks } from "./Hooks.js";
+export { StorageBackend } from "./StorageBackend.js";
+export { ScoreboardBackend } from "./ScoreboardBackend.js";
+export { MemoryBackend } from "./MemoryBackend.js";
+export { DynamicPropertyBackend } from "./DynamicPropertyBackend.js";
+export { Codec, IntegrityError } from "./Codec.js";
+export { CompressionCodec } from "./CompressionCodec.js";
+export { CipherCodec } from "./CipherCodec.js";
+export { Integrity } from "./Integrity.js";
+export { Relation } from "./Relation.js";
+export { Collection };
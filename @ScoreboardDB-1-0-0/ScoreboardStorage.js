@@ -1,4 +1,44 @@
-import { world } from "@minecraft/server";
+import { Query } from "./Query.js";
+import { Hooks } from "./Hooks.js";
+import { CompressionCodec } from "./CompressionCodec.js";
+import { CipherCodec } from "./CipherCodec.js";
+import { IntegrityError } from "./Codec.js";
+
+/**
+ * Error thrown when a write would give two records the same values
+ * for a unique field (or combination of fields) of their schema.
+ */
+export class UniqueConstraintError extends Error {
+    /**
+     * @param {string} source - The class that rejected the write (e.g., "ScoreboardStorage").
+     * @param {string} objectiveName - The objective written to.
+     * @param {string[]} fields - The fields of the violated constraint.
+     * @param {any[]} values - Their values in the rejected write.
+     * @param {number} conflictingId - The record already holding these values.
+     */
+    constructor(source, objectiveName, fields, values, conflictingId) {
+        const shown = values.map(v => JSON.stringify(v)).join(", ");
+        super(`[${source}] Unique constraint violation on '${objectiveName}' (${fields.join(", ")}): ${shown} already used by record ${conflictingId}.`);
+        this.name = "UniqueConstraintError";
+        this.objectiveName = objectiveName;
+        this.fields = fields;
+        this.values = values;
+        this.conflictingId = conflictingId;
+    }
+}
+
+/**
+ * Error rejecting the promise of a time-sliced job stopped with cancel().
+ */
+export class CancelledError extends Error {
+    /**
+     * @param {string} message
+     */
+    constructor(message) {
+        super(message);
+        this.name = "CancelledError";
+    }
+}
 
 /**
  * Scoreboard JSON Storage Utility
@@ -8,414 +48,1867 @@ import { world } from "@minecraft/server";
  * Score          -> Unique ID (memory address / pointer)
  *
  * This system allows persistent structured data storage
- * using Minecraft Bedrock scoreboards.
+ * using Minecraft Bedrock scoreboards. Every physical access goes
+ * through a StorageBackend (see useBackend()), the world scoreboard
+ * being the default one configured by ScoreboardDB.js.
+ *
+ * Records whose JSON exceeds the participant name limit are split into
+ * several "chunk" participants sharing the same score, and are rebuilt
+ * transparently when read.
+ *
+ * IDs come from a persistent per-objective sequence, stored in the
+ * reserved participant `$sdb:seq`: they are allocated in O(1) and are
+ * never handed out twice, even after the newest record is deleted.
+ *
+ * Payloads can be transformed by a codec (e.g., compression, see useCodec()),
+ * and whole records or single fields can be encrypted (see useCipher()).
  */
 
 export class ScoreboardStorage {
 
+    /**
+     * Maximum length of a single participant name in Bedrock.
+     * @type {number}
+     */
+    static MAX_PARTICIPANT_LENGTH = 32767;
+
+    /**
+     * Prefix of the participants holding a slice of an oversized record.
+     * Format: `$sdb:chunk:<id>:<index>:<total>:<slice>`
+     * @type {string}
+     */
+    static CHUNK_PREFIX = "$sdb:chunk:";
+
+    /**
+     * Prefix shared by every participant reserved by the library.
+     * Reserved participants are never returned as records.
+     * @type {string}
+     */
+    static INTERNAL_PREFIX = "$sdb:";
+
+    /**
+     * Reserved participant whose score is the last ID allocated in the objective.
+     * @type {string}
+     */
+    static SEQUENCE_PARTICIPANT = "$sdb:seq";
+
+    /**
+     * Highest ID a score can hold (32-bit signed integer).
+     * @type {number}
+     */
+    static MAX_ID = 2147483647;
+
+    /**
+     * The default backend every physical read/write goes through.
+     * @type {import("./StorageBackend").StorageBackend|null}
+     */
+    static backend = null;
+
+    /**
+     * Backends selected for specific objectives (collections).
+     * Structure: Map<ObjectiveName, StorageBackend>
+     * @type {Map<string, import("./StorageBackend").StorageBackend>}
+     */
+    static _backends = new Map();
+
+    /**
+     * The running transaction, if any.
+     * Its journal keeps the participants of every touched objective as they were before the first write.
+     * @type {{journal: Map<string, {backend: import("./StorageBackend").StorageBackend, participants: Array<{name: string, score: number}>}>}|null}
+     */
+    static _transaction = null;
+
+    /**
+     * Callbacks notified with the names of the objectives restored by a rollback.
+     * @type {Set<function(string[]): void>}
+     */
+    static _rollbackListeners = new Set();
+
+    /**
+     * The cache kept in step with the writes of this class (CacheManager registers itself when imported).
+     * @type {{_beforeDirectWrite: function(string): void, _afterDirectWrite: function(string, number|null, object|null): void, _afterRewrite: function(string[]): void}|null}
+     */
+    static _cache = null;
+
+    /**
+     * Callbacks notified with the IntegrityError of each record skipped by a read.
+     * @type {Set<function(IntegrityError): void>}
+     */
+    static _integrityListeners = new Set();
+
+    /**
+     * Identifies the dumps produced by export(), and the version of their layout.
+     * @type {{format: string, version: number}}
+     */
+    static DUMP_FORMAT = { format: "scoreboard-db", version: 1 };
+
+    /**
+     * The objective holding the in-world snapshots (see createSnapshot()).
+     * @type {string}
+     */
+    static SNAPSHOT_OBJECTIVE = "sdb_snapshots";
+
+    /**
+     * Schema bindings attached to objectives (see DataSchema.attach()).
+     * Structure: Map<ObjectiveName, {beforeWrite?: function(object): object, afterRead?: function(object): object, encryptedFields?: string[]}>
+     * @type {Map<string, {beforeWrite?: function(object): object, afterRead?: function(object): object, encryptedFields?: string[]}>}
+     */
+    static _schemas = new Map();
+
+    /**
+     * Unique indexes of the objectives whose schema declares unique constraints, built on the
+     * first check with a single scan, then kept up to date by the writes of this class.
+     * Structure: Map<ObjectiveName, {constraints, entries: Array<{fields, values: Map<Key, RecordID>, keysById: Map<RecordID, Key>}>}>
+     * @type {Map<string, {constraints: Array<string[]>, entries: Array<{fields: string[], values: Map<string, number>, keysById: Map<number, string>}>}>}
+     */
+    static _uniqueIndexes = new Map();
+
+    /**
+     * The tick scheduler used by deferred work (e.g., CacheManager write-behind).
+     * Any object with runInterval(callback, ticks) and clearRun(runId), such as
+     * `system` from @minecraft/server (configured by ScoreboardDB.js).
+     * @type {{runInterval: function(function(): void, number): number, clearRun: function(number): void}|null}
+     */
+    static scheduler = null;
+
+    /**
+     * First character of every payload written by a codec: `~<tag><body>`.
+     * JSON never starts with it, so plain records stay readable next to encoded ones.
+     * @type {string}
+     */
+    static CODEC_MARKER = "~";
+
+    /**
+     * First characters of the JSON of a record holding encrypted values:
+     * `~f[<paths of the encrypted values>, <record>]`. Only the listed values are decrypted,
+     * so a plain value that looks like ciphertext (e.g., stored before its field was encrypted)
+     * is never mistaken for one. The tag is reserved: no codec can use it.
+     * @type {string}
+     */
+    static ENCRYPTED_FIELDS_MARKER = "~f";
+
+    /**
+     * The default codec applied to every objective (null stores plain JSON).
+     * @type {import("./Codec").Codec|null}
+     */
+    static codec = null;
+
+    /**
+     * Codecs selected for specific objectives (null opts an objective out of the default codec).
+     * Structure: Map<ObjectiveName, Codec|null>
+     * @type {Map<string, import("./Codec").Codec|null>}
+     */
+    static _codecs = new Map();
+
+    /**
+     * Every codec able to read stored payloads, by tag. Configured codecs are added
+     * to it, so records stay readable after their objective switches codec.
+     * Structure: Map<Tag, Codec>
+     * @type {Map<string, import("./Codec").Codec>}
+     */
+    static _knownCodecs = new Map([["z", new CompressionCodec()]]);
+
+    /**
+     * The cipher encrypting the fields marked `encrypted` in a schema (see useCipher()).
+     * @type {CipherCodec|null}
+     */
+    static cipher = null;
+
     /* =========================
-       INTERNAL UTILITIES
+       BACKEND
     ========================= */
 
     /**
-     * Get or create a scoreboard objective.
-     * @param {string} objectiveName - The name of the objective.
-     * @returns {import("@minecraft/server").ScoreboardObjective}
-     * @throws {TypeError} If the objective name is invalid.
-     * @throws {RangeError} If the objective name exceeds 16 characters.
-     * @throws {Error} If the creation fails internally.
+     * Set the storage backend used by the library, or by a single objective.
+     * ScoreboardDB.js configures the world scoreboard by default;
+     * use a MemoryBackend to run the library outside of Minecraft.
+     * @param {import("./StorageBackend").StorageBackend} backend - The backend to use.
+     * @param {string} [objectiveName] - Optional. Only this objective (collection) will use the backend.
+     * @throws {TypeError} If the backend does not implement the StorageBackend interface.
      */
-    static _getObjective(objectiveName) {
-        if (typeof objectiveName !== "string" || objectiveName.trim() === "") {
-            throw new TypeError(`[ScoreboardStorage] Invalid objective name: '${objectiveName}'. Must be a non-empty string.`);
+    static useBackend(backend, objectiveName) {
+        this._validateBackend(backend);
+
+        if (objectiveName === undefined) {
+            this.backend = backend;
+        } else {
+            this._backends.set(objectiveName, backend);
         }
-        if (objectiveName.length > 16) {
-            throw new RangeError(`[ScoreboardStorage] Objective name '${objectiveName}' exceeds Minecraft's 16-character limit.`);
+    }
+
+    /**
+     * Ensure an object implements the StorageBackend interface.
+     * @param {any} backend
+     * @throws {TypeError} If a required method is missing.
+     */
+    static _validateBackend(backend) {
+        const required = ["hasObjective", "createObjective", "getParticipants", "getScore", "setScore", "removeParticipant"];
+        if (!backend || required.some(method => typeof backend[method] !== "function")) {
+            throw new TypeError(`[ScoreboardStorage] A backend must implement: ${required.join(", ")}.`);
         }
+    }
 
-        let objective = world.scoreboard.getObjective(objectiveName);
-        if (!objective) {
-            try {
-                objective = world.scoreboard.addObjective(objectiveName, objectiveName);
-            } catch (err) {
-                throw new Error(`[ScoreboardStorage] Failed to create objective '${objectiveName}'. ${err.message}`);
+    /**
+     * Get the storage backend of an objective.
+     * @param {string} [objectiveName] - Optional. If omitted, returns the default backend.
+     * @returns {import("./StorageBackend").StorageBackend}
+     * @throws {Error} If no backend has been configured.
+     */
+    static _getBackend(objectiveName) {
+        const backend = this._backends.get(objectiveName) ?? this.backend;
+        if (!backend) {
+            throw new Error("[ScoreboardStorage] No storage backend configured. Import the library through ScoreboardDB.js or call ScoreboardStorage.useBackend().");
+        }
+        return backend;
+    }
+
+    /* =========================
+       SCHEDULER
+    ========================= */
+
+    /**
+     * Set the tick scheduler used by deferred work.
+     * runJob()/clearJob() are only needed by the time-sliced methods (e.g., getElementsAsync()).
+     * @param {{runInterval: function, clearRun: function, runJob?: function, clearJob?: function}} scheduler - Example: `system` from @minecraft/server.
+     * @throws {TypeError} If the scheduler does not provide runInterval() and clearRun(), or provides only one of runJob()/clearJob().
+     */
+    static useScheduler(scheduler) {
+        if (!scheduler || typeof scheduler.runInterval !== "function" || typeof scheduler.clearRun !== "function") {
+            throw new TypeError("[ScoreboardStorage] A scheduler must implement: runInterval, clearRun.");
+        }
+        if ((typeof scheduler.runJob === "function") !== (typeof scheduler.clearJob === "function")) {
+            throw new TypeError("[ScoreboardStorage] A scheduler running jobs must implement both runJob and clearJob.");
+        }
+        this.scheduler = scheduler;
+    }
+
+    /**
+     * Get the tick scheduler.
+     * @returns {{runInterval: function, clearRun: function, runJob?: function, clearJob?: function}}
+     * @throws {Error} If no scheduler has been configured.
+     */
+    static _getScheduler() {
+        if (!this.scheduler) {
+            throw new Error("[ScoreboardStorage] No scheduler configured. Import the library through ScoreboardDB.js or call ScoreboardStorage.useScheduler().");
+        }
+        return this.scheduler;
+    }
+
+    /* =========================
+       CODECS
+    ========================= */
+
+    /**
+     * Set the codec applied to the records written by the library, or by a single objective.
+     * Existing records are left as they are and stay readable: rewrite them (e.g., with an
+     * empty update) to convert them.
+     * @param {import("./Codec").Codec|null} codec - The codec to use (e.g., `new CompressionCodec()`), or null for plain JSON.
+     * @param {string} [objectiveName] - Optional. Only this objective (collection) will use the codec.
+     * @throws {TypeError} If the codec does not implement the Codec interface.
+     */
+    static useCodec(codec, objectiveName) {
+        if (codec !== null) {
+            if (!codec || typeof codec.tag !== "string" || codec.tag.length !== 1 ||
+                typeof codec.encode !== "function" || typeof codec.decode !== "function") {
+                throw new TypeError("[ScoreboardStorage] A codec must implement: tag (a single character), encode, decode.");
             }
+            if (`${this.CODEC_MARKER}${codec.tag}` === this.ENCRYPTED_FIELDS_MARKER) {
+                throw new TypeError(`[ScoreboardStorage] The codec tag '${codec.tag}' is reserved for encrypted fields.`);
+            }
+            this._knownCodecs.set(codec.tag, codec);
+        }
+
+        if (objectiveName === undefined) {
+            this.codec = codec;
+        } else {
+            this._codecs.set(objectiveName, codec);
         }
-        return objective;
     }
 
     /**
-     * Generate the next available unique ID.
-     * @param {import("@minecraft/server").ScoreboardObjective} objective
-     * @returns {number} The next available integer ID.
+     * Get the codec writing the records of an objective.
+     * @param {string} [objectiveName] - Optional. If omitted, returns the default codec.
+     * @returns {import("./Codec").Codec|null}
      */
-    static _getNextId(objective) {
-        let max = 0;
-        for (const p of objective.getParticipants()) {
-            const score = objective.getScore(p);
-            if (score > max) max = score;
+    static _getCodec(objectiveName) {
+        return this._codecs.has(objectiveName) ? this._codecs.get(objectiveName) : this.codec;
+    }
+
+    /**
+     * Set the key of the library cipher. It encrypts the fields marked `encrypted` in the
+     * schemas (see DataSchema), and can encrypt whole records of an objective as well.
+     * Encrypted payloads are authenticated: reads skip a tampered record (see onIntegrityError()).
+     * @param {string|null} key - The secret of the addon, or null to remove the cipher.
+     * @param {string} [objectiveName] - Optional. Also encrypt the whole records of this objective
+     *   (same as useCodec() with the cipher).
+     * @throws {TypeError} If the key is not a non-empty string.
+     */
+    static useCipher(key, objectiveName) {
+        this.cipher = key === null ? null : new CipherCodec(key);
+        if (this.cipher) this._knownCodecs.set(this.cipher.tag, this.cipher);
+
+        if (objectiveName !== undefined) this.useCodec(this.cipher, objectiveName);
+    }
+
+    /**
+     * Encrypt the fields of a record marked `encrypted` by the attached schema.
+     * @param {string} objectiveName - The name of the objective.
+     * @param {any} data - The record about to be serialized.
+     * @returns {{data: any, paths: string[]}} A copy with the encrypted values (or the data itself
+     *   if nothing is encrypted), and the paths of the values that were encrypted.
+     * @throws {Error} If the schema encrypts fields but no cipher is configured.
+     */
+    static _encryptFields(objectiveName, data) {
+        const paths = [];
+        const fields = this._schemas.get(objectiveName)?.encryptedFields;
+        if (!fields || fields.length === 0) return { data, paths };
+
+        const cipher = this.cipher;
+        if (!cipher) {
+            throw new Error(`[ScoreboardStorage] The schema of '${objectiveName}' encrypts fields, but no cipher key is configured. Call ScoreboardStorage.useCipher() first.`);
+        }
+
+        for (const field of fields) {
+            data = this._mapPath(data, field.split("."), (value) => {
+                if (value === undefined || value === null) return value;
+                paths.push(field);
+                return cipher.encrypt(JSON.stringify(value));
+            });
         }
-        return max + 1;
+        return { data, paths };
     }
 
     /**
-     * Serialize an object into JSON string with limit checks.
-     * @param {any} data - The data to serialize.
-     * @returns {string} The JSON string.
-     * @throws {TypeError} If the data is undefined.
-     * @throws {RangeError} If the string exceeds Minecraft's 32,767 character limit.
+     * Decrypt the values of a parsed record listed by its ENCRYPTED_FIELDS_MARKER envelope.
+     * Values stored before their field was encrypted are not listed, so they are returned as they are.
+     * @param {string} objectiveName - The name of the objective.
+     * @param {any} data - The parsed record.
+     * @param {string[]} paths - The paths of the encrypted values.
+     * @returns {any}
+     * @throws {IntegrityError} If an encrypted value was tampered with, or cannot be decrypted without a key.
      */
-    static _stringify(data) {
-        if (data === undefined) {
-            throw new TypeError("[ScoreboardStorage] Cannot save 'undefined' data.");
+    static _decryptFields(objectiveName, data, paths) {
+        if (!this.cipher) {
+            throw new IntegrityError(`[ScoreboardStorage] '${objectiveName}' holds encrypted fields, but no cipher key is configured.`, objectiveName);
         }
-        
-        const json = JSON.stringify(data);
-        
-        // 32767 è il limite fisico di lunghezza di un partecipante scoreboard in Bedrock
-        if (json.length > 32767) {
-            throw new RangeError(`[ScoreboardStorage] Data size (${json.length} chars) exceeds Minecraft's maximum limit of 32,767 characters. Consider splitting the data.`);
+
+        const decrypt = (value) => {
+            try {
+                if (typeof value !== "string") throw new Error("[ScoreboardStorage] An encrypted value is not a ciphertext.");
+                return JSON.parse(this.cipher.decrypt(value));
+            } catch (err) {
+                throw new IntegrityError(`${err.message} (objective '${objectiveName}')`, objectiveName);
+            }
+        };
+
+        for (const path of paths) data = this._mapPath(data, String(path).split("."), decrypt);
+        return data;
+    }
+
+    /**
+     * Replace the value at a path of an object, copying the objects along the path.
+     * Missing paths are left untouched.
+     * @param {any} target
+     * @param {string[]} keys - The path, split on dots.
+     * @param {function(any): any} transform
+     * @returns {any} The new object (or 'target' itself if nothing changed).
+     */
+    static _mapPath(target, keys, transform) {
+        const [key, ...rest] = keys;
+        if (typeof target !== "object" || target === null || Array.isArray(target) || !(key in target)) {
+            return target;
         }
-        
-        return json;
+
+        const value = rest.length === 0 ? transform(target[key]) : this._mapPath(target[key], rest, transform);
+        return value === target[key] ? target : { ...target, [key]: value };
     }
 
     /**
-     * Safely parse a JSON string.
-     * @param {string} json - The JSON string to parse.
-     * @returns {any|null} The parsed object, or null if parsing fails.
+     * Measure how much space the codec saves on an objective.
+     * @param {string} objectiveName - The name of the objective.
+     * @returns {{records: number, encoded: number, participants: number, jsonLength: number, storedLength: number, ratio: number}}
+     *   'encoded' counts the records stored through a codec, 'ratio' is storedLength / jsonLength
+     *   (e.g., 0.4 means the objective takes 60% less space than plain JSON).
      */
-    static _parse(json) {
-        try {
-            return JSON.parse(json);
-        } catch {
-            return null; // Ignora stringhe non-JSON salvate magari da altri addon
+    static getCompressionStats(objectiveName) {
+        const stats = { records: 0, encoded: 0, participants: 0, jsonLength: 0, storedLength: 0, ratio: 1 };
+        if (!this._hasObjective(objectiveName)) return stats;
+
+        for (const entry of this._entries(objectiveName)) {
+            const data = this._parse(entry.raw, objectiveName);
+            if (data === null) continue;
+
+            stats.records++;
+            stats.participants += entry.participants.length;
+            stats.jsonLength += JSON.stringify(data).length;
+            stats.storedLength += entry.raw.length;
+            if (entry.raw.startsWith(this.CODEC_MARKER) && !entry.raw.startsWith(this.ENCRYPTED_FIELDS_MARKER)) stats.encoded++;
         }
+
+        if (stats.jsonLength > 0) stats.ratio = stats.storedLength / stats.jsonLength;
+        return stats;
     }
 
     /* =========================
-       WRITE
+       SCHEMAS
     ========================= */
 
     /**
-     * Save a JSON object into the scoreboard.
+     * Attach a schema binding to an objective. Its 'beforeWrite' runs on every
+     * save/update and may return transformed data, or throw to reject the write.
+     * Its 'afterRead' runs on every parsed record (e.g., to upgrade old versions).
+     * Its 'encryptedFields' (dotted paths) are encrypted in storage (see useCipher()).
+     * Its 'unique' constraints (arrays of dotted paths) reject writes duplicating their values.
+     * Its 'describe' returns the schema metadata included in the dumps (see export()),
+     * and its 'validate' lists the errors of a stored record (see Integrity.verify()).
+     * Usually called through DataSchema.attach().
      * @param {string} objectiveName - The name of the objective.
-     * @param {object} data - The data to save.
-     * @returns {number} The unique ID (memory address) assigned to the record.
+     * @param {{beforeWrite?: function(object): object, afterRead?: function(object): object, encryptedFields?: string[],
+     *   unique?: Array<string[]>, describe?: function(): {name: string, version: number, fields: string[]},
+     *   validate?: function(object): Array<{field: string, rule: string, message: string}>}} binding
+     * @throws {TypeError} If the binding is not an object.
      */
-    static save(objectiveName, data) {
-        const objective = this._getObjective(objectiveName);
-        const json = this._stringify(data); // Stringify validerà anche la lunghezza
-        const id = this._getNextId(objective);
+    static attachSchema(objectiveName, binding) {
+        if (typeof binding !== "object" || binding === null) {
+            throw new TypeError("[ScoreboardStorage] Schema binding must be an object.");
+        }
+        this._schemas.set(objectiveName, binding);
+    }
 
-        objective.setScore(json, id);
-        return id;
+    /**
+     * Detach the schema binding of an objective.
+     * @param {string} objectiveName - The name of the objective.
+     * @returns {boolean} True if a binding was attached.
+     */
+    static detachSchema(objectiveName) {
+        return this._schemas.delete(objectiveName);
+    }
+
+    /**
+     * Run the attached schema binding on data about to be written.
+     * @param {string} objectiveName - The name of the objective.
+     * @param {any} data - The data to write.
+     * @returns {any} The data to actually store.
+     */
+    static _prepare(objectiveName, data) {
+        const binding = this._schemas.get(objectiveName);
+        if (!binding || typeof binding.beforeWrite !== "function" || data === undefined) {
+            return data;
+        }
+        return binding.beforeWrite(data);
+    }
+
+    /**
+     * Parse a stored payload and run the attached schema binding on it.
+     * @param {string} objectiveName - The name of the objective.
+     * @param {string|null} raw - The stored payload.
+     * @param {boolean} [strict=false] - Throw on tampered payloads instead of skipping them (see _parse()).
+     * @returns {any|null} The record data, or null if the payload is not a valid record.
+     */
+    static _decode(objectiveName, raw, strict = false) {
+        const data = this._parse(raw, objectiveName, strict);
+        if (data === null) return null;
+
+        const binding = this._schemas.get(objectiveName);
+        return binding && typeof binding.afterRead === "function" ? binding.afterRead(data) : data;
+    }
+
+    /**
+     * Read every record exactly as stored, bypassing the schema binding.
+     * Used by maintenance tools (e.g., DataSchema.migrateAll()).
+     * @param {string} objectiveName - The name of the objective.
+     * @returns {Array<{id: number, data: any}>}
+     */
+    static _rawRecords(objectiveName) {
+        if (!this._hasObjective(objectiveName)) return [];
+
+        const records = [];
+        for (const entry of this._entries(objectiveName)) {
+            const data = this._parse(entry.raw, objectiveName);
+            if (data !== null) records.push({ id: entry.id, data });
+        }
+        return records;
     }
 
     /* =========================
-       READ
+       UNIQUE CONSTRAINTS
     ========================= */
 
     /**
-     * Retrieve a JSON object by its ID.
+     * Get the unique index of an objective, (re)building it if its schema constraints changed.
+     * Shared with CacheManager, which keeps its own indexes built from its RAM copy.
+     * @param {Map<string, object>} indexes - The indexes of the calling layer.
      * @param {string} objectiveName - The name of the objective.
-     * @param {number} id - The unique ID of the record.
-     * @returns {object|null} The parsed data, or null if not found.
-     * @throws {TypeError} If the ID is not a valid number.
+     * @param {function(): Array<{id: number, data: any}>} loadRecords - Reads every record, to build the index.
+     * @returns {{constraints: Array<string[]>, entries: Array<object>}|null} Null if the objective has no constraints.
      */
-    static getElementById(objectiveName, id) {
-        if (typeof id !== "number" || isNaN(id)) {
-            throw new TypeError(`[ScoreboardStorage] ID must be a valid number, got ${typeof id}.`);
+    static _uniqueIndex(indexes, objectiveName, loadRecords) {
+        const constraints = this._schemas.get(objectiveName)?.unique;
+        if (!Array.isArray(constraints) || constraints.length === 0) {
+            indexes.delete(objectiveName);
+            return null;
+        }
+
+        let index = indexes.get(objectiveName);
+        if (!index || index.constraints !== constraints) {
+            index = { constraints, entries: constraints.map(fields => ({ fields, values: new Map(), keysById: new Map() })) };
+            for (const { id, data } of loadRecords()) this._setUniqueKeys(index, id, data);
+            indexes.set(objectiveName, index);
         }
+        return index;
+    }
 
-        const objective = world.scoreboard.getObjective(objectiveName);
-        if (!objective) return null;
+    /**
+     * Build the index key of a record for a constraint.
+     * @param {string[]} fields
+     * @param {any} data
+     * @returns {string|null} Null if a field is missing (null values never collide).
+     */
+    static _uniqueKey(fields, data) {
+        const values = [];
+        for (const field of fields) {
+            const value = Query.get(data, field);
+            if (value === undefined || value === null) return null;
+            values.push(value);
+        }
+        return JSON.stringify(values);
+    }
 
-        for (const p of objective.getParticipants()) {
-            if (objective.getScore(p) === id) {
-                return this._parse(p.displayName);
+    /**
+     * Point the index at the new values of a record.
+     * @param {{entries: Array<object>}} index
+     * @param {number} id
+     * @param {any|null} data - The new data (null for deletions).
+     */
+    static _setUniqueKeys(index, id, data) {
+        for (const entry of index.entries) {
+            const oldKey = entry.keysById.get(id);
+            if (oldKey !== undefined) {
+                if (entry.values.get(oldKey) === id) entry.values.delete(oldKey);
+                entry.keysById.delete(id);
             }
+
+            const key = data === null ? null : this._uniqueKey(entry.fields, data);
+            if (key === null) continue;
+            entry.values.set(key, id);
+            entry.keysById.set(id, key);
         }
-        return null;
     }
 
     /**
-     * Retrieve stored JSON objects, optionally filtering by conditions.
-     * - If 'query' is omitted: returns all records.
-     * - If 'query' is an object: returns records matching exact attributes.
-     * - If 'query' is a function: returns records where the callback returns true.
+     * Ensure a batch of writes would not break a unique constraint,
+     * neither against the other records nor between the records of the batch.
+     * @param {string} source - The calling class, for the error message.
      * @param {string} objectiveName - The name of the objective.
-     * @param {object|function} [query] - Optional. Example: { role: "admin" } OR (data) => data.level > 10.
-     * @returns {Array<{id: number, data: any}>} Array of matched objects.
-     * @throws {TypeError} If the query is invalid.
+     * @param {{entries: Array<object>}|null} index
+     * @param {Map<number|null, any>} writes - The data about to be written, by record ID (null for new records).
+     * @throws {UniqueConstraintError} If two records would hold the same values.
      */
-    static getElements(objectiveName, query) {
-        if (query !== undefined && typeof query !== "object" && typeof query !== "function") {
-            throw new TypeError("[ScoreboardStorage] Query must be an object, a function, or undefined.");
-        }
+    static _assertUnique(source, objectiveName, index, writes) {
+        if (!index) return;
 
-        const objective = world.scoreboard.getObjective(objectiveName);
-        if (!objective) return [];
+        for (const entry of index.entries) {
+            const claimed = new Map(); // Key -> ID of the batch record holding it
+            for (const [id, data] of writes.entries()) {
+                const key = this._uniqueKey(entry.fields, data);
+                if (key === null) continue;
 
-        const result = [];
-        const isFunction = typeof query === "function";
-        const isObject = typeof query === "object" && query !== null;
+                let otherId = claimed.get(key);
 
-        for (const p of objective.getParticipants()) {
-            const parsed = this._parse(p.displayName);
-            if (parsed !== null) {
-                let match = true;
-
-                if (query !== undefined) {
-                    if (isFunction) {
-                        match = query(parsed);
-                    } else if (isObject) {
-                        for (const key in query) {
-                            if (parsed[key] !== query[key]) {
-                                match = false;
-                                break;
-                            }
-                        }
-                    }
+                // Records of the batch are rewritten, so their current values do not count
+                if (otherId === undefined) {
+                    const holder = entry.values.get(key);
+                    if (holder !== undefined && holder !== id && !writes.has(holder)) otherId = holder;
                 }
 
-                if (match) {
-                    result.push({
-                        id: objective.getScore(p),
-                        data: parsed
-                    });
+                if (otherId !== undefined && otherId !== id) {
+                    throw new UniqueConstraintError(source, objectiveName, entry.fields, JSON.parse(key), otherId);
+                }
+                claimed.set(key, id);
+            }
+        }
+    }
+
+    /**
+     * Check a write of this class against the unique constraints of the objective.
+     * @param {string} objectiveName - The name of the objective.
+     * @param {number|null} id - The record being written (null for new records).
+     * @param {any} data - The prepared data.
+     * @throws {UniqueConstraintError} If another record already holds the unique values.
+     */
+    static _checkUnique(objectiveName, id, data) {
+        const index = this._uniqueIndex(this._uniqueIndexes, objectiveName, () => this.getElements(objectiveName));
+        this._assertUnique("ScoreboardStorage", objectiveName, index, new Map([[id, data]]));
+    }
+
+    /**
+     * Update the unique index of an objective (if built) after a write.
+     * @param {string} objectiveName - The name of the objective.
+     * @param {number} id
+     * @param {any|null} data - The new data (null for deletions).
+     */
+    static _reindexUnique(objectiveName, id, data) {
+        const index = this._uniqueIndexes.get(objectiveName);
+        if (index) this._setUniqueKeys(index, id, data);
+    }
+
+    /* =========================
+       INTERNAL UTILITIES
+    ========================= */
+
+    /**
+     * Check if an objective exists in the backend.
+     * @param {string} objectiveName - The name of the objective.
+     * @returns {boolean}
+     */
+    static _hasObjective(objectiveName) {
+        return this._getBackend(objectiveName).hasObjective(objectiveName);
+    }
+
+    /**
+     * Get or create an objective.
+     * @param {string} objectiveName - The name of the objective.
+     * @returns {string} The validated objective name.
+     * @throws {TypeError} If the objective name is invalid.
+     * @throws {RangeError} If the objective name exceeds 16 characters.
+     * @throws {Error} If the creation fails internally.
+     */
+    static _getObjective(objectiveName) {
+        if (typeof objectiveName !== "string" || objectiveName.trim() === "") {
+            throw new TypeError(`[ScoreboardStorage] Invalid objective name: '${objectiveName}'. Must be a non-empty string.`);
+        }
+        if (objectiveName.length > 16) {
+            throw new RangeError(`[ScoreboardStorage] Objective name '${objectiveName}' exceeds Minecraft's 16-character limit.`);
+        }
+
+        const backend = this._getBackend(objectiveName);
+        if (!backend.hasObjective(objectiveName)) {
+            try {
+                backend.createObjective(objectiveName);
+            } catch (err) {
+                throw new Error(`[ScoreboardStorage] Failed to create objective '${objectiveName}'. ${err.message}`);
+            }
+        }
+        return objectiveName;
+    }
+
+    /**
+     * Create the objective if needed and allocate a new ID, without writing any record.
+     * Used by deferred writers (CacheManager write-behind), which write the record later.
+     * @param {string} objectiveName - The name of the objective.
+     * @returns {number} The allocated ID.
+     */
+    static _allocateId(objectiveName) {
+        this._getObjective(objectiveName);
+        return this._getNextId(objectiveName);
+    }
+
+    /**
+     * Allocate the next unique ID from the objective's persistent sequence.
+     * Objectives created before the sequence existed are initialized with a one-time scan.
+     * @param {string} objectiveName - The name of the objective.
+     * @returns {number} The next available integer ID.
+     * @throws {RangeError} If the 32-bit ID range of the objective is exhausted.
+     */
+    static _getNextId(objectiveName) {
+        const backend = this._getBackend(objectiveName);
+
+        let last = backend.getScore(objectiveName, this.SEQUENCE_PARTICIPANT);
+        if (last === undefined) {
+            last = this._getMaxId(objectiveName);
+        }
+
+        if (last >= this.MAX_ID) {
+            throw new RangeError(`[ScoreboardStorage] The ID sequence of '${objectiveName}' is exhausted (max ${this.MAX_ID}). Move the data to a new objective.`);
+        }
+
+        const id = last + 1;
+        this._journal(objectiveName);
+        backend.setScore(objectiveName, this.SEQUENCE_PARTICIPANT, id);
+        return id;
+    }
+
+    /**
+     * Find the highest ID used by a record of the objective (O(n) scan).
+     * @param {string} objectiveName - The name of the objective.
+     * @returns {number} The highest ID, or 0 if the objective has no records.
+     */
+    static _getMaxId(objectiveName) {
+        let max = 0;
+        for (const p of this._getBackend(objectiveName).getParticipants(objectiveName)) {
+            if (p.name.startsWith(this.INTERNAL_PREFIX) && !p.name.startsWith(this.CHUNK_PREFIX)) continue;
+            if (p.score > max) max = p.score;
+        }
+        return max;
+    }
+
+    /**
+     * Serialize an object into a JSON string, encoded by the objective's codec (if any).
+     * The fields marked `encrypted` by its schema are encrypted first.
+     * Size limits are handled by chunking, see `_split()`.
+     * @param {any} data - The data to serialize.
+     * @param {string} [objectiveName] - Optional. The objective whose codec applies.
+     * @returns {string} The payload to store.
+     * @throws {TypeError} If the data is undefined.
+     */
+    static _stringify(data, objectiveName) {
+        if (data === undefined) {
+            throw new TypeError("[ScoreboardStorage] Cannot save 'undefined' data.");
+        }
+
+        const encrypted = this._encryptFields(objectiveName, data);
+        const json = encrypted.paths.length === 0
+            ? JSON.stringify(encrypted.data)
+            : `${this.ENCRYPTED_FIELDS_MARKER}${JSON.stringify([encrypted.paths, encrypted.data])}`;
+        const codec = this._getCodec(objectiveName);
+        if (!codec) return json;
+
+        const body = codec.encode(json);
+        return body === null ? json : `${this.CODEC_MARKER}${codec.tag}${body}`;
+    }
+
+    /**
+     * Safely parse a stored payload, decoding it first if a codec wrote it,
+     * and decrypting its encrypted values (see ENCRYPTED_FIELDS_MARKER).
+     * @param {string} json - The stored payload.
+     * @param {string} [objectiveName] - Optional. The objective whose codec is tried first.
+     * @param {boolean} [strict=false] - Throw when an encrypted payload was tampered with. Otherwise
+     *   the record is reported to the integrity listeners (see onIntegrityError()) and skipped.
+     * @returns {any|null} The parsed object, or null if parsing fails.
+     * @throws {IntegrityError} In strict mode, if an encrypted payload was tampered with.
+     */
+    static _parse(json, objectiveName, strict = false) {
+        try {
+            let data;
+            let encryptedPaths = null;
+            try {
+                if (typeof json === "string" && json.startsWith(this.CODEC_MARKER) && !json.startsWith(this.ENCRYPTED_FIELDS_MARKER)) {
+                    const tag = json[this.CODEC_MARKER.length];
+                    const own = this._getCodec(objectiveName);
+                    const codec = own && own.tag === tag ? own : this._knownCodecs.get(tag);
+                    if (!codec) return null;
+
+                    json = codec.decode(json.slice(this.CODEC_MARKER.length + 1));
+                }
+                if (typeof json === "string" && json.startsWith(this.ENCRYPTED_FIELDS_MARKER)) {
+                    [encryptedPaths, data] = JSON.parse(json.slice(this.ENCRYPTED_FIELDS_MARKER.length));
+                    if (!Array.isArray(encryptedPaths)) return null;
+                } else {
+                    data = JSON.parse(json);
+                }
+            } catch (err) {
+                if (err instanceof IntegrityError) {
+                    throw new IntegrityError(`${err.message} (objective '${objectiveName}')`, objectiveName);
+                }
+                return null; // Ignora stringhe non-JSON salvate magari da altri addon
+            }
+
+            return encryptedPaths ? this._decryptFields(objectiveName, data, encryptedPaths) : data;
+        } catch (err) {
+            if (strict || !(err instanceof IntegrityError)) throw err;
+            this._reportIntegrityError(err);
+            return null;
+        }
+    }
+
+    /* =========================
+       CHUNKING
+    ========================= */
+
+    /**
+     * Split a serialized record into the participant names that will store it.
+     * Payloads within the limit are stored as-is in a single participant.
+     * @param {string} json - The serialized record.
+     * @param {number} id - The ID of the record (embedded in every chunk header).
+     * @param {number} [maxLength] - Optional. The participant name limit of the target backend.
+     * @returns {string[]} The participant names to write, all sharing the same score.
+     */
+    static _split(json, id, maxLength = Infinity) {
+        const limit = Math.min(this.MAX_PARTICIPANT_LENGTH, maxLength);
+        if (json.length <= limit) return [json];
+
+        // Reserve room for the longest possible header, then slice the payload
+        const sliceSizeFor = (total) => limit - `${this.CHUNK_PREFIX}${id}:${total}:${total}:`.length;
+        let total = 1;
+        let sliceSize = sliceSizeFor(total);
+        while (total * sliceSize < json.length) {
+            total = Math.ceil(json.length / sliceSize);
+            sliceSize = sliceSizeFor(total);
+        }
+
+        const names = [];
+        for (let i = 0; i < total; i++) {
+            const slice = json.slice(i * sliceSize, (i + 1) * sliceSize);
+            names.push(`${this.CHUNK_PREFIX}${id}:${i}:${total}:${slice}`);
+        }
+        return names;
+    }
+
+    /**
+     * Read the chunk header of a participant name.
+     * @param {string} name - The participant name.
+     * @returns {{id: number, index: number, total: number, slice: string}|null} Null if it is not a chunk.
+     */
+    static _readChunk(name) {
+        if (!name.startsWith(this.CHUNK_PREFIX)) return null;
+
+        const match = /^(-?\d+):(\d+):(\d+):/.exec(name.slice(this.CHUNK_PREFIX.length));
+        if (!match) return null;
+
+        return {
+            id: Number(match[1]),
+            index: Number(match[2]),
+            total: Number(match[3]),
+            slice: name.slice(this.CHUNK_PREFIX.length + match[0].length)
+        };
+    }
+
+    /**
+     * Group the participants of an objective into logical records.
+     * Chunked records are reassembled; incomplete chunk sets get a null 'raw' payload.
+     * @param {string} objectiveName - The name of the objective.
+     * @param {import("./StorageBackend").StorageBackend} [backend] - Optional. Defaults to the objective's backend.
+     * @returns {Array<{id: number, raw: string|null, participants: string[]}>}
+     */
+    static _entries(objectiveName, backend = this._getBackend(objectiveName)) {
+        const listing = this._listEntries(backend.getParticipants(objectiveName), Infinity);
+        let step;
+        do step = listing.next(); while (!step.done);
+        return step.value;
+    }
+
+    /**
+     * Generator behind _entries(), yielding after each batch of participants
+     * so that jobs can spread the grouping of a large objective over several steps.
+     * @param {Array<{name: string, score: number}>} participants - The participants of the objective.
+     * @param {number} batchSize - Participants grouped per step.
+     * @returns {Generator<void, Array<{id: number, raw: string|null, participants: string[]}>>}
+     */
+    static *_listEntries(participants, batchSize) {
+        const entries = [];
+        const chunked = new Map();
+
+        for (let i = 0; i < participants.length; i++) {
+            if (i > 0 && i % batchSize === 0) yield;
+
+            const p = participants[i];
+            const chunk = this._readChunk(p.name);
+            if (!chunk) {
+                // Reserved participants (e.g., the ID sequence) are not records
+                if (p.name.startsWith(this.INTERNAL_PREFIX)) continue;
+
+                entries.push({ id: p.score, raw: p.name, participants: [p.name] });
+                continue;
+            }
+
+            let entry = chunked.get(chunk.id);
+            if (!entry) {
+                entry = { id: chunk.id, raw: null, participants: [], slices: [], total: chunk.total };
+                chunked.set(chunk.id, entry);
+                entries.push(entry);
+            }
+            entry.participants.push(p.name);
+            entry.slices[chunk.index] = chunk.slice;
+        }
+
+        for (const entry of chunked.values()) {
+            let complete = entry.slices.length === entry.total;
+            for (let i = 0; complete && i < entry.total; i++) {
+                if (entry.slices[i] === undefined) complete = false;
+            }
+            if (complete) entry.raw = entry.slices.join("");
+            delete entry.slices;
+            delete entry.total;
+        }
+
+        return entries;
+    }
+
+    /**
+     * Find the record stored under an ID.
+     * @param {string} objectiveName - The name of the objective.
+     * @param {number} id
+     * @returns {{id: number, raw: string|null, participants: string[]}|null}
+     */
+    static _findEntry(objectiveName, id) {
+        for (const entry of this._entries(objectiveName)) {
+            if (entry.id === id) return entry;
+        }
+        return null;
+    }
+
+    /**
+     * Write a serialized record under an ID, chunking it if needed.
+     * @param {string} objectiveName - The name of the objective.
+     * @param {number} id
+     * @param {string} json
+     * @param {import("./StorageBackend").StorageBackend} [backend] - Optional. Defaults to the objective's backend.
+     */
+    static _writeEntry(objectiveName, id, json, backend = this._getBackend(objectiveName)) {
+        this._journal(objectiveName);
+        for (const name of this._split(json, id, backend.maxParticipantLength)) {
+            backend.setScore(objectiveName, name, id);
+        }
+    }
+
+    /**
+     * Apply several serialized writes in a single scan of the objective.
+     * Existing records are overwritten, missing ones are created, and null deletes the record.
+     * @param {string} objectiveName - The name of the objective.
+     * @param {Map<number, string|null>} writes - The JSON of each record, by ID.
+     */
+    static _writeMany(objectiveName, writes) {
+        if (writes.size === 0) return;
+        this._getObjective(objectiveName);
+
+        for (const entry of this._entries(objectiveName)) {
+            if (writes.has(entry.id)) this._removeEntry(objectiveName, entry);
+        }
+        for (const [id, json] of writes.entries()) {
+            if (json !== null) this._writeEntry(objectiveName, id, json);
+        }
+
+        // Only the JSON is known here: the unique index is rebuilt on the next check
+        this._uniqueIndexes.delete(objectiveName);
+    }
+
+    /**
+     * Remove every participant (all chunks included) of a record.
+     * @param {string} objectiveName - The name of the objective.
+     * @param {{participants: string[]}} entry
+     */
+    static _removeEntry(objectiveName, entry) {
+        this._journal(objectiveName);
+        this._reindexUnique(objectiveName, entry.id, null);
+        const backend = this._getBackend(objectiveName);
+        for (const p of entry.participants) {
+            backend.removeParticipant(objectiveName, p);
+        }
+    }
+
+    /* =========================
+       WRITE
+    ========================= */
+
+    /**
+     * Save a JSON object into the scoreboard.
+     * Fires the beforeSave/afterSave hooks (see Hooks).
+     * @param {string} objectiveName - The name of the objective.
+     * @param {object} data - The data to save.
+     * @returns {number|null} The unique ID (memory address) assigned to the record, or null if a hook cancelled the save.
+     */
+    static save(objectiveName, data) {
+        this._notifyWrite(objectiveName);
+
+        const event = { objectiveName, id: null, data };
+        if (!Hooks._runBefore(objectiveName, "beforeSave", event)) return null;
+
+        const prepared = this._prepare(objectiveName, event.data);
+        this._checkUnique(objectiveName, null, prepared);
+        const id = this._insert(objectiveName, prepared);
+        this._notifyWritten(objectiveName, id, prepared);
+
+        Hooks._runAfter(objectiveName, "afterSave", { objectiveName, id, data: prepared });
+        return id;
+    }
+
+    /**
+     * Write a new record without running the schema binding (data is already prepared).
+     * @param {string} objectiveName - The name of the objective.
+     * @param {object} data - The prepared data.
+     * @returns {number} The unique ID assigned to the record.
+     */
+    static _insert(objectiveName, data) {
+        this._getObjective(objectiveName);
+        const json = this._stringify(data, objectiveName);
+        const id = this._getNextId(objectiveName);
+
+        this._writeEntry(objectiveName, id, json); // Oversized payloads are chunked here
+        this._reindexUnique(objectiveName, id, data);
+        return id;
+    }
+
+    /* =========================
+       READ
+    ========================= */
+
+    /**
+     * Retrieve a JSON object by its ID.
+     * @param {string} objectiveName - The name of the objective.
+     * @param {number} id - The unique ID of the record.
+     * @returns {object|null} The parsed data, or null if not found.
+     * @throws {TypeError} If the ID is not a valid number.
+     */
+    static getElementById(objectiveName, id) {
+        if (typeof id !== "number" || isNaN(id)) {
+            throw new TypeError(`[ScoreboardStorage] ID must be a valid number, got ${typeof id}.`);
+        }
+
+        if (!this._hasObjective(objectiveName)) return null;
+
+        const entry = this._findEntry(objectiveName, id);
+        return entry ? this._decode(objectiveName, entry.raw) : null;
+    }
+
+    /**
+     * Read several records in a single scan, parsing only the requested ones.
+     * @param {string} objectiveName - The name of the objective.
+     * @param {Set<number>} ids - The IDs to read.
+     * @returns {Map<number, any>} The parsed data of the records found, by ID.
+     */
+    static _readMany(objectiveName, ids) {
+        const result = new Map();
+        if (ids.size === 0 || !this._hasObjective(objectiveName)) return result;
+
+        for (const entry of this._entries(objectiveName)) {
+            if (!ids.has(entry.id)) continue;
+
+            const parsed = this._decode(objectiveName, entry.raw);
+            if (parsed !== null) result.set(entry.id, parsed);
+        }
+        return result;
+    }
+
+    /**
+     * Retrieve stored JSON objects, optionally filtering by conditions.
+     * - If 'query' is omitted: returns all records.
+     * - If 'query' is an object: returns records matching it (exact values, operators like $gt/$in, dotted paths). See Query.
+     * - If 'query' is a function: returns records where the callback returns true.
+     * @param {string} objectiveName - The name of the objective.
+     * @param {object|function} [query] - Optional. Example: { role: "admin", "stats.kills": { $gte: 10 } } OR (data) => data.level > 10.
+     * @param {object} [options] - Optional. { sort, after, skip, limit, fields }. See Query.shape.
+     * @returns {Array<{id: number, data: any}>} Array of matched objects.
+     * @throws {TypeError} If the query or the options are invalid.
+     */
+    static getElements(objectiveName, query, options) {
+        if (query !== undefined && typeof query !== "object" && typeof query !== "function") {
+            throw new TypeError("[ScoreboardStorage] Query must be an object, a function, or undefined.");
+        }
+        if (options !== undefined) Query.validateOptions(options);
+
+        if (!this._hasObjective(objectiveName)) return [];
+
+        const result = [];
+
+        for (const entry of this._entries(objectiveName)) {
+            const parsed = this._decode(objectiveName, entry.raw);
+            if (parsed !== null) {
+                if (Query.match(parsed, query)) {
+                    result.push({
+                        id: entry.id,
+                        data: parsed
+                    });
+                }
+            }
+        }
+        return Query.shape(result, options);
+    }
+
+    /**
+     * Find the first JSON object using a callback condition (or an object query).
+     * @param {string} objectiveName - The name of the objective.
+     * @param {function|object} callback - Function that evaluates each parsed object: (data) => boolean, OR an object query.
+     * @returns {{id: number, data: any}|null} The first matched object, or null if not found.
+     * @throws {TypeError} If the callback is neither a function nor an object.
+     */
+    static find(objectiveName, callback) {
+        if (typeof callback !== "function" && (typeof callback !== "object" || callback === null)) {
+            throw new TypeError("[ScoreboardStorage] Callback must be a function or an object query.");
+        }
+
+        if (!this._hasObjective(objectiveName)) return null;
+
+        for (const entry of this._entries(objectiveName)) {
+            const parsed = this._decode(objectiveName, entry.raw);
+            if (parsed && Query.match(parsed, callback)) {
+                return {
+                    id: entry.id,
+                    data: parsed
+                };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Find ALL JSON objects using a callback condition (or an object query).
+     * @param {string} objectiveName - The name of the objective.
+     * @param {function|object} callback - Function that evaluates each parsed object: (data) => boolean, OR an object query.
+     * @param {object} [options] - Optional. { sort, after, skip, limit, fields }. See Query.shape.
+     * @returns {Array<{id: number, data: any}>} Array of matched objects.
+     * @throws {TypeError} If the callback is neither a function nor an object, or the options are invalid.
+     */
+    static findAll(objectiveName, callback, options) {
+        if (typeof callback !== "function" && (typeof callback !== "object" || callback === null)) {
+            throw new TypeError("[ScoreboardStorage] Callback must be a function or an object query.");
+        }
+        if (options !== undefined) Query.validateOptions(options);
+
+        if (!this._hasObjective(objectiveName)) return [];
+
+        const results = [];
+        for (const entry of this._entries(objectiveName)) {
+            const parsed = this._decode(objectiveName, entry.raw);
+            if (parsed && Query.match(parsed, callback)) {
+                results.push({
+                    id: entry.id,
+                    data: parsed
+                });
+            }
+        }
+        return Query.shape(results, options);
+    }
+
+    /* =========================
+       UPDATE
+    ========================= */
+
+    /**
+     * Update a JSON object while keeping the same ID.
+     * Fires the beforeUpdate/afterUpdate hooks (see Hooks).
+     * @param {string} objectiveName - The name of the objective.
+     * @param {number} id - The ID of the record to update.
+     * @param {object} newData - The new data to save.
+     * @returns {boolean} True if updated, false if the ID was not found or a hook cancelled the update.
+     * @throws {TypeError} If the ID is invalid or newData is undefined.
+     */
+    static updateById(objectiveName, id, newData) {
+        if (typeof id !== "number" || isNaN(id)) {
+            throw new TypeError(`[ScoreboardStorage] ID must be a valid number, got ${typeof id}.`);
+        }
+        if (newData === undefined) {
+            throw new TypeError("[ScoreboardStorage] newData must be provided to perform an update.");
+        }
+        this._notifyWrite(objectiveName);
+
+        // The old data is only read if someone listens
+        const hooked = Hooks.has(objectiveName, "beforeUpdate", "afterUpdate");
+        let oldData;
+        if (hooked) {
+            oldData = this.getElementById(objectiveName, id);
+            if (oldData === null) return false;
+
+            const event = { objectiveName, id, oldData, data: newData };
+            if (!Hooks._runBefore(objectiveName, "beforeUpdate", event)) return false;
+            newData = event.data;
+        }
+
+        const prepared = this._prepare(objectiveName, newData);
+        this._checkUnique(objectiveName, id, prepared);
+        const success = this._replace(objectiveName, id, prepared);
+        if (success) this._notifyWritten(objectiveName, id, prepared);
+
+        if (success && hooked) {
+            Hooks._runAfter(objectiveName, "afterUpdate", { objectiveName, id, oldData, data: prepared });
+        }
+        return success;
+    }
+
+    /**
+     * Overwrite a record without running the schema binding (data is already prepared).
+     * @param {string} objectiveName - The name of the objective.
+     * @param {number} id - The ID of the record to update.
+     * @param {object} newData - The prepared data.
+     * @returns {boolean} True if updated, false if the ID was not found.
+     */
+    static _replace(objectiveName, id, newData) {
+        if (!this._hasObjective(objectiveName)) return false;
+
+        const newJsonStr = this._stringify(newData, objectiveName);
+
+        const entry = this._findEntry(objectiveName, id);
+        if (!entry) return false;
+
+        this._removeEntry(objectiveName, entry);
+        this._writeEntry(objectiveName, id, newJsonStr);
+        this._reindexUnique(objectiveName, id, newData);
+        return true;
+    }
+
+    /**
+     * Overwrite several records in a single scan of the objective (data is already prepared).
+     * @param {string} objectiveName - The name of the objective.
+     * @param {Map<number, object>} updates - The prepared data of each record, by ID.
+     * @returns {number[]} The IDs that were found and overwritten.
+     */
+    static _replaceMany(objectiveName, updates) {
+        if (updates.size === 0 || !this._hasObjective(objectiveName)) return [];
+
+        const entries = this._entries(objectiveName).filter(entry => updates.has(entry.id));
+        const jsons = entries.map(entry => this._stringify(updates.get(entry.id), objectiveName));
+
+        // Remove every old version first: a record may take the participant name
+        // another record of the batch gives up (e.g., two swapped unique values)
+        for (const entry of entries) this._removeEntry(objectiveName, entry);
+        entries.forEach((entry, i) => {
+            this._writeEntry(objectiveName, entry.id, jsons[i]);
+            this._reindexUnique(objectiveName, entry.id, updates.get(entry.id));
+        });
+        return entries.map(entry => entry.id);
+    }
+
+    /**
+     * Update JSON objects based on conditions (Partial update / Merge).
+     * - If 'query' is an object: finds records matching it (exact values, operators, dotted paths).
+     * - If 'query' is a function: finds records where the callback returns true.
+     * Fires the beforeUpdate/afterUpdate hooks for each record (see Hooks).
+     * @param {string} objectiveName - The name of the objective.
+     * @param {object|function} query - Example: { uuid: "xxxxx" } OR (data) => data.level < 10.
+     * @param {object|function} newData - The properties to update, OR a callback (oldData) => newData.
+     * @returns {number} The amount of records successfully updated (records cancelled by a hook are not counted).
+     * @throws {TypeError} If query or newData are not provided/invalid.
+     */
+    static update(objectiveName, query, newData) {
+        if (query === undefined) {
+            throw new TypeError("[ScoreboardStorage] Query must be provided for mass update.");
+        }
+        if (newData === undefined) {
+            throw new TypeError("[ScoreboardStorage] newData must be provided for update.");
+        }
+
+        if (!this._hasObjective(objectiveName)) return 0;
+        this._notifyWrite(objectiveName);
+
+        let updatedCount = 0;
+        const hasQuery = query !== null;
+
+        for (const entry of this._entries(objectiveName)) {
+            const parsed = this._decode(objectiveName, entry.raw);
+            if (parsed !== null) {
+                if (hasQuery && Query.match(parsed, query)) {
+                    if (this._updateEntry(objectiveName, entry, parsed, newData)) updatedCount++;
+                }
+            }
+        }
+        return updatedCount;
+    }
+
+    /**
+     * Merge new data into a matched record, through the hooks, the schema and the unique constraints.
+     * @param {string} objectiveName - The name of the objective.
+     * @param {{id: number, participants: string[]}} entry - The stored record.
+     * @param {any} parsed - Its current data.
+     * @param {object|function} newData - The properties to update, OR a callback (oldData) => newData.
+     * @returns {boolean} False if a hook cancelled the update.
+     */
+    static _updateEntry(objectiveName, entry, parsed, newData) {
+        let dataToSave;
+        if (typeof newData === "function") {
+            dataToSave = newData(parsed);
+        } else {
+            dataToSave = { ...parsed, ...newData };
+        }
+
+        const event = { objectiveName, id: entry.id, oldData: parsed, data: dataToSave };
+        if (!Hooks._runBefore(objectiveName, "beforeUpdate", event)) return false;
+
+        const prepared = this._prepare(objectiveName, event.data);
+        this._checkUnique(objectiveName, entry.id, prepared);
+        const json = this._stringify(prepared, objectiveName);
+        this._removeEntry(objectiveName, entry);
+        this._writeEntry(objectiveName, entry.id, json);
+        this._reindexUnique(objectiveName, entry.id, prepared);
+        this._notifyWritten(objectiveName, entry.id, prepared);
+
+        Hooks._runAfter(objectiveName, "afterUpdate", { objectiveName, id: entry.id, oldData: parsed, data: prepared });
+        return true;
+    }
+
+    /* =========================
+       DELETE
+    ========================= */
+
+    /**
+     * Delete a record by ID.
+     * Fires the beforeDelete/afterDelete hooks (see Hooks).
+     * When hooked, the deletion runs in a transaction, so a hook error rolls back its writes too.
+     * @param {string} objectiveName - The name of the objective.
+     * @param {number} id - The ID of the record to delete.
+     * @returns {boolean} True if deleted, false if not found or a hook cancelled the deletion.
+     * @throws {TypeError} If the ID is not a valid number.
+     */
+    static deleteById(objectiveName, id) {
+        if (typeof id !== "number" || isNaN(id)) {
+            throw new TypeError(`[ScoreboardStorage] ID must be a valid number, got ${typeof id}.`);
+        }
+
+        if (!this._hasObjective(objectiveName)) return false;
+
+        // Delete hooks may write other objectives (e.g., Relation cascades): keep it all atomic
+        const hooked = Hooks.has(objectiveName, "beforeDelete", "afterDelete");
+        if (hooked && !this._transaction) {
+            return this.transaction(() => this.deleteById(objectiveName, id));
+        }
+        this._notifyWrite(objectiveName);
+
+        const entry = this._findEntry(objectiveName, id);
+        if (!entry) return false;
+
+        // The old data is only parsed if someone listens
+        const oldData = hooked ? this._decode(objectiveName, entry.raw) : undefined;
+        if (hooked && !Hooks._runBefore(objectiveName, "beforeDelete", { objectiveName, id, oldData })) return false;
+
+        this._removeEntry(objectiveName, entry);
+        this._notifyWritten(objectiveName, id, null);
+
+        if (hooked) Hooks._runAfter(objectiveName, "afterDelete", { objectiveName, id, oldData });
+        return true;
+    }
+
+    /**
+     * Delete several records in a single scan of the objective.
+     * @param {string} objectiveName - The name of the objective.
+     * @param {Set<number>} ids - The IDs of the records to delete.
+     * @returns {number[]} The IDs that were found and deleted.
+     */
+    static _removeMany(objectiveName, ids) {
+        if (ids.size === 0 || !this._hasObjective(objectiveName)) return [];
+
+        const removed = [];
+        for (const entry of this._entries(objectiveName)) {
+            if (!ids.has(entry.id)) continue;
+
+            this._removeEntry(objectiveName, entry);
+            removed.push(entry.id);
+        }
+        return removed;
+    }
+
+    /**
+     * Delete records based on conditions (Massive delete).
+     * - If 'query' is an object: deletes records matching it (exact values, operators, dotted paths).
+     * - If 'query' is a function: deletes records where the callback returns true.
+     * Fires the beforeDelete/afterDelete hooks for each record (see Hooks).
+     * When hooked, the deletion runs in a transaction, so a hook error rolls back its writes too.
+     * @param {string} objectiveName - The name of the objective.
+     * @param {object|function} query - Example: { faction: "Bandits" } OR (data) => data.level < 5.
+     * @returns {number} The amount of records successfully deleted (records kept by a hook are not counted).
+     * @throws {TypeError} If the query is invalid.
+     */
+    static delete(objectiveName, query) {
+        if (query !== undefined && typeof query !== "object" && typeof query !== "function") {
+            throw new TypeError("[ScoreboardStorage] Query must be an object, a function, or undefined.");
+        }
+
+        if (!this._hasObjective(objectiveName)) return 0;
+
+        // Delete hooks may write other objectives (e.g., Relation cascades): keep it all atomic
+        if (Hooks.has(objectiveName, "beforeDelete", "afterDelete") && !this._transaction) {
+            return this.transaction(() => this.delete(objectiveName, query));
+        }
+        this._notifyWrite(objectiveName);
+
+        let deletedCount = 0;
+        const hasQuery = query !== undefined && query !== null; // Never wipe everything by accident
+
+        for (const entry of this._entries(objectiveName)) {
+            const parsed = this._decode(objectiveName, entry.raw);
+            if (parsed !== null) {
+                if (hasQuery && Query.match(parsed, query)) {
+                    if (this._deleteEntry(objectiveName, entry, parsed)) deletedCount++;
+                }
+            }
+        }
+        
+        return deletedCount;
+    }
+
+    /**
+     * Delete a matched record, through the hooks.
+     * @param {string} objectiveName - The name of the objective.
+     * @param {{id: number, participants: string[]}} entry - The stored record.
+     * @param {any} parsed - Its current data.
+     * @returns {boolean} False if a hook cancelled the deletion.
+     */
+    static _deleteEntry(objectiveName, entry, parsed) {
+        const event = { objectiveName, id: entry.id, oldData: parsed };
+        if (!Hooks._runBefore(objectiveName, "beforeDelete", event)) return false;
+
+        this._removeEntry(objectiveName, entry);
+        this._notifyWritten(objectiveName, entry.id, null);
+
+        Hooks._runAfter(objectiveName, "afterDelete", event);
+        return true;
+    }
+
+    /* =========================
+       ASYNC (TIME-SLICED)
+    ========================= */
+
+    /**
+     * Records processed by each step of a time-sliced job, unless 'batchSize' is given.
+     * @type {number}
+     */
+    static BATCH_SIZE = 100;
+
+    /**
+     * Read records like getElements(), spread over several ticks so that large objectives
+     * do not freeze the server. The result reflects the objective when the job ends: records
+     * written by other code meanwhile are read again in a last step, deleted ones are left out.
+     * @param {string} objectiveName - The name of the objective.
+     * @param {object|function} [query] - Optional. Same as getElements().
+     * @param {object} [options] - Optional. The query options of getElements(), plus:
+     * @param {number} [options.batchSize] - Records parsed per job step (default BATCH_SIZE).
+     * @returns {Promise<Array<{id: number, data: any}>> & {cancel: function(): boolean}} Call cancel() to stop the job:
+     *   the promise then rejects with a CancelledError.
+     * @throws {TypeError} If the query, the options or the batch size are invalid.
+     * @throws {Error} If the scheduler cannot run jobs (see useScheduler()).
+     */
+    static getElementsAsync(objectiveName, query, options) {
+        if (query !== undefined && typeof query !== "object" && typeof query !== "function") {
+            throw new TypeError("[ScoreboardStorage] Query must be an object, a function, or undefined.");
+        }
+        if (options !== undefined) Query.validateOptions(options);
+        const batchSize = this._batchSize(options);
+
+        const self = this;
+        return this._runJob(function* () {
+            const matched = [];
+            yield* self._scanJob(objectiveName, batchSize, (entry, parsed) => {
+                if (Query.match(parsed, query)) matched.push({ entry, record: { id: entry.id, data: parsed } });
+            }, true);
+
+            // Records rewritten or deleted after their visit are left out (rewritten ones were visited again)
+            const result = matched.filter(({ entry }) => self._isCurrent(objectiveName, entry)).map(({ record }) => record);
+            return Query.shape(result, options);
+        });
+    }
+
+    /**
+     * Update records like update(), spread over several ticks. Hooks, schema and unique constraints
+     * apply to each record. Only the records stored when the job starts are visited, and those
+     * rewritten by other code meanwhile are skipped. Unlike update(), the job is not atomic:
+     * cancelling it (or an error) keeps the records already updated.
+     * @param {string} objectiveName - The name of the objective.
+     * @param {object|function} query - Same as update().
+     * @param {object|function} newData - Same as update().
+     * @param {object} [options]
+     * @param {number} [options.batchSize] - Records processed per job step (default BATCH_SIZE).
+     * @returns {Promise<number> & {cancel: function(): boolean}} The amount of records updated.
+     * @throws {TypeError} If query or newData are not provided, or the batch size is invalid.
+     * @throws {Error} If the scheduler cannot run jobs (see useScheduler()).
+     */
+    static updateAsync(objectiveName, query, newData, options) {
+        if (query === undefined) {
+            throw new TypeError("[ScoreboardStorage] Query must be provided for mass update.");
+        }
+        if (newData === undefined) {
+            throw new TypeError("[ScoreboardStorage] newData must be provided for update.");
+        }
+        const batchSize = this._batchSize(options);
+
+        const self = this;
+        return this._runJob(function* () {
+            let updatedCount = 0;
+            if (query === null) return updatedCount;
+
+            yield* self._scanJob(objectiveName, batchSize, (entry, parsed) => {
+                if (!Query.match(parsed, query)) return;
+
+                self._notifyWrite(objectiveName);
+                if (self._updateEntry(objectiveName, entry, parsed, newData)) updatedCount++;
+            });
+            return updatedCount;
+        });
+    }
+
+    /**
+     * Delete records like delete(), spread over several ticks.
+     * Visits the records like updateAsync(). When hooked, each deletion runs in its own
+     * transaction (see deleteById()). Cancelling the job (or an error) keeps the records already deleted.
+     * @param {string} objectiveName - The name of the objective.
+     * @param {object|function} query - Same as delete(). A missing query deletes nothing.
+     * @param {object} [options]
+     * @param {number} [options.batchSize] - Records processed per job step (default BATCH_SIZE).
+     * @returns {Promise<number> & {cancel: function(): boolean}} The amount of records deleted.
+     * @throws {TypeError} If the query or the batch size are invalid.
+     * @throws {Error} If the scheduler cannot run jobs (see useScheduler()).
+     */
+    static deleteAsync(objectiveName, query, options) {
+        if (query !== undefined && typeof query !== "object" && typeof query !== "function") {
+            throw new TypeError("[ScoreboardStorage] Query must be an object, a function, or undefined.");
+        }
+        const batchSize = this._batchSize(options);
+
+        const self = this;
+        return this._runJob(function* () {
+            let deletedCount = 0;
+            if (query === undefined || query === null) return deletedCount; // Never wipe everything by accident
+
+            const hooked = Hooks.has(objectiveName, "beforeDelete", "afterDelete");
+            yield* self._scanJob(objectiveName, batchSize, (entry, parsed) => {
+                if (!Query.match(parsed, query)) return;
+
+                self._notifyWrite(objectiveName);
+                const deleted = hooked
+                    ? self.transaction(() => self._deleteEntry(objectiveName, entry, parsed))
+                    : self._deleteEntry(objectiveName, entry, parsed);
+                if (deleted) deletedCount++;
+            });
+            return deletedCount;
+        });
+    }
+
+    /**
+     * Iterate over the records of an objective, one batch per tick (see getElementsAsync()).
+     * Use it with `for await`; leaving the loop (break, return, throw) stops the iteration.
+     * @param {string} objectiveName - The name of the objective.
+     * @param {object|function} [query] - Optional. Only the matching records are yielded.
+     * @param {object} [options]
+     * @param {number} [options.batchSize] - Records parsed per tick (default BATCH_SIZE).
+     * @returns {AsyncGenerator<{id: number, data: any}> & {cancel: function(): boolean}} Call cancel() to stop
+     *   the iteration from outside the loop: the loop then throws a CancelledError. cancel() returns false if
+     *   the iteration already ended.
+     * @throws {TypeError} If the query or the batch size are invalid.
+     * @throws {Error} If the scheduler cannot run jobs (see useScheduler()).
+     */
+    static iterate(objectiveName, query, options) {
+        if (query !== undefined && typeof query !== "object" && typeof query !== "function") {
+            throw new TypeError("[ScoreboardStorage] Query must be an object, a function, or undefined.");
+        }
+        const batchSize = this._batchSize(options);
+        this._jobScheduler(); // Fail now rather than at the first step
+
+        const self = this;
+        let cancelled = false;
+        let ended = false;
+        let waiting = null;
+        const cancelledError = () => new CancelledError("[ScoreboardStorage] The job was cancelled.");
+
+        const records = (async function* () {
+            try {
+                const batch = [];
+                const steps = self._scanJob(objectiveName, batchSize, (entry, parsed) => {
+                    if (Query.match(parsed, query)) batch.push({ id: entry.id, data: parsed });
+                }, true);
+
+                let more = true;
+                while (more) {
+                    if (cancelled) throw cancelledError();
+                    more = !steps.next().done;
+
+                    for (const record of batch.splice(0)) {
+                        yield record;
+                        if (cancelled) throw cancelledError();
+                    }
+                    if (!more) break;
+
+                    waiting = self._runJob(function* () {}); // Let the next tick come
+                    await waiting;
                 }
+            } finally {
+                ended = true;
             }
+        })();
+
+        records.cancel = () => {
+            if (cancelled || ended) return false;
+            cancelled = true;
+            waiting?.cancel();
+            return true;
+        };
+        return records;
+    }
+
+    /**
+     * Validate the batch size of a time-sliced method.
+     * @param {object} [options]
+     * @returns {number}
+     * @throws {TypeError} If the batch size is not a positive integer.
+     */
+    static _batchSize(options) {
+        const batchSize = options?.batchSize ?? this.BATCH_SIZE;
+        if (!Number.isInteger(batchSize) || batchSize < 1) {
+            throw new TypeError("[ScoreboardStorage] 'batchSize' must be a positive integer.");
         }
-        return result;
+        return batchSize;
     }
 
     /**
-     * Find the first JSON object using a callback condition.
+     * Job step generator visiting the valid records of an objective, yielding after each batch.
+     * The participants are grouped into records over several steps, then each record is checked
+     * again before it is parsed (other writes may run meanwhile).
      * @param {string} objectiveName - The name of the objective.
-     * @param {function} callback - Function that evaluates each parsed object: (data) => boolean.
-     * @returns {{id: number, data: any}|null} The first matched object, or null if not found.
-     * @throws {TypeError} If the callback is not a function.
+     * @param {number} batchSize
+     * @param {function({id: number, raw: string, participants: string[]}, any): void} visit - Receives each record and its data.
+     * @param {boolean} [catchUp=false] - Also visit, in a last pass, the records created or rewritten during the job.
+     * @returns {Generator<void, void>}
      */
-    static find(objectiveName, callback) {
-        if (typeof callback !== "function") {
-            throw new TypeError("[ScoreboardStorage] Callback must be a function.");
-        }
+    static *_scanJob(objectiveName, batchSize, visit, catchUp = false) {
+        if (!this._hasObjective(objectiveName)) return;
 
-        const objective = world.scoreboard.getObjective(objectiveName);
-        if (!objective) return null;
+        const backend = this._getBackend(objectiveName);
+        const entries = yield* this._listEntries(backend.getParticipants(objectiveName), batchSize);
+        yield* this._visitJob(objectiveName, entries, batchSize, visit);
+        if (!catchUp || !this._hasObjective(objectiveName)) return;
 
-        for (const p of objective.getParticipants()) {
-            const parsed = this._parse(p.displayName);
-            if (parsed && callback(parsed)) {
-                return {
-                    id: objective.getScore(p),
-                    data: parsed
-                };
-            }
-        }
-        return null;
+        const key = entry => `${entry.id}:${entry.participants.join("\n")}`;
+        const listed = new Set(entries.map(key));
+        yield;
+
+        const current = yield* this._listEntries(this._getBackend(objectiveName).getParticipants(objectiveName), batchSize);
+        yield* this._visitJob(objectiveName, current.filter(entry => !listed.has(key(entry))), batchSize, visit);
     }
 
     /**
-     * Find ALL JSON objects using a callback condition.
+     * Job step generator parsing listed records that are still stored, one batch per step.
      * @param {string} objectiveName - The name of the objective.
-     * @param {function} callback - Function that evaluates each parsed object: (data) => boolean.
-     * @returns {Array<{id: number, data: any}>} Array of matched objects.
-     * @throws {TypeError} If the callback is not a function.
+     * @param {Array<{id: number, raw: string|null, participants: string[]}>} entries
+     * @param {number} batchSize
+     * @param {function({id: number, raw: string, participants: string[]}, any): void} visit
+     * @returns {Generator<void, void>}
      */
-    static findAll(objectiveName, callback) {
-        if (typeof callback !== "function") {
-            throw new TypeError("[ScoreboardStorage] Callback must be a function.");
+    static *_visitJob(objectiveName, entries, batchSize, visit) {
+        for (let i = 0; i < entries.length; i++) {
+            if (i % batchSize === 0) yield;
+
+            const entry = entries[i];
+            if (!this._isCurrent(objectiveName, entry)) continue;
+
+            const parsed = this._decode(objectiveName, entry.raw);
+            if (parsed !== null) visit(entry, parsed);
         }
+    }
 
-        const objective = world.scoreboard.getObjective(objectiveName);
-        if (!objective) return [];
+    /**
+     * Check that a record listed by a previous scan is still stored as it was
+     * (other writes may run between the steps of a job).
+     * @param {string} objectiveName - The name of the objective.
+     * @param {{id: number, participants: string[]}} entry
+     * @returns {boolean}
+     */
+    static _isCurrent(objectiveName, entry) {
+        const backend = this._getBackend(objectiveName);
+        return entry.participants.every(p => backend.getScore(objectiveName, p) === entry.id);
+    }
 
-        const results = [];
-        for (const p of objective.getParticipants()) {
-            const parsed = this._parse(p.displayName);
-            if (parsed && callback(parsed)) {
-                results.push({
-                    id: objective.getScore(p),
-                    data: parsed
-                });
-            }
+    /**
+     * Get the scheduler, checking that it can run jobs.
+     * @returns {object}
+     * @throws {Error} If the scheduler cannot run jobs.
+     */
+    static _jobScheduler() {
+        const scheduler = this._getScheduler();
+        if (typeof scheduler.runJob !== "function") {
+            throw new Error("[ScoreboardStorage] The scheduler cannot run jobs. Use a scheduler implementing runJob and clearJob (e.g., `system`).");
         }
-        return results;
+        return scheduler;
+    }
+
+    /**
+     * Run a generator function as a job of the scheduler: the game runs its steps (the code
+     * between two yields) when it has time left in a tick.
+     * @param {function(): Generator} job - Its return value resolves the promise; a thrown error rejects it.
+     * @returns {Promise<any> & {cancel: function(): boolean}} cancel() stops the job before its next step,
+     *   rejects the promise with a CancelledError and returns true (false if the job already ended).
+     * @throws {Error} If the scheduler cannot run jobs.
+     */
+    static _runJob(job) {
+        const scheduler = this._jobScheduler();
+
+        let settled = false;
+        let resolve, reject;
+        const promise = new Promise((res, rej) => {
+            resolve = res;
+            reject = rej;
+        });
+
+        const steps = job();
+        const jobId = scheduler.runJob((function* () {
+            while (!settled) {
+                let step;
+                try {
+                    step = steps.next();
+                } catch (err) {
+                    settled = true;
+                    reject(err);
+                    return;
+                }
+                if (step.done) {
+                    settled = true;
+                    resolve(step.value);
+                    return;
+                }
+                yield;
+            }
+        })());
+
+        promise.cancel = () => {
+            if (settled) return false;
+            settled = true;
+            scheduler.clearJob(jobId);
+            reject(new CancelledError("[ScoreboardStorage] The job was cancelled."));
+            return true;
+        };
+        return promise;
     }
 
     /* =========================
-       UPDATE
+       TRANSACTIONS
     ========================= */
 
     /**
-     * Update a JSON object while keeping the same ID.
-     * @param {string} objectiveName - The name of the objective.
-     * @param {number} id - The ID of the record to update.
-     * @param {object} newData - The new data to save.
-     * @returns {boolean} True if updated, false if the ID was not found.
-     * @throws {TypeError} If the ID is invalid or newData is undefined.
+     * Run several writes as a single atomic operation.
+     * Writes made inside the callback (across any objective, through ScoreboardStorage or CacheManager)
+     * are applied immediately, but the previous participants of every touched objective are journaled:
+     * if the callback throws, all of them are restored and the error is re-thrown.
+     * Nested calls join the outer transaction.
+     * @param {function(): any} callback - Synchronous function performing the writes.
+     * @returns {any} The value returned by the callback.
+     * @throws {TypeError} If the callback is not a function or returns a Promise.
      */
-    static updateById(objectiveName, id, newData) {
-        if (typeof id !== "number" || isNaN(id)) {
-            throw new TypeError(`[ScoreboardStorage] ID must be a valid number, got ${typeof id}.`);
+    static transaction(callback) {
+        if (typeof callback !== "function") {
+            throw new TypeError("[ScoreboardStorage] Transaction callback must be a function.");
         }
-        if (newData === undefined) {
-            throw new TypeError("[ScoreboardStorage] newData must be provided to perform an update.");
+        if (this._transaction) {
+            return callback(); // Joins the outer transaction
         }
 
-        const objective = world.scoreboard.getObjective(objectiveName);
-        if (!objective) return false;
+        const transaction = { journal: new Map() };
+        this._transaction = transaction;
 
-        const newJsonStr = this._stringify(newData);
-
-        for (const p of objective.getParticipants()) {
-            if (objective.getScore(p) === id) {
-                objective.removeParticipant(p);
-                objective.setScore(newJsonStr, id);
-                return true;
+        try {
+            const result = callback();
+            if (result && typeof result.then === "function") {
+                throw new TypeError("[ScoreboardStorage] Transaction callback must be synchronous.");
             }
+            return result;
+        } catch (err) {
+            this._rollback(transaction);
+            throw err;
+        } finally {
+            this._transaction = null;
         }
-        return false;
     }
 
     /**
-     * Update JSON objects based on conditions (Partial update / Merge).
-     * - If 'query' is an object: finds records matching exact attributes.
-     * - If 'query' is a function: finds records where the callback returns true.
-     * @param {string} objectiveName - The name of the objective.
-     * @param {object|function} query - Example: { uuid: "xxxxx" } OR (data) => data.level < 10.
-     * @param {object|function} newData - The properties to update, OR a callback (oldData) => newData.
-     * @returns {number} The amount of records successfully updated.
-     * @throws {TypeError} If query or newData are not provided/invalid.
+     * Run writes that the current transaction must not journal, so a rollback keeps them
+     * (e.g., CacheManager flushing writes made before the transaction started).
+     * @param {function(): any} callback
+     * @returns {any} The value returned by the callback.
      */
-    static update(objectiveName, query, newData) {
-        if (query === undefined) {
-            throw new TypeError("[ScoreboardStorage] Query must be provided for mass update.");
-        }
-        if (newData === undefined) {
-            throw new TypeError("[ScoreboardStorage] newData must be provided for update.");
+    static _outsideTransaction(callback) {
+        const transaction = this._transaction;
+        this._transaction = null;
+        try {
+            return callback();
+        } finally {
+            this._transaction = transaction;
         }
+    }
 
-        const objective = world.scoreboard.getObjective(objectiveName);
-        if (!objective) return 0;
-
-        let updatedCount = 0;
-        const isQueryFunction = typeof query === "function";
-        const isQueryObject = typeof query === "object" && query !== null;
-        const isNewDataFunction = typeof newData === "function";
-
-        for (const p of objective.getParticipants()) {
-            const parsed = this._parse(p.displayName);
-            if (parsed !== null) {
-                let match = false;
-
-                if (isQueryFunction) {
-                    match = query(parsed);
-                } else if (isQueryObject) {
-                    match = true;
-                    for (const key in query) {
-                        if (parsed[key] !== query[key]) {
-                            match = false;
-                            break;
-                        }
-                    }
-                }
-
-                if (match) {
-                    const id = objective.getScore(p);
-                    objective.removeParticipant(p);
-                    
-                    let dataToSave;
-                    if (isNewDataFunction) {
-                        dataToSave = newData(parsed);
-                    } else {
-                        dataToSave = { ...parsed, ...newData };
-                    }
-
-                    objective.setScore(this._stringify(dataToSave), id);
-                    updatedCount++;
-                }
-            }
+    /**
+     * Register a callback notified after a transaction has been rolled back,
+     * or after import()/restoreSnapshot() replaced the records of an objective.
+     * Use it to drop data cached outside of the library (CacheManager refreshes itself).
+     * @param {function(string[]): void} listener - Receives the names of the restored objectives.
+     * @returns {function(): boolean} A function removing the listener.
+     */
+    static onRollback(listener) {
+        if (typeof listener !== "function") {
+            throw new TypeError("[ScoreboardStorage] Rollback listener must be a function.");
         }
-        return updatedCount;
+        this._rollbackListeners.add(listener);
+        return () => this._rollbackListeners.delete(listener);
     }
 
-    /* =========================
-       DELETE
-    ========================= */
-
     /**
-     * Delete a record by ID.
-     * @param {string} objectiveName - The name of the objective.
-     * @param {number} id - The ID of the record to delete.
-     * @returns {boolean} True if deleted, false if not found.
-     * @throws {TypeError} If the ID is not a valid number.
+     * Let the cache store its pending writes (e.g., the CacheManager write-behind) of an objective
+     * about to be written directly, so they are never applied over the new records.
+     * @param {string} objectiveName
      */
-    static deleteById(objectiveName, id) {
-        if (typeof id !== "number" || isNaN(id)) {
-            throw new TypeError(`[ScoreboardStorage] ID must be a valid number, got ${typeof id}.`);
-        }
+    static _notifyWrite(objectiveName) {
+        this._cache?._beforeDirectWrite(objectiveName);
+    }
 
-        const objective = world.scoreboard.getObjective(objectiveName);
-        if (!objective) return false;
+    /**
+     * Let the cache apply a record written directly to its copy of the objective.
+     * @param {string} objectiveName
+     * @param {number|null} id - The record written (null when the whole objective was cleared).
+     * @param {object|null} data - Its prepared data (null when it was deleted).
+     */
+    static _notifyWritten(objectiveName, id, data) {
+        this._cache?._afterDirectWrite(objectiveName, id, data);
+    }
 
-        for (const p of objective.getParticipants()) {
-            if (objective.getScore(p) === id) {
-                objective.removeParticipant(p);
-                return true;
-            }
+    /**
+     * Register a callback notified when a read skips a record failing its integrity check
+     * (an encrypted payload edited by hand, truncated, or written with another key).
+     * Reporting is opt-in: without listeners the record is skipped silently. Integrity.verify()
+     * lists those records as "tampered", and Integrity.repair() quarantines them.
+     * @param {function(IntegrityError): void} listener - Receives the error (its objectiveName tells where).
+     * @returns {function(): boolean} A function removing the listener.
+     */
+    static onIntegrityError(listener) {
+        if (typeof listener !== "function") {
+            throw new TypeError("[ScoreboardStorage] Integrity listener must be a function.");
         }
-        return false;
+        this._integrityListeners.add(listener);
+        return () => this._integrityListeners.delete(listener);
     }
 
     /**
-     * Delete records based on conditions (Massive delete).
-     * - If 'query' is an object: deletes records matching exact attributes.
-     * - If 'query' is a function: deletes records where the callback returns true.
-     * @param {string} objectiveName - The name of the objective.
-     * @param {object|function} query - Example: { faction: "Bandits" } OR (data) => data.level < 5.
-     * @returns {number} The amount of records successfully deleted.
-     * @throws {TypeError} If the query is invalid.
+     * Report a record skipped by a read to the integrity listeners.
+     * @param {IntegrityError} error
      */
-    static delete(objectiveName, query) {
-        if (query !== undefined && typeof query !== "object" && typeof query !== "function") {
-            throw new TypeError("[ScoreboardStorage] Query must be an object, a function, or undefined.");
+    static _reportIntegrityError(error) {
+        for (const listener of this._integrityListeners) {
+            listener(error);
         }
+    }
 
-        const objective = world.scoreboard.getObjective(objectiveName);
-        if (!objective) return 0;
-
-        let deletedCount = 0;
-        const isQueryFunction = typeof query === "function";
-        const isQueryObject = typeof query === "object" && query !== null;
+    /**
+     * Record the state of an objective before its first write in the running transaction.
+     * @param {string} objectiveName - The name of the objective about to be written.
+     */
+    static _journal(objectiveName) {
+        const transaction = this._transaction;
+        if (!transaction || transaction.journal.has(objectiveName)) return;
+
+        const backend = this._getBackend(objectiveName);
+        transaction.journal.set(objectiveName, {
+            backend,
+            participants: backend.getParticipants(objectiveName)
+        });
+    }
 
-        for (const p of objective.getParticipants()) {
-            const parsed = this._parse(p.displayName);
-            if (parsed !== null) {
-                let match = false;
-
-                if (isQueryFunction) {
-                    match = query(parsed);
-                } else if (isQueryObject) {
-                    match = true;
-                    for (const key in query) {
-                        if (parsed[key] !== query[key]) {
-                            match = false;
-                            break;
-                        }
-                    }
-                }
+    /**
+     * Restore every objective touched by a transaction.
+     * The ID sequence is left as is, so IDs allocated by the failed writes are never handed out again.
+     * @param {{journal: Map<string, {backend: import("./StorageBackend").StorageBackend, participants: Array<{name: string, score: number}>}>}} transaction
+     */
+    static _rollback(transaction) {
+        for (const [objectiveName, { backend, participants }] of transaction.journal.entries()) {
+            const previous = new Map();
+            for (const p of participants) {
+                previous.set(p.name, p.score);
+            }
 
-                if (match) {
-                    objective.removeParticipant(p);
-                    deletedCount++;
-                }
+            // Remove what the transaction added, then put back what it removed or changed
+            for (const p of backend.getParticipants(objectiveName)) {
+                if (p.name === this.SEQUENCE_PARTICIPANT) continue;
+                if (!previous.has(p.name)) backend.removeParticipant(objectiveName, p.name);
+            }
+            for (const [name, score] of previous.entries()) {
+                if (name === this.SEQUENCE_PARTICIPANT) continue;
+                if (backend.getScore(objectiveName, name) !== score) backend.setScore(objectiveName, name, score);
             }
         }
-        
-        return deletedCount;
+
+        this._notifyRewritten([...transaction.journal.keys()]);
+    }
+
+    /**
+     * Notify the cache and the rollback listeners that objectives were rewritten behind their back.
+     * @param {string[]} objectiveNames
+     */
+    static _notifyRewritten(objectiveNames) {
+        for (const objectiveName of objectiveNames) this._uniqueIndexes.delete(objectiveName);
+        this._cache?._afterRewrite(objectiveNames);
+        for (const listener of this._rollbackListeners) {
+            listener(objectiveNames);
+        }
     }
 
     /* =========================
@@ -426,7 +1919,7 @@ export class ScoreboardStorage {
      * Check if a record exists.
      * - If 'query' is omitted: returns true if the objective has AT LEAST one record.
      * - If 'query' is a number: checks the ID (fast, no parsing).
-     * - If 'query' is an object: parses records to find a match.
+     * - If 'query' is an object: parses records to find a match (exact values, operators, dotted paths).
      * @param {string} objectiveName - The name of the objective.
      * @param {number|object} [query] - Optional. Example: 5 OR { name: "StellaEXE" }.
      * @returns {boolean} True if at least one record matches.
@@ -437,32 +1930,22 @@ export class ScoreboardStorage {
             throw new TypeError("[ScoreboardStorage] Query must be a number (ID), an object, or undefined.");
         }
 
-        const objective = world.scoreboard.getObjective(objectiveName);
-        if (!objective) return false;
+        if (!this._hasObjective(objectiveName)) return false;
 
         if (query === undefined) {
-            return objective.getParticipants().length > 0;
+            return this._entries(objectiveName).length > 0;
         }
 
         const isId = typeof query === "number";
 
-        for (const p of objective.getParticipants()) {
+        for (const entry of this._entries(objectiveName)) {
             if (isId) {
-                if (objective.getScore(p) === query) return true;
+                if (entry.id === query) return true;
                 continue;
             }
 
-            const parsed = this._parse(p.displayName);
-            if (parsed) {
-                let match = true;
-                for (const key in query) {
-                    if (parsed[key] !== query[key]) {
-                        match = false;
-                        break;
-                    }
-                }
-                if (match) return true;
-            }
+            const parsed = this._decode(objectiveName, entry.raw);
+            if (parsed && Query.match(parsed, query)) return true;
         }
         return false;
     }
@@ -470,7 +1953,7 @@ export class ScoreboardStorage {
     /**
      * Count records in the database based on conditions.
      * - If 'query' is omitted: returns the total number of records (fast).
-     * - If 'query' is an object: counts records that exactly match the attributes.
+     * - If 'query' is an object: counts records matching it (exact values, operators, dotted paths).
      * - If 'query' is a function: counts records where the callback returns true.
      * @param {string} objectiveName - The name of the objective.
      * @param {object|function} [query] - Optional. Example: { role: "admin" } OR (data) => data.level > 10.
@@ -482,42 +1965,44 @@ export class ScoreboardStorage {
             throw new TypeError("[ScoreboardStorage] Query must be an object, a function, or undefined.");
         }
 
-        const objective = world.scoreboard.getObjective(objectiveName);
-        if (!objective) return 0;
+        if (!this._hasObjective(objectiveName)) return 0;
 
-        const participants = objective.getParticipants();
+        const entries = this._entries(objectiveName); // Chunks of the same record count once
 
         if (query === undefined) {
-            return participants.length;
+            return entries.length;
         }
 
         let totalCount = 0;
-        const isFunction = typeof query === "function";
-
-        for (const p of participants) {
-            const parsed = this._parse(p.displayName);
-            if (!parsed) continue;
-
-            if (isFunction) {
-                if (query(parsed)) totalCount++;
-            } 
-            else if (typeof query === "object") {
-                let match = true;
-                for (const key in query) {
-                    if (parsed[key] !== query[key]) {
-                        match = false;
-                        break;
-                    }
-                }
-                if (match) totalCount++;
-            }
+
+        for (const entry of entries) {
+            const parsed = this._decode(objectiveName, entry.raw);
+            if (parsed && Query.match(parsed, query)) totalCount++;
         }
 
         return totalCount;
     }
 
+    /**
+     * Compute totals over an objective with an aggregation pipeline.
+     * A leading $match stage filters the records while they are read.
+     * @param {string} objectiveName - The name of the objective.
+     * @param {Array<object>} pipeline - Example: [{ $match: { online: true } }, { $group: { by: "faction", total: { $sum: "money" } } }]. See Query.aggregate.
+     * @returns {Array<object>} The rows produced by the last stage.
+     * @throws {TypeError} If the pipeline is invalid.
+     */
+    static aggregate(objectiveName, pipeline) {
+        Query.validatePipeline(pipeline);
+
+        const leadingMatch = pipeline.length > 0 && "$match" in pipeline[0];
+        const records = this.getElements(objectiveName, leadingMatch ? pipeline[0].$match : undefined);
+
+        return Query.aggregate(records.map(r => r.data), leadingMatch ? pipeline.slice(1) : pipeline);
+    }
+
     /**
      * Remove all participants from the objective.
+     * The ID sequence is kept, so IDs of the cleared records are not handed out again.
      * @param {string} objectiveName - The name of the objective.
      * @throws {TypeError} If the objective name is invalid.
      */
@@ -526,11 +2011,364 @@ export class ScoreboardStorage {
             throw new TypeError("[ScoreboardStorage] Objective name must be a valid string.");
         }
 
-        const objective = world.scoreboard.getObjective(objectiveName);
-        if (!objective) return;
+        if (!this._hasObjective(objectiveName)) return;
+
+        this._notifyWrite(objectiveName);
+        this._journal(objectiveName);
+        const backend = this._getBackend(objectiveName);
+        for (const p of backend.getParticipants(objectiveName)) {
+            if (p.name === this.SEQUENCE_PARTICIPANT) continue;
+            backend.removeParticipant(objectiveName, p.name);
+        }
+        this._uniqueIndexes.delete(objectiveName);
+        this._notifyWritten(objectiveName, null, null);
+    }
+
+    /**
+     * Rebuild the persistent ID sequence of an objective from its existing records.
+     * Use it if the reserved `$sdb:seq` participant was reset or tampered with.
+     * The sequence is never moved below its current value, so IDs stay unique.
+     * @param {string} objectiveName - The name of the objective.
+     * @returns {number} The last allocated ID after the repair (0 if the objective does not exist).
+     */
+    static repairSequence(objectiveName) {
+        if (!this._hasObjective(objectiveName)) return 0;
+
+        const backend = this._getBackend(objectiveName);
+        const current = backend.getScore(objectiveName, this.SEQUENCE_PARTICIPANT);
+        const max = this._getMaxId(objectiveName);
+
+        // A sequence ahead of the data is healthy (the newest records were deleted)
+        const repaired = current !== undefined && current > max ? current : max;
+        this._journal(objectiveName);
+        backend.setScore(objectiveName, this.SEQUENCE_PARTICIPANT, repaired);
+        return repaired;
+    }
+
+    /* =========================
+       MIGRATION
+    ========================= */
+
+    /**
+     * Copy every record of an objective into another backend, keeping their IDs,
+     * then switch the objective (collection) to that backend.
+     * @param {string} objectiveName - The name of the objective to migrate.
+     * @param {import("./StorageBackend").StorageBackend} targetBackend - The backend receiving the records.
+     * @param {object} [options]
+     * @param {boolean} [options.removeSource=false] - Delete the records (and the ID sequence) from the old backend once copied.
+     * @returns {number} The amount of records copied.
+     * @throws {TypeError} If the target backend is invalid.
+     * @throws {Error} If the target backend already holds data for this objective.
+     * @throws {IntegrityError} If a record was tampered with: quarantine it first (see Integrity.repair()).
+     */
+    static migrateBackend(objectiveName, targetBackend, { removeSource = false } = {}) {
+        this._validateBackend(targetBackend);
+
+        const sourceBackend = this._getBackend(objectiveName);
+        if (targetBackend === sourceBackend) return 0;
+
+        if (targetBackend.getParticipants(objectiveName).length > 0) {
+            throw new Error(`[ScoreboardStorage] Cannot migrate '${objectiveName}': the target backend already contains data for it.`);
+        }
+
+        targetBackend.createObjective(objectiveName);
+
+        // Pending cached writes (e.g., CacheManager write-behind) are stored first, so they are copied too
+        this._notifyWrite(objectiveName);
+        const entries = this._entries(objectiveName, sourceBackend);
+        let copiedCount = 0;
+
+        for (const entry of entries) {
+            // Skip broken chunk sets and non-JSON participants of other add-ons
+            if (this._parse(entry.raw, objectiveName, true) === null) continue;
+
+            this._writeEntry(objectiveName, entry.id, entry.raw, targetBackend);
+            copiedCount++;
+        }
+
+        // Carry the ID sequence over, so IDs deleted before the migration stay retired
+        const sequence = sourceBackend.getScore(objectiveName, this.SEQUENCE_PARTICIPANT);
+        if (sequence !== undefined) {
+            targetBackend.setScore(objectiveName, this.SEQUENCE_PARTICIPANT, sequence);
+        }
+
+        if (removeSource) {
+            for (const entry of entries) {
+                this._removeEntry(objectiveName, entry);
+            }
+            if (sequence !== undefined) sourceBackend.removeParticipant(objectiveName, this.SEQUENCE_PARTICIPANT);
+        }
+
+        this._uniqueIndexes.delete(objectiveName);
+        this._backends.set(objectiveName, targetBackend);
+        return copiedCount;
+    }
+
+    /* =========================
+       BACKUP (EXPORT / IMPORT)
+    ========================= */
+
+    /**
+     * Dump every record of an objective, with its ID, into a versioned JSON-friendly object.
+     * Records are exported as stored (no schema upgrade), with encrypted fields decrypted,
+     * unless 'raw' keeps the payloads exactly as stored (codecs and encryption included).
+     * @param {string} objectiveName - The name of the objective.
+     * @param {object} [options]
+     * @param {boolean} [options.raw=false] - Keep the stored payloads: smaller and never decrypted,
+     *   but only importable where the same codecs and key are configured.
+     * @returns {{format: string, version: number, objective: string, exportedAt: number, sequence: number,
+     *   schema: {name: string, version: number, fields: string[]}|null, raw: boolean,
+     *   records: Array<{id: number, data?: any, payload?: string}>}}
+     */
+    static export(objectiveName, { raw = false } = {}) {
+        let records = [];
+        let sequence = 0;
+
+        if (this._hasObjective(objectiveName)) {
+            if (raw) {
+                for (const entry of this._entries(objectiveName)) {
+                    // Skip broken chunk sets and non-JSON participants of other add-ons
+                    if (this._parse(entry.raw, objectiveName) === null) continue;
+                    records.push({ id: entry.id, payload: entry.raw });
+                }
+            } else {
+                records = this._rawRecords(objectiveName);
+            }
+            sequence = this._getBackend(objectiveName).getScore(objectiveName, this.SEQUENCE_PARTICIPANT) ?? this._getMaxId(objectiveName);
+        }
+
+        return {
+            ...this.DUMP_FORMAT,
+            objective: objectiveName,
+            exportedAt: Date.now(),
+            sequence,
+            schema: this._schemas.get(objectiveName)?.describe?.() ?? null,
+            raw,
+            records
+        };
+    }
+
+    /**
+     * Write the records of a dump produced by export() into an objective, keeping their IDs.
+     * The whole import is atomic. Hooks do not fire, and neither the schema nor the unique
+     * constraints check the records: they are restored as exported (a raw dump is not even
+     * decoded). Caches store their pending writes before the import and drop their copy
+     * after it (see onRollback()).
+     * @param {object|string} dump - The dump, or its JSON.
+     * @param {object} [options]
+     * @param {string} [options.mode="merge"] - "merge": overwrite the records sharing an ID and add the others;
+     *   "replace": remove every current record first; "skip": only add the records whose ID is free.
+     * @param {string} [options.objectiveName] - Optional. Import into another objective than the exported one.
+     * @returns {{inserted: number, updated: number, skipped: number, removed: number}}
+     * @throws {TypeError} If the dump or the mode is invalid, or a record has no ID, data or payload.
+     * @throws {Error} If the dump was made with a newer version of the attached schema.
+     */
+    static import(dump, { mode = "merge", objectiveName } = {}) {
+        if (typeof dump === "string") dump = JSON.parse(dump);
+        if (!dump || dump.format !== this.DUMP_FORMAT.format || !Array.isArray(dump.records)) {
+            throw new TypeError("[ScoreboardStorage] Invalid dump: expected the result of ScoreboardStorage.export().");
+        }
+        if (dump.version > this.DUMP_FORMAT.version) {
+            throw new TypeError(`[ScoreboardStorage] Dump version ${dump.version} is newer than supported (${this.DUMP_FORMAT.version}).`);
+        }
+        if (!["merge", "replace", "skip"].includes(mode)) {
+            throw new TypeError(`[ScoreboardStorage] Invalid import mode '${mode}'. Use one of: merge, replace, skip.`);
+        }
+
+        const target = objectiveName ?? dump.objective;
+        const schema = this._schemas.get(target)?.describe?.();
+        if (schema && dump.schema && dump.schema.version > schema.version) {
+            throw new Error(`[ScoreboardStorage] The dump of '${dump.objective}' uses version ${dump.schema.version} of schema '${dump.schema.name}', newer than the attached one (${schema.version}).`);
+        }
+
+        // Pending cached writes belong to the state being replaced: store them now, not over the import
+        this._notifyWrite(target);
+
+        const result = this.transaction(() => {
+            this._getObjective(target);
+            const existing = new Set(this._entries(target).map(entry => entry.id));
+            const counts = { inserted: 0, updated: 0, skipped: 0, removed: 0 };
+
+            const writes = new Map();
+            if (mode === "replace") {
+                for (const id of existing) writes.set(id, null);
+                counts.removed = existing.size;
+            }
+
+            let maxId = 0;
+            for (const record of dump.records) {
+                if (!Number.isInteger(record.id) || record.id <= 0 || record.id > this.MAX_ID) {
+                    throw new TypeError(`[ScoreboardStorage] Invalid dump: record ID ${record.id} is not a valid ID.`);
+                }
+                if (dump.raw ? typeof record.payload !== "string" || record.payload === "" : record.data === undefined) {
+                    throw new TypeError(`[ScoreboardStorage] Invalid dump: record ${record.id} has no ${dump.raw ? "payload" : "data"}.`);
+                }
+                maxId = Math.max(maxId, record.id);
+
+                if (existing.has(record.id)) {
+                    if (mode === "skip") {
+                        counts.skipped++;
+                        continue;
+                    }
+                    if (writes.get(record.id) === null) counts.removed--;
+                    counts.updated++;
+                } else {
+                    counts.inserted++;
+                }
+                writes.set(record.id, dump.raw ? record.payload : this._stringify(record.data, target));
+            }
+
+            this._writeMany(target, writes);
+
+            // Never hand out an imported (or previously retired) ID again
+            const backend = this._getBackend(target);
+            this._journal(target);
+            const sequence = Math.max(backend.getScore(target, this.SEQUENCE_PARTICIPANT) ?? this._getMaxId(target), dump.sequence ?? 0, maxId);
+            backend.setScore(target, this.SEQUENCE_PARTICIPANT, sequence);
+
+            return counts;
+        });
+
+        this._notifyRewritten([target]);
+        return result;
+    }
+
+    /* =========================
+       SNAPSHOTS
+    ========================= */
+
+    /**
+     * Store a named copy of an objective inside the world (in SNAPSHOT_OBJECTIVE).
+     * Payloads are kept as stored, so encrypted data stays encrypted in the snapshot.
+     * A snapshot with the same name for the same objective is replaced.
+     * @param {string} objectiveName - The objective to copy.
+     * @param {string} snapshotName - Example: "before-update-1.2".
+     * @returns {{name: string, objective: string, createdAt: number, records: number}}
+     * @throws {TypeError} If the snapshot name is invalid.
+     */
+    static createSnapshot(objectiveName, snapshotName) {
+        if (typeof snapshotName !== "string" || snapshotName.trim() === "") {
+            throw new TypeError("[ScoreboardStorage] Snapshot name must be a non-empty string.");
+        }
+
+        const dump = this.export(objectiveName, { raw: true });
+        const snapshot = { name: snapshotName, objective: objectiveName, createdAt: dump.exportedAt, records: dump.records.length };
+
+        this.transaction(() => {
+            this._deleteSnapshots(objectiveName, s => s.name === snapshotName);
+            this._insert(this.SNAPSHOT_OBJECTIVE, { ...snapshot, dump });
+        });
+        return snapshot;
+    }
+
+    /**
+     * List the snapshots, oldest first.
+     * @param {string} [objectiveName] - Optional. Only the snapshots of this objective.
+     * @returns {Array<{name: string, objective: string, createdAt: number, records: number}>}
+     */
+    static listSnapshots(objectiveName) {
+        return this._snapshots(objectiveName).map(({ data: { name, objective, createdAt, records } }) => ({ name, objective, createdAt, records }));
+    }
+
+    /**
+     * Replace the records of an objective with a snapshot (see import(), "replace" mode).
+     * @param {string} objectiveName - The objective to restore.
+     * @param {string} snapshotName
+     * @returns {number} The amount of records restored.
+     * @throws {Error} If the snapshot does not exist.
+     */
+    static restoreSnapshot(objectiveName, snapshotName) {
+        const snapshot = this._snapshots(objectiveName).find(s => s.data.name === snapshotName);
+        if (!snapshot) {
+            throw new Error(`[ScoreboardStorage] No snapshot '${snapshotName}' of '${objectiveName}'.`);
+        }
+
+        this.import(snapshot.data.dump, { mode: "replace", objectiveName });
+        return snapshot.data.records;
+    }
+
+    /**
+     * Delete a snapshot.
+     * @param {string} objectiveName
+     * @param {string} snapshotName
+     * @returns {boolean} True if the snapshot existed.
+     */
+    static deleteSnapshot(objectiveName, snapshotName) {
+        return this._deleteSnapshots(objectiveName, s => s.name === snapshotName) > 0;
+    }
 
-        for (const p of objective.getParticipants()) {
-            objective.removeParticipant(p);
+    /**
+     * Delete the old snapshots of an objective.
+     * @param {string} objectiveName
+     * @param {object} options
+     * @param {number} [options.keep] - Keep only the N most recent snapshots.
+     * @param {number} [options.olderThan] - Delete the snapshots older than this many milliseconds.
+     * @returns {number} The amount of snapshots deleted.
+     * @throws {TypeError} If no valid option is given.
+     */
+    static pruneSnapshots(objectiveName, { keep, olderThan } = {}) {
+        const validKeep = Number.isInteger(keep) && keep >= 0;
+        const validAge = typeof olderThan === "number" && olderThan >= 0;
+        if (!validKeep && !validAge) {
+            throw new TypeError("[ScoreboardStorage] pruneSnapshots() needs 'keep' (integer >= 0) and/or 'olderThan' (milliseconds).");
         }
+
+        const snapshots = this._snapshots(objectiveName).map(s => s.data);
+        const kept = validKeep ? snapshots.slice(Math.max(0, snapshots.length - keep)) : snapshots;
+        const limit = Date.now() - (validAge ? olderThan : 0);
+
+        // Snapshot names are unique per objective
+        const expired = new Set(snapshots.filter(s => !kept.includes(s) || (validAge && s.createdAt < limit)).map(s => s.name));
+        return this._deleteSnapshots(objectiveName, s => expired.has(s.name));
+    }
+
+    /**
+     * Read the stored snapshots, oldest first.
+     * @param {string} [objectiveName] - Optional. Only the snapshots of this objective.
+     * @returns {Array<{id: number, data: object}>}
+     */
+    static _snapshots(objectiveName) {
+        return this._rawRecords(this.SNAPSHOT_OBJECTIVE)
+            .filter(s => objectiveName === undefined || s.data.objective === objectiveName)
+            .sort((a, b) => a.data.createdAt - b.data.createdAt || a.id - b.id);
+    }
+
+    /**
+     * Delete the snapshots of an objective matching a predicate.
+     * @param {string} objectiveName
+     * @param {function(object): boolean} predicate - Receives the stored snapshot.
+     * @returns {number} The amount of snapshots deleted.
+     */
+    static _deleteSnapshots(objectiveName, predicate) {
+        const ids = new Set(this._snapshots(objectiveName).filter(s => predicate(s.data)).map(s => s.id));
+        return this._removeMany(this.SNAPSHOT_OBJECTIVE, ids).length;
+    }
+
+    /* =========================
+       CLEANUP
+    ========================= */
+
+    /**
+     * Put the class back in its initial state: backends, scheduler, codecs, cipher, attached schemas,
+     * unique indexes and listeners are dropped, and a running transaction is forgotten (not rolled back).
+     * The stored data is left untouched. Configure a backend and a scheduler again before the next call.
+     * The RAM copies of CacheManager are kept: reset them with CacheManager.reset().
+     */
+    static reset() {
+        this.backend = null;
+        this.scheduler = null;
+        this._backends.clear();
+        this._transaction = null;
+
+        this._schemas.clear();
+        this._uniqueIndexes.clear();
+
+        this.codec = null;
+        this.cipher = null;
+        this._codecs.clear();
+        this._knownCodecs = new Map([["z", new CompressionCodec()]]);
+
+        this._rollbackListeners.clear();
+        this._integrityListeners.clear();
     }
 }
@@ -0,0 +1,82 @@
+/**
+ * Storage Backend Interface
+ * * Describes the minimal set of primitives ScoreboardStorage needs to persist data.
+ * Every physical access of the library goes through one of these methods,
+ * so the same database code can run on the real world scoreboard,
+ * on dynamic properties or fully in memory (e.g., under plain Node).
+ *
+ * Implementations must extend this class and override every method.
+ */
+export class StorageBackend {
+
+    /**
+     * Maximum length of a single participant name handled by the backend.
+     * Longer records are chunked by ScoreboardStorage.
+     * @type {number}
+     */
+    maxParticipantLength = 32767;
+
+    /* =========================
+       OBJECTIVES
+    ========================= */
+
+    /**
+     * Check if an objective exists.
+     * @param {string} objectiveName
+     * @returns {boolean}
+     */
+    hasObjective(objectiveName) {
+        throw new Error(`[StorageBackend] hasObjective() is not implemented by ${this.constructor.name}.`);
+    }
+
+    /**
+     * Create an objective. Does nothing if it already exists.
+     * @param {string} objectiveName
+     */
+    createObjective(objectiveName) {
+        throw new Error(`[StorageBackend] createObjective() is not implemented by ${this.constructor.name}.`);
+    }
+
+    /* =========================
+       PARTICIPANTS
+    ========================= */
+
+    /**
+     * List every participant of an objective together with its score.
+     * @param {string} objectiveName
+     * @returns {Array<{name: string, score: number}>} An empty array if the objective does not exist.
+     */
+    getParticipants(objectiveName) {
+        throw new Error(`[StorageBackend] getParticipants() is not implemented by ${this.constructor.name}.`);
+    }
+
+    /**
+     * Get the score of a participant.
+     * @param {string} objectiveName
+     * @param {string} participant - The participant name.
+     * @returns {number|undefined} Undefined if the participant has no score.
+     */
+    getScore(objectiveName, participant) {
+        throw new Error(`[StorageBackend] getScore() is not implemented by ${this.constructor.name}.`);
+    }
+
+    /**
+     * Set the score of a participant, creating it if needed.
+     * @param {string} objectiveName
+     * @param {string} participant - The participant name.
+     * @param {number} score - A 32-bit integer.
+     */
+    setScore(objectiveName, participant, score) {
+        throw new Error(`[StorageBackend] setScore() is not implemented by ${this.constructor.name}.`);
+    }
+
+    /**
+     * Remove a participant from an objective.
+     * @param {string} objectiveName
+     * @param {string} participant - The participant name.
+     * @returns {boolean} True if the participant existed.
+     */
+    removeParticipant(objectiveName, participant) {
+        throw new Error(`[StorageBackend] removeParticipant() is not implemented by ${this.constructor.name}.`);
+    }
+}
@@ -0,0 +1,73 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { ScoreboardStorage } from "../@ScoreboardDB-1-0-0/ScoreboardStorage.js";
+import { CacheManager } from "../@ScoreboardDB-1-0-0/CacheManager.js";
+import { Query } from "../@ScoreboardDB-1-0-0/Query.js";
+import { resetDatabase } from "./support/database.js";
+
+beforeEach(() => {
+    resetDatabase();
+    ScoreboardStorage.save("players", { name: "a", faction: "Red", money: 100, online: true, rank: { tier: 1 } });
+    ScoreboardStorage.save("players", { name: "b", faction: "Blue", money: 50, online: true, rank: { tier: 2 } });
+    ScoreboardStorage.save("players", { name: "c", faction: "Red", money: 30, online: false, rank: { tier: 1 } });
+    ScoreboardStorage.save("players", { name: "d", faction: "Red", money: "n/a", online: true, rank: { tier: 2 } });
+    ScoreboardStorage.save("players", { name: "e", online: true });
+});
+
+for (const [api, store] of [["ScoreboardStorage", ScoreboardStorage], ["CacheManager", CacheManager]]) {
+    test(`${api}: $match, $group, $sort and $limit run in order`, () => {
+        const rows = store.aggregate("players", [
+            { $match: { online: true } },
+            { $group: { by: "faction", players: { $count: {} }, total: { $sum: "money" }, names: { $push: "name" } } },
+            { $sort: { total: -1 } },
+            { $limit: 2 }
+        ]);
+        assert.deepEqual(rows, [
+            { faction: "Red", players: 2, total: 100, names: ["a", "d"] },
+            { faction: "Blue", players: 1, total: 50, names: ["b"] }
+        ]);
+    });
+}
+
+test("$group accumulators", () => {
+    const [all] = ScoreboardStorage.aggregate("players", [
+        { $group: { by: null, average: { $avg: "money" }, min: { $min: "money" }, max: { $max: "money" }, count: { $sum: 1 } } }
+    ]);
+    // $avg/$sum ignore non-numbers; $min/$max compare numbers before strings
+    assert.deepEqual(all, { average: 60, min: 30, max: "n/a", count: 5 });
+
+    // Missing group values are grouped under null
+    const factions = ScoreboardStorage.aggregate("players", [{ $group: { by: "faction" } }, { $sort: { faction: 1 } }]);
+    assert.deepEqual(factions, [{ faction: null }, { faction: "Blue" }, { faction: "Red" }]);
+});
+
+test("$group by several dotted paths, then $skip", () => {
+    const rows = ScoreboardStorage.aggregate("players", [
+        { $match: { faction: { $exists: true } } },
+        { $group: { by: ["faction", "rank.tier"], players: { $count: {} } } },
+        { $sort: { faction: 1, "rank.tier": 1 } },
+        { $skip: 1 }
+    ]);
+    assert.deepEqual(rows, [
+        { faction: "Red", "rank.tier": 1, players: 2 },
+        { faction: "Red", "rank.tier": 2, players: 1 }
+    ]);
+});
+
+test("an empty input still yields one row without 'by'", () => {
+    assert.deepEqual(ScoreboardStorage.aggregate("players", [
+        { $match: { faction: "Green" } },
+        { $group: { by: null, players: { $count: {} }, average: { $avg: "money" } } }
+    ]), [{ players: 0, average: null }]);
+    assert.deepEqual(ScoreboardStorage.aggregate("players", [{ $match: { faction: "Green" } }, { $group: { by: "faction" } }]), []);
+});
+
+test("invalid pipelines throw before reading", () => {
+    assert.throws(() => ScoreboardStorage.aggregate("players", {}), /Pipeline must be an array/);
+    assert.throws(() => ScoreboardStorage.aggregate("players", [{ $match: {}, $limit: 1 }]), /single key/);
+    assert.throws(() => ScoreboardStorage.aggregate("players", [{ $unwind: "x" }]), /Unknown pipeline stage '\$unwind'/);
+    assert.throws(() => ScoreboardStorage.aggregate("players", [{ $limit: -1 }]), /\$limit expects a non-negative integer/);
+    assert.throws(() => CacheManager.aggregate("players", [{ $group: { by: "faction", total: { $median: "money" } } }]), /Invalid accumulator for 'total'/);
+    assert.throws(() => Query.aggregate([], [{ $match: 3 }]), /\$match expects a query/);
+});
@@ -0,0 +1,159 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { ScoreboardStorage, CancelledError } from "../@ScoreboardDB-1-0-0/ScoreboardStorage.js";
+import { CacheManager } from "../@ScoreboardDB-1-0-0/CacheManager.js";
+import { resetDatabase, stored } from "./support/database.js";
+
+let scheduler;
+beforeEach(() => {
+    ({ scheduler } = resetDatabase());
+    for (let level = 1; level <= 10; level++) ScoreboardStorage.save("players", { level });
+});
+
+/**
+ * Tick until a promise settles, and count the ticks.
+ * @param {Promise<any>} promise
+ * @returns {Promise<{value: any, ticks: number}>}
+ */
+async function run(promise) {
+    const start = scheduler.currentTick;
+    const value = await scheduler.settle(promise);
+    return { value, ticks: scheduler.currentTick - start };
+}
+
+test("getElementsAsync() spreads the reads over ticks", async () => {
+    const { value, ticks } = await run(ScoreboardStorage.getElementsAsync("players", { level: { $gt: 3 } }, { sort: { level: -1 }, limit: 3, batchSize: 3 }));
+
+    assert.deepEqual(value, ScoreboardStorage.getElements("players", { level: { $gt: 3 } }, { sort: { level: -1 }, limit: 3 }));
+    assert.ok(ticks >= 4, `10 records in batches of 3 take several ticks (took ${ticks})`);
+    assert.deepEqual((await run(ScoreboardStorage.getElementsAsync("guilds"))).value, []);
+});
+
+test("getElementsAsync() returns the objective as it is when the job ends", async () => {
+    const reading = ScoreboardStorage.getElementsAsync("players", undefined, { batchSize: 2 });
+    scheduler.tick(6); // The records are listed in 5 steps, then records 1 and 2 are visited
+    ScoreboardStorage.deleteById("players", 2);
+    ScoreboardStorage.deleteById("players", 10);
+    ScoreboardStorage.updateById("players", 1, { level: 100 });
+    ScoreboardStorage.save("players", { level: 11 });
+
+    const { value } = await run(reading);
+    assert.deepEqual(value.map(record => record.data.level).sort((a, b) => a - b), [3, 4, 5, 6, 7, 8, 9, 11, 100]);
+});
+
+test("updateAsync() and deleteAsync() write the matching records", async () => {
+    const updating = ScoreboardStorage.updateAsync("players", { level: { $lte: 5 } }, data => ({ ...data, low: true }), { batchSize: 4 });
+    scheduler.tick(4); // Listed in 3 steps, then records 1 to 4 are updated
+    ScoreboardStorage.updateById("players", 5, { level: 50 }); // Rewritten meanwhile: skipped
+
+    assert.equal((await run(updating)).value, 4);
+    assert.equal((await run(ScoreboardStorage.deleteAsync("players", { low: true }))).value, 4);
+    assert.equal((await run(ScoreboardStorage.deleteAsync("players"))).value, 0);
+    assert.equal((await run(ScoreboardStorage.updateAsync("players", null, {}))).value, 0);
+
+    assert.deepEqual(Object.keys(stored("players")).map(Number), [5, 6, 7, 8, 9, 10]);
+    assert.deepEqual(stored("players")[5], { level: 50 });
+});
+
+test("cancel() stops the job and keeps the records already written", async () => {
+    const updating = ScoreboardStorage.updateAsync("players", {}, { done: true }, { batchSize: 3 });
+    scheduler.tick(5); // Listed in 4 steps, then records 1 to 3 are updated
+
+    assert.equal(updating.cancel(), true);
+    assert.equal(updating.cancel(), false);
+    await assert.rejects(updating, CancelledError);
+    assert.equal(scheduler.jobs.size, 0);
+
+    scheduler.tick(10);
+    assert.equal(ScoreboardStorage.count("players", { done: true }), 3);
+
+    const finished = ScoreboardStorage.getElementsAsync("guilds");
+    await run(finished);
+    assert.equal(finished.cancel(), false);
+});
+
+test("iterate() yields the matching records, one batch per tick", async () => {
+    const iterating = (async () => {
+        const levels = [];
+        for await (const { data } of ScoreboardStorage.iterate("players", data => data.level % 2 === 0, { batchSize: 2 })) {
+            levels.push(data.level);
+            if (data.level === 8) break;
+        }
+        return levels;
+    })();
+
+    const { value, ticks } = await run(iterating);
+    assert.deepEqual(value, [2, 4, 6, 8]);
+    assert.ok(ticks >= 4);
+});
+
+test("the participants are listed over several steps", async () => {
+    for (let level = 11; level <= 40; level++) ScoreboardStorage.save("players", { level });
+    const backend = ScoreboardStorage._getBackend("players");
+    const listed = new Set();
+    const getParticipants = backend.getParticipants.bind(backend);
+    backend.getParticipants = name => getParticipants(name).map(p => ({ get name() { listed.add(p.name); return p.name; }, score: p.score }));
+
+    const reading = ScoreboardStorage.getElementsAsync("players", undefined, { batchSize: 10 });
+    scheduler.tick();
+    assert.equal(listed.size, 10); // One batch of participants per step
+    assert.equal((await run(reading)).value.length, 40);
+});
+
+test("cancel() stops an iteration", async () => {
+    const levels = [];
+    const records = ScoreboardStorage.iterate("players", undefined, { batchSize: 2 });
+    const iterating = (async () => {
+        for await (const { data } of records) levels.push(data.level);
+    })();
+
+    // Cancelled while waiting for the next tick
+    const waited = scheduler.settle(iterating);
+    while (levels.length < 4) await new Promise(resolve => setImmediate(resolve));
+    assert.equal(records.cancel(), true);
+    assert.equal(records.cancel(), false);
+    await assert.rejects(waited, CancelledError);
+    assert.deepEqual(levels, [1, 2, 3, 4]);
+    assert.equal(scheduler.jobs.size, 0);
+
+    // Cancelled from the loop body
+    const seen = [];
+    const again = ScoreboardStorage.iterate("players", { level: { $gt: 5 } });
+    await assert.rejects(scheduler.settle((async () => {
+        for await (const { data } of again) {
+            seen.push(data.level);
+            again.cancel();
+        }
+    })()), CancelledError);
+    assert.deepEqual(seen, [6]);
+
+    // Ended: nothing to cancel
+    const ended = ScoreboardStorage.iterate("guilds");
+    await scheduler.settle((async () => { for await (const record of ended) assert.fail(record); })());
+    assert.equal(ended.cancel(), false);
+});
+
+test("CacheManager.loadAsync() loads an objective over several ticks", async () => {
+    const loading = CacheManager.loadAsync("players", { batchSize: 3 });
+    scheduler.tick();
+    assert.equal(CacheManager._ids.has("players"), false);
+
+    assert.equal((await run(loading)).value, 10);
+    assert.deepEqual(CacheManager.getById("players", 3), { level: 3 });
+
+    // Loaded synchronously meanwhile: the RAM copy is kept
+    const again = CacheManager.loadAsync("guilds");
+    CacheManager.save("guilds", { name: "g" });
+    assert.equal((await run(again)).value, 1);
+});
+
+test("invalid batch sizes and schedulers without jobs throw", () => {
+    assert.throws(() => ScoreboardStorage.getElementsAsync("players", undefined, { batchSize: 0 }), /'batchSize' must be a positive integer/);
+    assert.throws(() => ScoreboardStorage.deleteAsync("players", 3), /Query must be an object/);
+    assert.throws(() => ScoreboardStorage.iterate("players", 3), /Query must be an object/);
+
+    ScoreboardStorage.useScheduler({ runInterval() {}, clearRun() {} });
+    assert.throws(() => ScoreboardStorage.getElementsAsync("players"), /cannot run jobs/);
+    assert.throws(() => ScoreboardStorage.iterate("players"), /cannot run jobs/);
+});
@@ -0,0 +1,136 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { ScoreboardStorage } from "../@ScoreboardDB-1-0-0/ScoreboardStorage.js";
+import { CacheManager } from "../@ScoreboardDB-1-0-0/CacheManager.js";
+import { DataSchema } from "../@ScoreboardDB-1-0-0/DataSchema.js";
+import { resetDatabase, stored } from "./support/database.js";
+
+let scheduler;
+beforeEach(() => ({ scheduler } = resetDatabase()));
+
+test("export() dumps the records with their IDs and the sequence", () => {
+    ScoreboardStorage.save("players", { name: "a" });
+    ScoreboardStorage.save("players", { name: "b" });
+    ScoreboardStorage.deleteById("players", 2);
+
+    const dump = ScoreboardStorage.export("players");
+    assert.equal(dump.format, "scoreboard-db");
+    assert.equal(dump.version, 1);
+    assert.equal(dump.objective, "players");
+    assert.equal(dump.sequence, 2);
+    assert.deepEqual(dump.records, [{ id: 1, data: { name: "a" } }]);
+});
+
+test("import() merges, skips or replaces, keeping the IDs", () => {
+    ScoreboardStorage.save("players", { name: "a" });
+    ScoreboardStorage.save("players", { name: "b" });
+    const dump = ScoreboardStorage.export("players");
+
+    ScoreboardStorage.updateById("players", 1, { name: "A" });
+    ScoreboardStorage.save("players", { name: "c" });
+
+    assert.deepEqual(ScoreboardStorage.import(dump, { mode: "skip" }), { inserted: 0, updated: 0, skipped: 2, removed: 0 });
+    assert.deepEqual(stored("players"), { 1: { name: "A" }, 2: { name: "b" }, 3: { name: "c" } });
+
+    assert.deepEqual(ScoreboardStorage.import(JSON.stringify(dump)), { inserted: 0, updated: 2, skipped: 0, removed: 0 });
+    assert.deepEqual(stored("players"), { 1: { name: "a" }, 2: { name: "b" }, 3: { name: "c" } });
+
+    assert.deepEqual(ScoreboardStorage.import(dump, { mode: "replace" }), { inserted: 0, updated: 2, skipped: 0, removed: 1 });
+    assert.deepEqual(stored("players"), { 1: { name: "a" }, 2: { name: "b" } });
+
+    // Retired IDs are never handed out again
+    assert.equal(ScoreboardStorage.save("players", { name: "d" }), 4);
+});
+
+test("import() can target another objective, and rejects invalid dumps", () => {
+    ScoreboardStorage.save("players", { name: "a" });
+    const dump = ScoreboardStorage.export("players");
+
+    ScoreboardStorage.import(dump, { objectiveName: "players_copy" });
+    assert.deepEqual(stored("players_copy"), { 1: { name: "a" } });
+
+    assert.throws(() => ScoreboardStorage.import({ a: 1 }), TypeError);
+    assert.throws(() => ScoreboardStorage.import(dump, { mode: "overwrite" }), TypeError);
+    assert.throws(() => ScoreboardStorage.import({ ...dump, records: [{ id: -1, data: {} }] }), TypeError);
+    assert.throws(() => ScoreboardStorage.import({ ...dump, records: [{ id: 2 }] }), /record 2 has no data/);
+    assert.throws(() => ScoreboardStorage.import({ ...dump, raw: true, records: [{ id: 2, data: {} }] }), /record 2 has no payload/);
+    assert.deepEqual(stored("players"), { 1: { name: "a" } });
+});
+
+test("import() refuses a dump of a newer schema version", () => {
+    const schemas = new DataSchema("schemas");
+    schemas.define("player", { name: "" });
+    schemas.attach("players", "player");
+
+    const dump = ScoreboardStorage.export("players");
+    assert.throws(() => ScoreboardStorage.import({ ...dump, schema: { name: "player", version: 2 } }), /newer than the attached one/);
+});
+
+test("an import rolled back with its transaction leaves the objective untouched", () => {
+    ScoreboardStorage.save("players", { name: "a" });
+    const dump = ScoreboardStorage.export("players");
+    ScoreboardStorage.save("players", { name: "b" });
+
+    assert.throws(() => ScoreboardStorage.transaction(() => {
+        ScoreboardStorage.import(dump, { mode: "replace" });
+        throw new Error("boom");
+    }), /boom/);
+    assert.deepEqual(stored("players"), { 1: { name: "a" }, 2: { name: "b" } });
+});
+
+test("snapshots are created, listed, restored, deleted and pruned", () => {
+    ScoreboardStorage.save("players", { name: "a" });
+    ScoreboardStorage.save("players", { name: "b" });
+    const snapshot = ScoreboardStorage.createSnapshot("players", "s1");
+    assert.equal(snapshot.records, 2);
+
+    ScoreboardStorage.deleteById("players", 1);
+    ScoreboardStorage.createSnapshot("players", "s2");
+    ScoreboardStorage.createSnapshot("guilds", "g1");
+
+    assert.deepEqual(ScoreboardStorage.listSnapshots("players").map(s => s.name), ["s1", "s2"]);
+    assert.equal(ScoreboardStorage.restoreSnapshot("players", "s1"), 2);
+    assert.deepEqual(stored("players"), { 1: { name: "a" }, 2: { name: "b" } });
+    assert.throws(() => ScoreboardStorage.restoreSnapshot("players", "missing"), /No snapshot/);
+
+    assert.throws(() => ScoreboardStorage.pruneSnapshots("players"), TypeError);
+    assert.equal(ScoreboardStorage.pruneSnapshots("players", { keep: 1 }), 1);
+    assert.deepEqual(ScoreboardStorage.listSnapshots().map(s => s.name), ["s2", "g1"]);
+
+    assert.equal(ScoreboardStorage.deleteSnapshot("guilds", "g1"), true);
+    assert.equal(ScoreboardStorage.deleteSnapshot("guilds", "g1"), false);
+});
+
+test("restoring a snapshot is not overwritten by pending write-behind writes", () => {
+    ScoreboardStorage.save("players", { n: 1 });
+    ScoreboardStorage.save("players", { n: 2 });
+    ScoreboardStorage.createSnapshot("players", "before");
+
+    CacheManager.enableWriteBehind("players", { interval: 5 });
+    CacheManager.updateById("players", 1, { n: 100 });
+    CacheManager.save("players", { n: 3 });
+
+    ScoreboardStorage.restoreSnapshot("players", "before");
+    scheduler.tick(10); // Later flushes must not bring the pending writes back
+
+    assert.deepEqual(stored("players"), { 1: { n: 1 }, 2: { n: 2 } });
+    assert.deepEqual(CacheManager.getById("players", 1), { n: 1 });
+    assert.equal(CacheManager.getById("players", 3), null);
+    assert.equal(CacheManager.flush("players"), 0);
+});
+
+test("an import in merge mode keeps the pending write-behind writes it does not replace", () => {
+    ScoreboardStorage.save("players", { n: 1 });
+    const dump = ScoreboardStorage.export("players");
+
+    CacheManager.enableWriteBehind("players", { interval: 5 });
+    CacheManager.updateById("players", 1, { n: 100 });
+    CacheManager.save("players", { n: 2 });
+
+    ScoreboardStorage.import(dump);
+    scheduler.tick(10);
+
+    assert.deepEqual(stored("players"), { 1: { n: 1 }, 2: { n: 2 } });
+    assert.deepEqual(CacheManager.getById("players", 2), { n: 2 });
+});
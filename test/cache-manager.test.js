@@ -0,0 +1,94 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { ScoreboardStorage } from "../@ScoreboardDB-1-0-0/ScoreboardStorage.js";
+import { CacheManager } from "../@ScoreboardDB-1-0-0/CacheManager.js";
+import { resetDatabase, stored } from "./support/database.js";
+
+let backend;
+beforeEach(() => {
+    ({ backend } = resetDatabase());
+    for (const [name, level] of [["a", 1], ["b", 5], ["c", 10]]) {
+        CacheManager.save("players", { name, level });
+    }
+});
+
+test("reads are answered from RAM", () => {
+    assert.deepEqual(CacheManager.getById("players", 2), { name: "b", level: 5 });
+    assert.equal(CacheManager.getElementById("players", 4), null);
+    assert.deepEqual(CacheManager.find("players", { level: { $gt: 1 } }), { id: 2, data: { name: "b", level: 5 } });
+    assert.deepEqual(CacheManager.findAll("players", data => data.level >= 5).map(r => r.id), [2, 3]);
+    assert.equal(CacheManager.count("players"), 3);
+    assert.equal(CacheManager.count("players", { level: { $lt: 10 } }), 2);
+    assert.equal(CacheManager.exists("players"), true);
+    assert.equal(CacheManager.exists("players", 3), true);
+    assert.equal(CacheManager.exists("players", { name: "z" }), false);
+    assert.equal(CacheManager.exists("guilds"), false);
+
+    // Another addon edits the scoreboard: RAM keeps its copy until invalidated
+    backend.setScore("players", JSON.stringify({ name: "z", level: 99 }), 2);
+    backend.removeParticipant("players", JSON.stringify({ name: "b", level: 5 }));
+    assert.deepEqual(CacheManager.getById("players", 2), { name: "b", level: 5 });
+});
+
+test("writes keep RAM and the scoreboard in sync", () => {
+    assert.equal(CacheManager.update("players", { level: { $lt: 10 } }, { vip: true }), 2);
+    assert.equal(CacheManager.update("players", null, { vip: false }), 0);
+    assert.equal(CacheManager.updateById("players", 3, { name: "c", level: 11 }), true);
+    assert.equal(CacheManager.delete("players", data => data.name === "a"), 1);
+    assert.equal(CacheManager.delete("players"), 0);
+    assert.equal(CacheManager.deleteById("players", 1), false);
+
+    const expected = { 2: { name: "b", level: 5, vip: true }, 3: { name: "c", level: 11 } };
+    assert.deepEqual(stored("players"), expected);
+    assert.deepEqual(Object.fromEntries(CacheManager.getAll("players").map(({ id, data }) => [id, data])), expected);
+
+    assert.throws(() => CacheManager.update("players", undefined, {}), /Query must be provided/);
+    assert.throws(() => CacheManager.update("players", {}), /newData must be provided/);
+});
+
+test("clear() empties RAM and the scoreboard, but keeps the IDs unique", () => {
+    CacheManager.defineIndex("players", "name");
+    CacheManager.clear("players");
+
+    assert.deepEqual(CacheManager.getAll("players"), []);
+    assert.deepEqual(stored("players"), {});
+    assert.deepEqual(CacheManager.findBy("players", "name", "a"), []);
+    assert.equal(CacheManager.save("players", { name: "a", level: 1 }), 4);
+    assert.deepEqual(CacheManager.findBy("players", "name", "a").map(r => r.id), [4]);
+});
+
+test("invalidate() and reload() pick up external edits", () => {
+    CacheManager.defineIndex("players", "name");
+    backend.removeParticipant("players", JSON.stringify({ name: "b", level: 5 }));
+    backend.setScore("players", JSON.stringify({ name: "z", level: 99 }), 2);
+
+    assert.equal(CacheManager.invalidate("players"), true);
+    assert.equal(CacheManager.invalidate("players"), false);
+    assert.deepEqual(CacheManager.getById("players", 2), { name: "z", level: 99 });
+    assert.deepEqual(CacheManager.findBy("players", "name", "z").map(r => r.id), [2]);
+
+    backend.removeParticipant("players", JSON.stringify({ name: "c", level: 10 }));
+    assert.equal(CacheManager.reload("players"), 2);
+    assert.equal(CacheManager.exists("players", 3), false);
+
+    // Without an objective, every objective is dropped
+    CacheManager.getAll("guilds");
+    assert.equal(CacheManager.invalidate(), true);
+    assert.equal(CacheManager._ids.size, 0);
+});
+
+test("writes through ScoreboardStorage invalidate the RAM copy", () => {
+    CacheManager.getAll("players");
+    ScoreboardStorage.save("players", { name: "d", level: 3 });
+    ScoreboardStorage.delete("players", { name: "a" });
+
+    assert.deepEqual(CacheManager.getAll("players").map(r => r.data.name), ["b", "c", "d"]);
+});
+
+test("invalid queries throw", () => {
+    assert.throws(() => CacheManager.getElements("players", 3), /Query must be an object, a function, or undefined/);
+    assert.throws(() => CacheManager.find("players", null), /Callback must be a function or an object query/);
+    assert.throws(() => CacheManager.exists("players", "a"), /Query must be a number \(ID\), an object, or undefined/);
+    assert.throws(() => CacheManager.count("players", "a"), /Query must be an object/);
+});
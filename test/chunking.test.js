@@ -0,0 +1,62 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { ScoreboardStorage } from "../@ScoreboardDB-1-0-0/ScoreboardStorage.js";
+import { CacheManager } from "../@ScoreboardDB-1-0-0/CacheManager.js";
+import { resetDatabase, participants, stored } from "./support/database.js";
+
+let backend;
+beforeEach(() => ({ backend } = resetDatabase({ maxParticipantLength: 64 })));
+
+const chunks = objectiveName => Object.keys(participants(backend, objectiveName)).filter(name => name.startsWith(ScoreboardStorage.CHUNK_PREFIX));
+const big = (tag, length = 300) => ({ tag, members: "m".repeat(length) });
+
+test("oversized records are split into chunks and read back as one record", () => {
+    const id = ScoreboardStorage.save("guilds", big("red"));
+    ScoreboardStorage.save("guilds", { tag: "small" });
+
+    assert.ok(chunks("guilds").length > 1);
+    assert.ok(Object.keys(participants(backend, "guilds")).every(name => name.length <= 64));
+    assert.ok(chunks("guilds").every(name => participants(backend, "guilds")[name] === id));
+
+    assert.deepEqual(ScoreboardStorage.getElementById("guilds", id), big("red"));
+    assert.deepEqual(stored("guilds"), { [id]: big("red"), 2: { tag: "small" } });
+    assert.deepEqual(ScoreboardStorage.getElements("guilds", { tag: "red" }), [{ id, data: big("red") }]);
+    assert.equal(ScoreboardStorage.count("guilds"), 2);
+});
+
+test("updates and deletes rewrite or remove every chunk", () => {
+    const id = ScoreboardStorage.save("guilds", big("red"));
+
+    ScoreboardStorage.updateById("guilds", id, big("red", 600));
+    assert.deepEqual(ScoreboardStorage.getElementById("guilds", id), big("red", 600));
+    const grown = chunks("guilds").length;
+
+    ScoreboardStorage.updateById("guilds", id, { tag: "red" });
+    assert.deepEqual(chunks("guilds"), []);
+    assert.ok(grown > 1);
+
+    ScoreboardStorage.update("guilds", { tag: "red" }, big("blue"));
+    assert.deepEqual(stored("guilds"), { [id]: big("blue") });
+
+    assert.equal(ScoreboardStorage.deleteById("guilds", id), true);
+    assert.deepEqual(Object.keys(participants(backend, "guilds")), [ScoreboardStorage.SEQUENCE_PARTICIPANT]);
+});
+
+test("a record with missing chunks is skipped", () => {
+    const id = ScoreboardStorage.save("guilds", big("red"));
+    ScoreboardStorage.save("guilds", { tag: "small" });
+    backend.removeParticipant("guilds", chunks("guilds")[0]);
+
+    assert.equal(ScoreboardStorage.getElementById("guilds", id), null);
+    assert.deepEqual(stored("guilds"), { 2: { tag: "small" } });
+});
+
+test("CacheManager reads and writes chunked records", () => {
+    const id = CacheManager.save("guilds", big("red"));
+    CacheManager.updateById("guilds", id, big("green"));
+    CacheManager.invalidate("guilds");
+
+    assert.deepEqual(CacheManager.getElementById("guilds", id), big("green"));
+    assert.deepEqual(stored("guilds"), { [id]: big("green") });
+});
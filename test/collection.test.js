@@ -0,0 +1,122 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import * as db from "../@ScoreboardDB-1-0-0/ScoreboardDB.js";
+import { resetDatabase, stored } from "./support/database.js";
+
+const { ScoreboardStorage, CacheManager, DataSchema, Relation, Collection, SchemaValidationError } = db;
+
+let schemas, nextUuid;
+beforeEach(() => {
+    resetDatabase();
+    nextUuid = 0;
+    schemas = new DataSchema("schemas");
+    schemas.define("player", {
+        uuid: () => `p${++nextUuid}`,
+        name: { type: "string", required: true },
+        level: { type: "number", default: 1, min: 1 },
+        guildId: { type: "string", required: false }
+    });
+});
+
+/**
+ * Open the guilds collection and a cached players collection related to it.
+ * @returns {{guilds: Collection, players: Collection}}
+ */
+function openCollections() {
+    const guilds = db.collection("guilds", {
+        relations: [{ field: "uuid", target: "players", targetField: "guildId", as: "members", reverse: true }]
+    });
+    const players = db.collection("players", {
+        schema: { manager: schemas, name: "player" },
+        cached: true,
+        relations: [{ field: "guildId", target: "guilds", targetField: "uuid", as: "guild", onDelete: "set-null" }]
+    });
+    return { guilds, players };
+}
+
+test("the entry point exports collection() and Relation", () => {
+    assert.ok(db.collection("players") instanceof Collection);
+    assert.equal(Relation, db.Relation);
+});
+
+test("insert() resolves the schema, and the schema guards every write", () => {
+    const { players } = openCollections();
+
+    const id = players.insert({ name: "Steve" });
+    assert.deepEqual(stored("players"), { [id]: { uuid: "p1", name: "Steve", level: 1 } });
+    assert.throws(() => players.insert({ name: "Alex", level: 0 }), SchemaValidationError);
+    assert.throws(() => ScoreboardStorage.save("players", { level: 2 }), SchemaValidationError);
+});
+
+test("a cached collection reads and writes through the CacheManager", () => {
+    const { guilds, players } = openCollections();
+    assert.equal(players.store, CacheManager);
+    assert.equal(guilds.store, ScoreboardStorage);
+
+    const id = players.insert({ name: "Steve" });
+    assert.deepEqual(CacheManager._memory.get("players").get(id), { uuid: "p1", name: "Steve", level: 1 });
+});
+
+test("update() merges by ID or by query, remove() never deletes everything", () => {
+    const { players } = openCollections();
+    const steve = players.insert({ name: "Steve" });
+    players.insert({ name: "Alex", level: 5 });
+
+    assert.equal(players.update(steve, { level: 2 }), 1);
+    assert.equal(players.update(99, { level: 2 }), 0);
+    assert.equal(players.update({ level: { $gte: 2 } }, data => ({ ...data, level: data.level + 1 })), 2);
+    assert.equal(players.findOne(steve).data.level, 3);
+    assert.throws(() => players.update(steve, 3), /newData must be an object or a function/);
+
+    assert.equal(players.remove(), 0);
+    assert.equal(players.remove({ name: "Alex" }), 1);
+    assert.equal(players.remove(steve), 1);
+    assert.deepEqual(stored("players"), {});
+});
+
+test("find() and findOne() take query options and populate relations", () => {
+    const { guilds, players } = openCollections();
+    guilds.insert({ uuid: "g1", tag: "RED" });
+    players.insert({ name: "Steve", level: 3, guildId: "g1" });
+    players.insert({ name: "Alex", level: 7, guildId: "g1" });
+    players.insert({ name: "Herobrine", level: 99 });
+
+    const top = players.find({ level: { $lt: 50 } }, { sort: { level: -1 }, limit: 1, fields: ["name", "guildId"], populate: "guild" });
+    assert.deepEqual(top, [{ id: 2, data: { name: "Alex", guildId: "g1", level: 7, guild: { uuid: "g1", tag: "RED" } } }]);
+
+    const guild = guilds.findOne({ tag: "RED" }, { populate: true, depth: 2 });
+    assert.deepEqual(guild.data.members.map(member => [member.name, member.guild.tag]), [["Steve", "RED"], ["Alex", "RED"]]);
+    assert.equal(players.findOne({ name: "Notch" }), null);
+    assert.equal(players.findOne(42, { populate: true }), null);
+
+    // Relation integrity rules apply
+    guilds.remove({ uuid: "g1" });
+    assert.equal(players.findOne(1).data.guildId, null);
+});
+
+test("populate() accepts one record or an array", () => {
+    const { guilds, players } = openCollections();
+    guilds.insert({ uuid: "g1" });
+    players.insert({ name: "Steve", guildId: "g1" });
+
+    const record = players.findOne(1);
+    assert.deepEqual(players.populate(record).data.guild, { uuid: "g1" });
+    assert.deepEqual(players.populate([record], "guild")[0].data.guild, { uuid: "g1" });
+    assert.equal(players.populate(null), null);
+});
+
+test("reopening a collection keeps its relations bound once", () => {
+    openCollections();
+    openCollections();
+    assert.equal(Relation._bindings.get("players").length, 1);
+    assert.equal(Relation._bindings.get("guilds").length, 1);
+});
+
+test("invalid options throw", () => {
+    assert.throws(() => db.collection(""), /\[Collection\] Invalid objective name/);
+    assert.throws(() => db.collection("players", { cached: "yes" }), /'cached' must be a boolean/);
+    assert.throws(() => db.collection("players", { relations: {} }), /'relations' must be an array/);
+    assert.throws(() => db.collection("players", { relations: [null] }), /Each relation must be an object/);
+    assert.throws(() => db.collection("players", { schema: { name: "player" } }), /'schema' must be/);
+});
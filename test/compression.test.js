@@ -0,0 +1,96 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { ScoreboardStorage } from "../@ScoreboardDB-1-0-0/ScoreboardStorage.js";
+import { CompressionCodec } from "../@ScoreboardDB-1-0-0/CompressionCodec.js";
+import { Codec } from "../@ScoreboardDB-1-0-0/Codec.js";
+import { resetDatabase, participants, stored } from "./support/database.js";
+
+let backend;
+beforeEach(() => ({ backend } = resetDatabase()));
+
+/**
+ * A reproducible string of 'length' characters picked in 'alphabet'.
+ * @param {number} length
+ * @param {string} alphabet
+ * @returns {string}
+ */
+function sample(length, alphabet) {
+    let seed = 42;
+    let result = "";
+    for (let i = 0; i < length; i++) {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        result += alphabet[seed % alphabet.length];
+    }
+    return result;
+}
+
+test("compress() and decompress() round trip", () => {
+    const inputs = [
+        "",
+        "a",
+        "aaaaaaaaaaaaaaaaaaaaaaaaa", // Codes used right after being defined
+        "§aé€𝄞 – ключ 鍵",
+        JSON.stringify(Array.from({ length: 200 }, (_, i) => ({ name: `player${i}`, level: i % 7, online: i % 2 === 0 }))),
+        sample(5000, "abcdefghijklmnopqrstuvwxyz{}\":,0123456789ÿĀ￿")
+    ];
+
+    for (const input of inputs) {
+        const body = CompressionCodec.compress(input);
+        assert.equal(CompressionCodec.decompress(body), input);
+
+        for (const char of body) {
+            const value = char.charCodeAt(0) - Codec.CHAR_BASE;
+            assert.ok(value >= 0 && value < 2 ** Codec.BITS_PER_CHAR, "packed in safe characters");
+        }
+    }
+});
+
+test("corrupted bodies are rejected", () => {
+    const body = CompressionCodec.compress("hello hello hello");
+
+    assert.throws(() => CompressionCodec.decompress(body.slice(0, 2)), /unexpected end of data/);
+    assert.throws(() => CompressionCodec.decompress("abc"), /invalid character/);
+});
+
+test("records are compressed, and plain records stay readable", () => {
+    const record = { name: "Steve", inventory: Array.from({ length: 30 }, () => ({ item: "minecraft:diamond", count: 64 })) };
+    const plain = ScoreboardStorage.save("players", record);
+
+    ScoreboardStorage.useCodec(new CompressionCodec(), "players");
+    const compressed = ScoreboardStorage.save("players", record);
+    const tiny = ScoreboardStorage.save("players", { a: 1 });
+
+    const names = Object.entries(participants(backend, "players")).filter(([name]) => name !== ScoreboardStorage.SEQUENCE_PARTICIPANT);
+    assert.ok(names.find(([, id]) => id === compressed)[0].startsWith("~z"));
+    assert.equal(names.find(([, id]) => id === tiny)[0], '{"a":1}', "payloads that would not shrink stay plain");
+    assert.deepEqual(stored("players"), { [plain]: record, [compressed]: record, [tiny]: { a: 1 } });
+
+    // Other objectives keep the default (plain JSON)
+    ScoreboardStorage.save("guilds", record);
+    assert.equal(Object.keys(participants(backend, "guilds")).some(name => name.startsWith("~")), false);
+});
+
+test("getCompressionStats() reports the space saved", () => {
+    const record = { description: "a long and very repetitive description ".repeat(20) };
+    ScoreboardStorage.save("players", record);
+    ScoreboardStorage.useCodec(new CompressionCodec());
+    ScoreboardStorage.save("players", record);
+
+    const stats = ScoreboardStorage.getCompressionStats("players");
+    const json = JSON.stringify(record).length;
+    assert.equal(stats.records, 2);
+    assert.equal(stats.encoded, 1);
+    assert.equal(stats.participants, 2);
+    assert.equal(stats.jsonLength, json * 2);
+    assert.ok(stats.storedLength < json * 2);
+    assert.equal(stats.ratio, stats.storedLength / stats.jsonLength);
+
+    assert.deepEqual(ScoreboardStorage.getCompressionStats("guilds"), { records: 0, encoded: 0, participants: 0, jsonLength: 0, storedLength: 0, ratio: 1 });
+});
+
+test("useCodec() validates the codec", () => {
+    assert.throws(() => ScoreboardStorage.useCodec({ tag: "zz", encode() {}, decode() {} }), /tag \(a single character\)/);
+    assert.throws(() => ScoreboardStorage.useCodec({ tag: "x" }), /must implement/);
+    assert.throws(() => ScoreboardStorage.useCodec({ tag: "f", encode() {}, decode() {} }), /reserved for encrypted fields/);
+});
@@ -0,0 +1,92 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { world } from "@minecraft/server";
+
+import { ScoreboardStorage } from "../@ScoreboardDB-1-0-0/ScoreboardStorage.js";
+import { CacheManager } from "../@ScoreboardDB-1-0-0/CacheManager.js";
+import { DynamicPropertyBackend } from "../@ScoreboardDB-1-0-0/DynamicPropertyBackend.js";
+import { resetDatabase, participants, stored } from "./support/database.js";
+
+let memory;
+beforeEach(() => {
+    ({ backend: memory } = resetDatabase());
+    world.reset();
+});
+
+const sorted = participants => [...participants].sort((a, b) => a.name.localeCompare(b.name));
+
+test("participants are stored in world dynamic properties", () => {
+    const backend = new DynamicPropertyBackend();
+    backend.createObjective("players");
+    backend.setScore("players", "a", 1);
+    backend.setScore("players", "b", 2);
+    backend.setScore("players", "a", 3);
+
+    assert.equal(world.getDynamicProperty("sdb:players"), 2);
+    assert.equal(world.getDynamicProperty("sdb:players:0"), "3:a");
+    assert.equal(backend.removeParticipant("players", "b"), true);
+    assert.equal(backend.removeParticipant("players", "b"), false);
+    assert.equal(world.getDynamicProperty("sdb:players:1"), undefined);
+
+    // A new instance (e.g., after a restart) reads them back
+    const reloaded = new DynamicPropertyBackend();
+    assert.deepEqual(reloaded.getParticipants("players"), [{ name: "a", score: 3 }]);
+    assert.equal(reloaded.getScore("players", "a"), 3);
+    assert.equal(reloaded.hasObjective("guilds"), false);
+    assert.throws(() => reloaded.setScore("guilds", "a", 1), /does not exist/);
+});
+
+test("an objective does not load the slots of objectives extending its name", () => {
+    const backend = new DynamicPropertyBackend();
+    for (const objectiveName of ["a", "a:b", "a:1"]) {
+        backend.createObjective(objectiveName);
+        backend.setScore(objectiveName, `in ${objectiveName}`, 7);
+    }
+
+    const reloaded = new DynamicPropertyBackend();
+    assert.deepEqual(reloaded.getParticipants("a"), [{ name: "in a", score: 7 }]);
+    assert.deepEqual(reloaded.getParticipants("a:b"), [{ name: "in a:b", score: 7 }]);
+    assert.deepEqual(reloaded.getParticipants("a:1"), [{ name: "in a:1", score: 7 }]);
+});
+
+test("ScoreboardStorage runs on a DynamicPropertyBackend", () => {
+    ScoreboardStorage.useBackend(new DynamicPropertyBackend({ prefix: "db" }), "bank");
+    ScoreboardStorage.save("bank", { owner: "Steve" });
+    ScoreboardStorage.save("bank", { owner: "Alex" });
+    ScoreboardStorage.updateById("bank", 1, { owner: "Steve", balance: 5 });
+    ScoreboardStorage.deleteById("bank", 2);
+
+    assert.deepEqual(stored("bank"), { 1: { owner: "Steve", balance: 5 } });
+    assert.equal(world.scoreboard.getObjective("bank"), undefined);
+    assert.deepEqual(sorted(new DynamicPropertyBackend({ prefix: "db" }).getParticipants("bank")), [
+        { name: JSON.stringify({ owner: "Steve", balance: 5 }), score: 1 },
+        { name: ScoreboardStorage.SEQUENCE_PARTICIPANT, score: 2 }
+    ]);
+});
+
+test("migrateBackend() copies the records with their IDs, and can remove the source", () => {
+    ScoreboardStorage.save("bank", { owner: "Steve" });
+    ScoreboardStorage.save("bank", { owner: "Alex" });
+    ScoreboardStorage.deleteById("bank", 2);
+    const target = new DynamicPropertyBackend();
+
+    assert.equal(ScoreboardStorage.migrateBackend("bank", target, { removeSource: true }), 1);
+    assert.deepEqual(stored("bank"), { 1: { owner: "Steve" } });
+    assert.deepEqual(participants(memory, "bank"), {});
+    assert.equal(target.getScore("bank", ScoreboardStorage.SEQUENCE_PARTICIPANT), 2);
+    assert.equal(ScoreboardStorage.save("bank", { owner: "Alex" }), 3);
+
+    assert.equal(ScoreboardStorage.migrateBackend("bank", target), 0);
+    memory.setScore("bank", "leftover", 1);
+    assert.throws(() => ScoreboardStorage.migrateBackend("bank", memory), /already contains data/);
+});
+
+test("migrateBackend() copies the pending write-behind writes", () => {
+    CacheManager.enableWriteBehind("bank");
+    CacheManager.save("bank", { owner: "Steve" });
+    const target = new DynamicPropertyBackend();
+
+    assert.equal(ScoreboardStorage.migrateBackend("bank", target), 1);
+    assert.deepEqual(stored("bank"), { 1: { owner: "Steve" } });
+    assert.equal(CacheManager.flush("bank"), 0);
+});
@@ -0,0 +1,158 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createHash, createHmac } from "node:crypto";
+
+import { ScoreboardStorage } from "../@ScoreboardDB-1-0-0/ScoreboardStorage.js";
+import { CacheManager } from "../@ScoreboardDB-1-0-0/CacheManager.js";
+import { CipherCodec } from "../@ScoreboardDB-1-0-0/CipherCodec.js";
+import { IntegrityError } from "../@ScoreboardDB-1-0-0/Codec.js";
+import { DataSchema } from "../@ScoreboardDB-1-0-0/DataSchema.js";
+import { Integrity } from "../@ScoreboardDB-1-0-0/Integrity.js";
+import { resetDatabase, participants, stored } from "./support/database.js";
+
+let backend;
+let skipped;
+let stopReporting;
+beforeEach(() => {
+    ({ backend } = resetDatabase());
+    skipped = [];
+    stopReporting = ScoreboardStorage.onIntegrityError(error => skipped.push(error));
+});
+
+/**
+ * Attach a schema encrypting the 'balance' and 'note' fields, and set the cipher key.
+ * @param {string} [objectiveName="bank"]
+ */
+function encryptedBank(objectiveName = "bank") {
+    const schemas = new DataSchema("schemas");
+    schemas.define("account", {
+        owner: { type: "string" },
+        balance: { type: "number", encrypted: true, required: false },
+        note: { type: "string", encrypted: true, required: false }
+    });
+    schemas.attach(objectiveName, "account");
+    ScoreboardStorage.useCipher("secret");
+}
+
+/**
+ * Edit a stored payload in place, keeping its score.
+ * @param {string} objectiveName
+ * @param {function(string): string} edit
+ * @param {number} [id=1]
+ */
+function tamper(objectiveName, edit, id = 1) {
+    const [name] = Object.entries(participants(backend, objectiveName)).find(([p, score]) => score === id && !p.startsWith("$sdb:"));
+    backend.removeParticipant(objectiveName, name);
+    backend.setScore(objectiveName, edit(name), id);
+}
+
+test("SHA-256 and HMAC-SHA256 match node:crypto", () => {
+    const bytes = text => new Uint8Array(Buffer.from(text, "utf8"));
+    for (const text of ["", "abc", "é€😀", "x".repeat(200)]) {
+        assert.equal(Buffer.from(CipherCodec._sha256(bytes(text))).toString("hex"), createHash("sha256").update(text).digest("hex"));
+        assert.equal(Buffer.from(CipherCodec._hmac(bytes("key"), bytes(text))).toString("hex"), createHmac("sha256", "key").update(text).digest("hex"));
+    }
+    const longKey = "k".repeat(100);
+    assert.equal(Buffer.from(CipherCodec._hmac(bytes(longKey), bytes("abc"))).toString("hex"), createHmac("sha256", longKey).update("abc").digest("hex"));
+});
+
+test("CipherCodec round-trips and authenticates its payloads", () => {
+    const cipher = new CipherCodec("secret");
+    const text = JSON.stringify({ name: "Steve", note: "é€😀" });
+
+    const body = cipher.encrypt(text);
+    assert.notEqual(cipher.encrypt(text), body); // A new nonce each time
+    assert.equal(cipher.decrypt(body), text);
+    assert.ok(!body.includes("Steve"));
+
+    assert.throws(() => new CipherCodec("other").decrypt(body), IntegrityError);
+    assert.throws(() => cipher.decrypt(body.slice(0, 4)), IntegrityError);
+    const flipped = body.slice(0, -1) + String.fromCharCode(body.charCodeAt(body.length - 1) ^ 1);
+    assert.throws(() => cipher.decrypt(flipped), IntegrityError);
+    assert.throws(() => new CipherCodec(""), TypeError);
+});
+
+test("whole records of an objective can be encrypted", () => {
+    ScoreboardStorage.useCipher("secret", "bank");
+    ScoreboardStorage.save("bank", { owner: "Steve", balance: 100 });
+
+    const [name] = Object.keys(participants(backend, "bank")).filter(p => !p.startsWith("$sdb:"));
+    assert.ok(name.startsWith("~e") && !name.includes("Steve"));
+    assert.deepEqual(stored("bank"), { 1: { owner: "Steve", balance: 100 } });
+});
+
+test("encrypted fields are stored as ciphertext and read in clear", () => {
+    encryptedBank();
+    ScoreboardStorage.save("bank", { owner: "Steve", balance: 100 });
+    ScoreboardStorage.save("bank", { owner: "Alex" });
+
+    const names = Object.keys(participants(backend, "bank")).filter(p => !p.startsWith("$sdb:"));
+    assert.ok(names.some(p => p.startsWith('~f[["balance"],') && p.includes("Steve") && !p.includes("100")));
+    assert.ok(names.includes(JSON.stringify({ owner: "Alex" })));
+
+    assert.deepEqual(stored("bank"), { 1: { owner: "Steve", balance: 100 }, 2: { owner: "Alex" } });
+    assert.deepEqual(ScoreboardStorage.getElements("bank", { balance: { $gt: 50 } }).map(r => r.id), [1]);
+    assert.deepEqual(CacheManager.getElementById("bank", 1), { owner: "Steve", balance: 100 });
+});
+
+test("plain values stored before the field was encrypted are read as they are", () => {
+    ScoreboardStorage.save("bank", { owner: "Steve", note: "~e looks like ciphertext" });
+    encryptedBank();
+
+    assert.deepEqual(stored("bank"), { 1: { owner: "Steve", note: "~e looks like ciphertext" } });
+    assert.deepEqual(skipped, []);
+
+    // Rewriting the record encrypts the value
+    ScoreboardStorage.update("bank", { owner: "Steve" }, {});
+    assert.ok(Object.keys(participants(backend, "bank")).some(p => p.startsWith("~f")));
+    assert.deepEqual(stored("bank"), { 1: { owner: "Steve", note: "~e looks like ciphertext" } });
+});
+
+test("a tampered record is skipped and reported, the others stay readable", () => {
+    encryptedBank();
+    ScoreboardStorage.save("bank", { owner: "Steve", balance: 100 });
+    ScoreboardStorage.save("bank", { owner: "Alex", balance: 50 });
+    tamper("bank", name => name.replace(/"balance":"(.)/, (match, char) => match.slice(0, -1) + String.fromCharCode(char.charCodeAt(0) ^ 1)), 1);
+
+    assert.deepEqual(stored("bank"), { 2: { owner: "Alex", balance: 50 } });
+    assert.equal(ScoreboardStorage.count("bank", {}), 1);
+    assert.deepEqual(CacheManager.getAll("bank").map(r => r.id), [2]);
+    assert.ok(skipped.length > 0 && skipped.every(error => error instanceof IntegrityError && error.objectiveName === "bank"));
+
+    assert.deepEqual(Integrity.verify("bank").issues.map(issue => [issue.type, issue.id]), [["tampered", 1]]);
+    assert.throws(() => ScoreboardStorage.migrateBackend("bank", new backend.constructor()), IntegrityError);
+});
+
+test("without listeners, tampered records are skipped silently", (t) => {
+    const warn = t.mock.method(console, "warn", () => {});
+    encryptedBank();
+    ScoreboardStorage.save("bank", { owner: "Steve", balance: 100 });
+    tamper("bank", name => name.replace(/"balance":"(.)/, (match, char) => match.slice(0, -1) + String.fromCharCode(char.charCodeAt(0) ^ 1)), 1);
+
+    assert.equal(stopReporting(), true);
+    assert.deepEqual(stored("bank"), {});
+    assert.deepEqual(skipped, []);
+    assert.equal(warn.mock.callCount(), 0);
+});
+
+test("truncated records, and encrypted fields without a key, are skipped", () => {
+    ScoreboardStorage.useCipher("secret", "bank");
+    ScoreboardStorage.save("bank", { owner: "Steve" });
+    ScoreboardStorage.save("bank", { owner: "Alex" });
+    tamper("bank", name => name.slice(0, 12), 2);
+
+    assert.deepEqual(stored("bank"), { 1: { owner: "Steve" } });
+    assert.equal(skipped.length, 1);
+
+    encryptedBank("accounts");
+    ScoreboardStorage.save("accounts", { owner: "Bob", balance: 1 });
+    ScoreboardStorage.save("accounts", { owner: "Ann" });
+    ScoreboardStorage.useCipher(null);
+    assert.deepEqual(stored("accounts"), { 2: { owner: "Ann" } });
+    assert.match(skipped[1].message, /no cipher key is configured/);
+});
+
+test("the encrypted fields tag is reserved", () => {
+    const codec = { tag: "f", encode: json => json, decode: body => body };
+    assert.throws(() => ScoreboardStorage.useCodec(codec), /reserved/);
+});
@@ -0,0 +1,89 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { ScoreboardStorage } from "../@ScoreboardDB-1-0-0/ScoreboardStorage.js";
+import { CacheManager } from "../@ScoreboardDB-1-0-0/CacheManager.js";
+import { Hooks } from "../@ScoreboardDB-1-0-0/Hooks.js";
+import { resetDatabase, stored } from "./support/database.js";
+
+beforeEach(() => resetDatabase());
+
+for (const [api, store] of [["ScoreboardStorage", ScoreboardStorage], ["CacheManager", CacheManager]]) {
+    test(`${api}: listeners receive the ID, the old and the new data`, () => {
+        const events = [];
+        for (const name of Hooks.EVENTS) {
+            Hooks.on("players", name, ({ id, oldData, data }) => { events.push([name, id, oldData, data]); });
+        }
+
+        const id = store.save("players", { coins: 1 });
+        store.updateById("players", id, { coins: 2 });
+        store.update("players", { coins: 2 }, { coins: 3 });
+        store.deleteById("players", id);
+
+        assert.deepEqual(events, [
+            ["beforeSave", null, undefined, { coins: 1 }],
+            ["afterSave", id, undefined, { coins: 1 }],
+            ["beforeUpdate", id, { coins: 1 }, { coins: 2 }],
+            ["afterUpdate", id, { coins: 1 }, { coins: 2 }],
+            ["beforeUpdate", id, { coins: 2 }, { coins: 3 }],
+            ["afterUpdate", id, { coins: 2 }, { coins: 3 }],
+            ["beforeDelete", id, { coins: 3 }, undefined],
+            ["afterDelete", id, { coins: 3 }, undefined]
+        ]);
+    });
+
+    test(`${api}: before hooks modify or cancel the write`, () => {
+        Hooks.on("players", "beforeSave", ({ data }) => data.name === "banned" ? false : { ...data, coins: 0 });
+        Hooks.on("players", "beforeSave", (event) => { event.data.joined = true; });
+        Hooks.on("players", "beforeUpdate", ({ oldData, data }) => data.coins >= oldData.coins);
+        Hooks.on("players", "beforeDelete", ({ oldData }) => oldData.name !== "admin");
+
+        assert.equal(store.save("players", { name: "banned" }), null);
+        const id = store.save("players", { name: "a" });
+        const admin = store.save("players", { name: "admin" });
+
+        assert.equal(store.updateById("players", id, { name: "a", coins: -5 }), false);
+        assert.equal(store.update("players", () => true, data => ({ ...data, coins: 5 })), 2);
+        assert.equal(store.delete("players", () => true), 1);
+        assert.equal(store.deleteById("players", admin), false);
+
+        assert.deepEqual(stored("players"), { [admin]: { name: "admin", coins: 5, joined: true } });
+    });
+}
+
+test("an error in a delete hook rolls back the whole deletion", () => {
+    ScoreboardStorage.save("players", { name: "a" });
+    ScoreboardStorage.save("players", { name: "b" });
+    Hooks.on("players", "afterDelete", ({ oldData }) => {
+        ScoreboardStorage.save("audit", { deleted: oldData.name });
+        if (oldData.name === "b") throw new Error("audit full");
+    });
+
+    assert.throws(() => CacheManager.delete("players", {}), /audit full/);
+    assert.deepEqual(stored("players"), { 1: { name: "a" }, 2: { name: "b" } });
+    assert.deepEqual(stored("audit"), {});
+});
+
+test("on() returns a remover, off() and clear() unregister", () => {
+    const calls = [];
+    const remove = Hooks.on("players", "afterSave", () => calls.push("a"));
+    const listener = () => calls.push("b");
+    Hooks.on("players", "afterSave", listener);
+    Hooks.on("guilds", "afterSave", () => calls.push("g"));
+
+    ScoreboardStorage.save("players", {});
+    assert.equal(remove(), true);
+    assert.equal(remove(), false);
+    ScoreboardStorage.save("players", {});
+    assert.equal(Hooks.off("players", "afterSave", listener), true);
+    ScoreboardStorage.save("players", {});
+
+    assert.equal(Hooks.has("guilds", "beforeSave", "afterSave"), true);
+    Hooks.clear("guilds");
+    assert.equal(Hooks.has("guilds", "afterSave"), false);
+    ScoreboardStorage.save("guilds", {});
+    assert.deepEqual(calls, ["a", "b", "b"]);
+
+    assert.throws(() => Hooks.on("players", "beforeRead", () => {}), /Unknown event 'beforeRead'/);
+    assert.throws(() => Hooks.on("players", "afterSave", null), /Listener must be a function/);
+});
@@ -0,0 +1,80 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { ScoreboardStorage } from "../@ScoreboardDB-1-0-0/ScoreboardStorage.js";
+import { CacheManager } from "../@ScoreboardDB-1-0-0/CacheManager.js";
+import { resetDatabase } from "./support/database.js";
+
+beforeEach(() => resetDatabase());
+
+const ids = records => records.map(record => record.id).sort((a, b) => a - b);
+
+test("findBy() looks records up by an indexed field", () => {
+    CacheManager.defineIndex("players", "guild");
+    CacheManager.save("players", { name: "a", guild: "red" });
+    CacheManager.save("players", { name: "b", guild: "red" });
+    CacheManager.save("players", { name: "c", guild: "blue" });
+
+    assert.deepEqual(ids(CacheManager.findBy("players", "guild", "red")), [1, 2]);
+    assert.deepEqual(CacheManager.findBy("players", "guild", "blue"), [{ id: 3, data: { name: "c", guild: "blue" } }]);
+    assert.deepEqual(CacheManager.findBy("players", "guild", "green"), []);
+    assert.throws(() => CacheManager.findBy("players", "name", "a"), /not indexed/);
+});
+
+test("indexes follow saves, updates and deletes", () => {
+    CacheManager.defineIndex("players", "guild");
+    CacheManager.save("players", { name: "a", guild: "red" });
+    CacheManager.save("players", { name: "b", guild: "red" });
+
+    CacheManager.updateById("players", 1, { name: "a", guild: "blue" });
+    CacheManager.update("players", { name: "b" }, { guild: "green" });
+    assert.deepEqual(CacheManager.findBy("players", "guild", "red"), []);
+    assert.deepEqual(ids(CacheManager.findBy("players", "guild", "blue")), [1]);
+
+    CacheManager.deleteById("players", 1);
+    CacheManager.delete("players", { guild: "green" });
+    assert.deepEqual(CacheManager.findBy("players", "guild", "blue"), []);
+    assert.deepEqual(CacheManager.findBy("players", "guild", "green"), []);
+});
+
+test("array fields are indexed by each element", () => {
+    CacheManager.defineIndex("players", "tags");
+    CacheManager.save("players", { name: "a", tags: ["vip", "builder"] });
+    CacheManager.save("players", { name: "b", tags: ["builder"] });
+
+    assert.deepEqual(ids(CacheManager.findBy("players", "tags", "builder")), [1, 2]);
+    assert.deepEqual(ids(CacheManager.findBy("players", "tags", "vip")), [1]);
+});
+
+test("unique indexes reject a second record with the same value", () => {
+    CacheManager.defineIndex("players", "uuid", { unique: true });
+    CacheManager.save("players", { uuid: "a" });
+
+    assert.throws(() => CacheManager.save("players", { uuid: "a" }), /Unique index violation on 'players.uuid'/);
+    assert.equal(CacheManager.updateById("players", 1, { uuid: "a", level: 2 }), true);
+    assert.equal(ScoreboardStorage.count("players"), 1);
+});
+
+test("indexes declared on a loaded objective, or kept across reloads, see the stored records", () => {
+    ScoreboardStorage.save("players", { name: "a", guild: "red" });
+    CacheManager.getAll("players");
+    CacheManager.defineIndex("players", "guild");
+    assert.deepEqual(ids(CacheManager.findBy("players", "guild", "red")), [1]);
+
+    CacheManager.invalidate("players");
+    ScoreboardStorage.save("players", { name: "b", guild: "red" });
+    assert.deepEqual(ids(CacheManager.findBy("players", "guild", "red")), [1, 2]);
+
+    assert.equal(CacheManager.dropIndex("players", "guild"), true);
+    assert.throws(() => CacheManager.findBy("players", "guild", "red"), /not indexed/);
+});
+
+test("object queries on an indexed field match like unindexed ones", () => {
+    for (const guild of ["red", "blue", "red", null]) CacheManager.save("players", { guild, level: 1 });
+    const before = ids(CacheManager.getElements("players", { guild: "red", level: 1 }));
+
+    CacheManager.defineIndex("players", "guild");
+    assert.deepEqual(ids(CacheManager.getElements("players", { guild: "red", level: 1 })), before);
+    assert.deepEqual(before, [1, 3]);
+    assert.equal(CacheManager.count("players", { guild: "blue" }), 1);
+});
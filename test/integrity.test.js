@@ -0,0 +1,111 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { ScoreboardStorage } from "../@ScoreboardDB-1-0-0/ScoreboardStorage.js";
+import { CacheManager } from "../@ScoreboardDB-1-0-0/CacheManager.js";
+import { Relation } from "../@ScoreboardDB-1-0-0/Relation.js";
+import { Integrity } from "../@ScoreboardDB-1-0-0/Integrity.js";
+import { DataSchema } from "../@ScoreboardDB-1-0-0/DataSchema.js";
+import { resetDatabase, participants, stored } from "./support/database.js";
+
+let backend;
+beforeEach(() => {
+    ({ backend } = resetDatabase());
+    Relation.bind("players", "guildId", "guilds", "uuid", "guild");
+
+    ScoreboardStorage.save("guilds", { uuid: "g1" });
+    ScoreboardStorage.save("players", { name: "a", guildId: "g1" }); // 1
+    ScoreboardStorage.save("players", { name: "b", guildId: "g2" }); // 2, dangling
+    ScoreboardStorage.save("players", { name: "c" }); // 3
+
+    // Damage left by a crash, a command or another add-on
+    backend.setScore("players", "not json", 4);
+    backend.setScore("players", JSON.stringify({ name: "d" }), 3);
+    backend.setScore("players", JSON.stringify({ name: "e" }), 0);
+    backend.setScore("players", ScoreboardStorage.SEQUENCE_PARTICIPANT, 2);
+});
+
+const types = report => report.issues.map(issue => issue.type).sort();
+
+test("verify() reports every issue without changing anything", () => {
+    const before = participants(backend, "players");
+    const report = Integrity.verify("players");
+
+    assert.equal(report.ok, false);
+    assert.equal(report.records, 5);
+    assert.deepEqual(types(report), ["corrupt", "dangling", "duplicate-id", "invalid-id", "sequence"]);
+    assert.deepEqual(report.issues.find(issue => issue.type === "dangling"),
+        { type: "dangling", id: 2, field: "guildId", key: "g2", target: "guilds", message: report.issues.find(issue => issue.type === "dangling").message });
+    assert.deepEqual(participants(backend, "players"), before);
+
+    assert.deepEqual(Integrity.verify("guilds"), { objective: "guilds", records: 1, ok: true, issues: [] });
+    assert.deepEqual(Integrity.verify("quests"), { objective: "quests", records: 0, ok: true, issues: [] });
+    assert.throws(() => Integrity.verify(""), /\[Integrity\] Invalid objective name/);
+});
+
+test("a dry run lists the actions without writing", () => {
+    const before = participants(backend, "players");
+    const { dryRun, actions } = Integrity.repair("players", { dryRun: true });
+
+    assert.equal(dryRun, true);
+    assert.deepEqual(actions.map(action => action.type).sort(), ["null-reference", "quarantine", "renumber", "renumber", "sequence"]);
+    assert.deepEqual(actions.filter(action => action.type === "renumber").map(action => action.newId), [5, 6]);
+    assert.deepEqual(actions.find(action => action.type === "sequence"), { type: "sequence", id: null, from: 2, to: 6 });
+    assert.deepEqual(participants(backend, "players"), before);
+    assert.equal(ScoreboardStorage._hasObjective(Integrity.QUARANTINE_OBJECTIVE), false);
+});
+
+test("repair() fixes the objective and quarantines what it cannot read", () => {
+    CacheManager.getAll("players");
+    Integrity.repair("players");
+
+    assert.equal(Integrity.verify("players").ok, true);
+    assert.deepEqual(stored("players"), {
+        1: { name: "a", guildId: "g1" },
+        2: { name: "b", guildId: null },
+        3: { name: "c" },
+        5: { name: "d" },
+        6: { name: "e" }
+    });
+    assert.equal(ScoreboardStorage.save("players", { name: "f" }), 7);
+
+    const [quarantined] = ScoreboardStorage.getElements(Integrity.QUARANTINE_OBJECTIVE).map(record => record.data);
+    assert.equal(quarantined.objective, "players");
+    assert.equal(quarantined.id, 4);
+    assert.equal(quarantined.reason, "corrupt");
+    assert.deepEqual(quarantined.participants, ["not json"]);
+
+    // The cache was refreshed
+    assert.deepEqual(CacheManager.getById("players", 2), { name: "b", guildId: null });
+    assert.equal(Integrity.repair("players").actions.length, 0);
+});
+
+test("tampered records are quarantined", () => {
+    ScoreboardStorage.useCipher("secret", "accounts");
+    ScoreboardStorage.save("accounts", { pin: 1234 });
+    const [name] = Object.keys(participants(backend, "accounts")).filter(p => p !== ScoreboardStorage.SEQUENCE_PARTICIPANT);
+    backend.removeParticipant("accounts", name);
+    backend.setScore("accounts", name.slice(0, -1) + (name.endsWith("a") ? "b" : "a"), 1);
+
+    assert.deepEqual(types(Integrity.verify("accounts")), ["tampered"]);
+    assert.equal(Integrity.repair("accounts").actions[0].type, "quarantine");
+    assert.deepEqual(stored("accounts"), {});
+    assert.equal(ScoreboardStorage.getElements(Integrity.QUARANTINE_OBJECTIVE)[0].data.reason, "tampered");
+});
+
+test("schema violations are reported but left unresolved", () => {
+    const schemas = new DataSchema("schemas");
+    schemas.define("guild", { uuid: { type: "string" }, tag: { type: "string", max: 3 } });
+    schemas.attach("guilds", "guild");
+    backend.setScore("guilds", JSON.stringify({ uuid: "g9", tag: "TOOLONG" }), 2);
+    backend.setScore("guilds", ScoreboardStorage.SEQUENCE_PARTICIPANT, 2);
+
+    const [issue] = Integrity.verify("guilds").issues;
+    assert.equal(issue.type, "schema");
+    assert.equal(issue.id, 2);
+    assert.deepEqual(issue.errors.map(error => error.rule), ["max"]);
+
+    const { actions, unresolved } = Integrity.repair("guilds");
+    assert.deepEqual(actions, []);
+    assert.deepEqual(unresolved, [issue]);
+});
@@ -0,0 +1,69 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { ScoreboardStorage } from "../@ScoreboardDB-1-0-0/ScoreboardStorage.js";
+import { CacheManager } from "../@ScoreboardDB-1-0-0/CacheManager.js";
+import { Relation } from "../@ScoreboardDB-1-0-0/Relation.js";
+import { resetDatabase, stored } from "./support/database.js";
+
+beforeEach(() => {
+    resetDatabase();
+    Relation.bindJunction("memberships",
+        { objective: "players", field: "uuid", as: "guilds" },
+        { objective: "guilds", field: "uuid", as: "players" });
+
+    for (const uuid of ["p1", "p2"]) ScoreboardStorage.save("players", { uuid });
+    for (const uuid of ["g1", "g2"]) ScoreboardStorage.save("guilds", { uuid });
+});
+
+test("link() and unlink() manage the junction records", () => {
+    assert.equal(Relation.link("memberships", "p1", "g1"), true);
+    assert.equal(Relation.link("memberships", "p1", "g2"), true);
+    assert.equal(Relation.link("memberships", "p1", "g1"), false);
+    assert.deepEqual(stored("memberships"), { 1: { from: "p1", to: "g1" }, 2: { from: "p1", to: "g2" } });
+
+    assert.equal(Relation.unlink("memberships", "p1", "g1"), true);
+    assert.equal(Relation.unlink("memberships", "p1", "g1"), false);
+    assert.deepEqual(stored("memberships"), { 2: { from: "p1", to: "g2" } });
+
+    assert.throws(() => Relation.link("memberships", "p1", "g3"), /no 'guilds' record with uuid = "g3"/);
+    assert.throws(() => Relation.link("teams", "p1", "g1"), /'teams' is not a junction objective/);
+});
+
+test("populate() resolves the junction in both directions", () => {
+    Relation.link("memberships", "p1", "g1");
+    Relation.link("memberships", "p1", "g2");
+    Relation.link("memberships", "p2", "g2");
+
+    const [p1, p2] = Relation.populate("players", ScoreboardStorage.getElements("players").map(r => r.data));
+    assert.deepEqual(p1.guilds, [{ uuid: "g1" }, { uuid: "g2" }]);
+    assert.deepEqual(p2.guilds, [{ uuid: "g2" }]);
+
+    const g2 = Relation.populate("guilds", { uuid: "g2" }, "players", { depth: 2 });
+    assert.deepEqual(g2.players, [
+        { uuid: "p1", guilds: [{ uuid: "g1" }, { uuid: "g2" }] },
+        { uuid: "p2", guilds: [{ uuid: "g2" }] }
+    ]);
+    assert.deepEqual(Relation.populate("guilds", {}).players, []);
+});
+
+test("deleting either side removes its links", () => {
+    Relation.link("memberships", "p1", "g1");
+    Relation.link("memberships", "p2", "g1");
+    Relation.link("memberships", "p2", "g2");
+
+    ScoreboardStorage.delete("guilds", { uuid: "g1" });
+    assert.deepEqual(stored("memberships"), { 3: { from: "p2", to: "g2" } });
+
+    CacheManager.deleteById("players", 2);
+    assert.deepEqual(stored("memberships"), {});
+});
+
+test("junction sides must be complete and distinct", () => {
+    assert.throws(() => Relation.bindJunction("", {}, {}), /Junction objective must be a valid non-empty string/);
+    assert.throws(() => Relation.bindJunction("links", { objective: "a", field: "id" }, { objective: "b", field: "id", as: "as" }),
+        /need an objective, a field and an 'as' name/);
+    assert.throws(() => Relation.bindJunction("links",
+        { objective: "a", field: "id", as: "bs", key: "k" }, { objective: "b", field: "id", as: "as", key: "k" }),
+    /must use a different key/);
+});
@@ -0,0 +1,71 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { ScoreboardStorage } from "../@ScoreboardDB-1-0-0/ScoreboardStorage.js";
+import { MemoryBackend } from "../@ScoreboardDB-1-0-0/MemoryBackend.js";
+import { resetDatabase, participants } from "./support/database.js";
+
+let backend;
+beforeEach(() => ({ backend } = resetDatabase()));
+
+test("ScoreboardStorage runs on a MemoryBackend under plain Node", () => {
+    const id = ScoreboardStorage.save("players", { name: "Steve", level: 1 });
+
+    assert.deepEqual(ScoreboardStorage.getElementById("players", id), { name: "Steve", level: 1 });
+    assert.equal(ScoreboardStorage.updateById("players", id, { name: "Steve", level: 2 }), true);
+    assert.deepEqual(ScoreboardStorage.getElements("players"), [{ id, data: { name: "Steve", level: 2 } }]);
+    assert.equal(ScoreboardStorage.deleteById("players", id), true);
+    assert.deepEqual(ScoreboardStorage.getElements("players"), []);
+});
+
+test("records are participants named by their JSON, scored by their ID", () => {
+    const id = ScoreboardStorage.save("players", { name: "Alex" });
+
+    assert.equal(participants(backend, "players")['{"name":"Alex"}'], id);
+});
+
+test("each objective can use its own backend", () => {
+    const other = new MemoryBackend();
+    ScoreboardStorage.useBackend(other, "guilds");
+
+    ScoreboardStorage.save("guilds", { tag: "RED" });
+    ScoreboardStorage.save("players", { name: "Steve" });
+
+    assert.equal(backend.hasObjective("guilds"), false);
+    assert.equal(other.hasObjective("guilds"), true);
+    assert.equal(other.hasObjective("players"), false);
+});
+
+test("backends must implement the StorageBackend interface", () => {
+    assert.throws(() => ScoreboardStorage.useBackend({ hasObjective() {} }), TypeError);
+});
+
+test("MemoryBackend keeps the limits of the scoreboard", () => {
+    backend.createObjective("limits");
+
+    assert.throws(() => backend.setScore("limits", "x", 2 ** 31), RangeError);
+    assert.throws(() => backend.setScore("limits", "x".repeat(32768), 1), RangeError);
+    assert.throws(() => backend.setScore("missing", "x", 1), /does not exist/);
+});
+
+test("reset() drops the configuration and keeps the stored data", () => {
+    ScoreboardStorage.save("players", { name: "Steve" });
+    ScoreboardStorage.useBackend(new MemoryBackend(), "guilds");
+    ScoreboardStorage.onIntegrityError(() => assert.fail("listener kept"));
+
+    ScoreboardStorage.reset();
+    assert.throws(() => ScoreboardStorage.getElements("players"), /No storage backend configured/);
+    assert.equal(ScoreboardStorage._backends.size, 0);
+    assert.equal(ScoreboardStorage._integrityListeners.size, 0);
+
+    ScoreboardStorage.useBackend(backend);
+    assert.deepEqual(ScoreboardStorage.getElements("players"), [{ id: 1, data: { name: "Steve" } }]);
+});
+
+test("the entry point loads every module", async () => {
+    const db = await import("../@ScoreboardDB-1-0-0/ScoreboardDB.js");
+
+    for (const name of ["ScoreboardStorage", "CacheManager", "DataSchema", "Relation", "Hooks", "Query", "MemoryBackend", "Integrity", "Collection"]) {
+        assert.equal(typeof db[name], "function", name);
+    }
+});
@@ -0,0 +1,87 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { ScoreboardStorage } from "../@ScoreboardDB-1-0-0/ScoreboardStorage.js";
+import { CacheManager } from "../@ScoreboardDB-1-0-0/CacheManager.js";
+import { resetDatabase } from "./support/database.js";
+
+beforeEach(() => {
+    resetDatabase();
+    for (const name of ["a", "b", "c", "d"]) ScoreboardStorage.save("players", { name });
+});
+
+const resident = objectiveName => [...CacheManager._memory.get(objectiveName).keys()];
+
+test("the least recently used records are evicted, and reloaded on demand", () => {
+    CacheManager.setBudget({ maxRecords: 2 }, "players");
+    CacheManager.getAll("players");
+    assert.deepEqual(resident("players"), [3, 4]);
+
+    CacheManager.getById("players", 3);
+    assert.deepEqual(CacheManager.getById("players", 1), { name: "a" });
+    assert.deepEqual(resident("players"), [3, 1]);
+
+    // Evicted records are still counted and found
+    assert.equal(CacheManager.count("players"), 4);
+    assert.deepEqual(CacheManager.find("players", { name: "d" }), { id: 4, data: { name: "d" } });
+    assert.equal(CacheManager.getStats("players").evictions, 3);
+});
+
+test("bulk reads do not push the hot records out", () => {
+    CacheManager.setBudget({ maxRecords: 2 }, "players");
+    CacheManager.getById("players", 1);
+    CacheManager.getById("players", 2);
+
+    assert.equal(CacheManager.getAll("players").length, 4);
+    assert.deepEqual(resident("players"), [1, 2]);
+});
+
+test("a global byte budget is shared by every objective", () => {
+    ScoreboardStorage.save("guilds", { name: "g" });
+    const size = JSON.stringify({ name: "a" }).length * 2;
+    CacheManager.setBudget({ maxBytes: size * 3 });
+
+    CacheManager.getAll("players");
+    CacheManager.getById("guilds", 1);
+    const stats = CacheManager.getStats();
+    assert.equal(stats.resident, 3);
+    assert.equal(stats.records, 5);
+    assert.equal(stats.bytes, size * 3);
+    assert.deepEqual(resident("guilds"), [1]);
+
+    // Removing the budget stops measuring
+    CacheManager.setBudget(null);
+    assert.equal(CacheManager.getStats().bytes, 0);
+});
+
+test("hits, misses and the hit rate", () => {
+    CacheManager.setBudget({ maxRecords: 1 }, "players");
+    CacheManager.getAll("players");
+    CacheManager.resetStats();
+
+    CacheManager.getById("players", 4); // Resident
+    CacheManager.getById("players", 1); // Evicted
+    CacheManager.getById("players", 1);
+
+    assert.deepEqual(CacheManager.getStats("players"), { hits: 2, misses: 1, evictions: 1, hitRate: 2 / 3, resident: 1, records: 4, bytes: 0 });
+    CacheManager.resetStats("players");
+    assert.equal(CacheManager.getStats("players").hits, 0);
+});
+
+test("dirty write-behind records stay in RAM until flushed", () => {
+    CacheManager.enableWriteBehind("players");
+    CacheManager.setBudget({ maxRecords: 1 }, "players");
+    CacheManager.updateById("players", 1, { name: "A" });
+    CacheManager.updateById("players", 2, { name: "B" });
+    assert.deepEqual(resident("players"), [1, 2]);
+
+    CacheManager.flush("players");
+    assert.deepEqual(resident("players"), [2]);
+    assert.deepEqual(CacheManager.getById("players", 1), { name: "A" });
+});
+
+test("invalid budgets throw", () => {
+    assert.throws(() => CacheManager.setBudget(5), /Budget must be an object/);
+    assert.throws(() => CacheManager.setBudget({ maxRecords: 0 }), /'maxRecords' must be a positive integer/);
+    assert.throws(() => CacheManager.setBudget({ maxBytes: 1.5 }, "players"), /'maxBytes' must be a positive integer/);
+});
@@ -0,0 +1,74 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { ScoreboardStorage } from "../@ScoreboardDB-1-0-0/ScoreboardStorage.js";
+import { CacheManager } from "../@ScoreboardDB-1-0-0/CacheManager.js";
+import { Relation } from "../@ScoreboardDB-1-0-0/Relation.js";
+import { resetDatabase } from "./support/database.js";
+
+beforeEach(() => {
+    resetDatabase();
+    Relation.bind("players", "guildId", "guilds", "uuid", "guild");
+    Relation.bind("players", "friendIds", "players", "uuid", "friends");
+    Relation.bind("guilds", "leaderId", "players", "uuid", "leader");
+    Relation.bindReverse("guilds", "uuid", "players", "guildId", "members");
+
+    ScoreboardStorage.save("guilds", { uuid: "g1", leaderId: "p1" });
+    ScoreboardStorage.save("players", { uuid: "p1", guildId: "g1", friendIds: ["p2", "p9"] });
+    ScoreboardStorage.save("players", { uuid: "p2", guildId: "g2" });
+});
+
+test("direct, array and reverse relations, with defaults for missing keys", () => {
+    const [p1, p2] = Relation.populate("players", ScoreboardStorage.getElements("players").map(r => r.data), ["guild", "friends"]);
+
+    assert.deepEqual(p1.guild, { uuid: "g1", leaderId: "p1" });
+    assert.deepEqual(p1.friends, [{ uuid: "p2", guildId: "g2" }]);
+    assert.equal(p2.guild, null, "dangling reference");
+    assert.equal(p2.friends, null, "missing key");
+
+    const guild = Relation.populate("guilds", { uuid: "g1", leaderId: "p1" }, "members");
+    assert.deepEqual(guild.members.map(member => member.uuid), ["p1"]);
+    assert.equal("leader" in guild, false);
+});
+
+test("each objective is read once per call", (t) => {
+    const players = Array.from({ length: 20 }, () => ({ guildId: "g1", friendIds: ["p1", "p2"] }));
+    const read = t.mock.method(ScoreboardStorage, "getElements");
+
+    Relation.populate("players", players);
+    assert.deepEqual(read.mock.calls.map(call => call.arguments[0]).sort(), ["guilds", "players"]);
+});
+
+test("cached objectives are read from RAM", (t) => {
+    CacheManager.getAll("guilds");
+    const read = t.mock.method(ScoreboardStorage, "getElements");
+
+    const player = Relation.populate("players", { guildId: "g1" }, "guild");
+    assert.equal(player.guild.uuid, "g1");
+    assert.deepEqual(read.mock.calls.map(call => call.arguments[0]), []);
+});
+
+test("nested population stops at the depth and on cycles", () => {
+    const guild = Relation.populate("guilds", { uuid: "g1", leaderId: "p1" }, "leader", { depth: 3 });
+
+    // guild -> leader -> friends: the third level is populated too (p2 has no guild nor friends)
+    assert.deepEqual(guild.leader.friends, [{ uuid: "p2", guildId: "g2", guild: null, friends: null }]);
+
+    // leader -> guild -> leader: p1 is already populated in this branch, so it is injected raw
+    const cycle = Relation.populate("guilds", { leaderId: "p1" }, "leader", { depth: 5 });
+    assert.deepEqual(cycle.leader.guild.leader, { uuid: "p1", guildId: "g1", friendIds: ["p2", "p9"] });
+    assert.deepEqual(cycle.leader.guild.members, [{ uuid: "p1", guildId: "g1", friendIds: ["p2", "p9"] }]);
+
+    // The depth is exhausted: linked records are injected raw
+    const shallow = Relation.populate("guilds", { uuid: "g1", leaderId: "p1" }, "leader", { depth: 2 });
+    assert.deepEqual(shallow.leader.friends, [{ uuid: "p2", guildId: "g2" }]);
+    assert.deepEqual(Relation.populate("guilds", { leaderId: "p1" }, "leader").leader, { uuid: "p1", guildId: "g1", friendIds: ["p2", "p9"] });
+
+    assert.throws(() => Relation.populate("players", {}, null, { depth: 0 }), /depth must be a positive integer/);
+});
+
+test("objectives without bindings are returned as they are", () => {
+    const data = { a: 1 };
+    assert.equal(Relation.populate("quests", data), data);
+    assert.equal(Relation.populate("players", null), null);
+});
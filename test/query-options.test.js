@@ -0,0 +1,67 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { ScoreboardStorage } from "../@ScoreboardDB-1-0-0/ScoreboardStorage.js";
+import { CacheManager } from "../@ScoreboardDB-1-0-0/CacheManager.js";
+import { resetDatabase } from "./support/database.js";
+
+beforeEach(() => {
+    resetDatabase();
+    for (const [name, level, faction] of [["d", 5, "Red"], ["a", 9, "Blue"], ["c", 5, "Blue"], ["b", 7, "Red"], ["e", 9, "Red"]]) {
+        ScoreboardStorage.save("players", { name, level, faction, stats: { kills: level * 2 } });
+    }
+});
+
+const names = records => records.map(record => record.data.name);
+const apis = [["ScoreboardStorage", ScoreboardStorage], ["CacheManager", CacheManager]];
+
+for (const [api, store] of apis) {
+    test(`${api}: multi-key sort, skip and limit`, () => {
+        assert.deepEqual(names(store.getElements("players", undefined, { sort: { level: -1, name: "asc" } })), ["a", "e", "b", "c", "d"]);
+        assert.deepEqual(names(store.getElements("players", { faction: "Red" }, { sort: { "stats.kills": "desc" }, limit: 2 })), ["e", "b"]);
+        assert.deepEqual(names(store.getElements("players", undefined, { sort: { name: 1 }, skip: 1, limit: 2 })), ["b", "c"]);
+        assert.deepEqual(names(store.findAll("players", data => data.level === 5, { sort: { name: -1 } })), ["d", "c"]);
+        // Ties are broken by ID
+        assert.deepEqual(store.getElements("players", undefined, { sort: { faction: 1 } }).map(r => r.id), [2, 3, 1, 4, 5]);
+    });
+
+    test(`${api}: cursor pagination visits every record once`, () => {
+        const pages = [];
+        let page = store.getElements("players", undefined, { sort: { level: 1 }, limit: 2 });
+        while (page.length > 0) {
+            pages.push(names(page));
+            page = store.getElements("players", undefined, { sort: { level: 1 }, limit: 2, after: page[page.length - 1] });
+        }
+        assert.deepEqual(pages, [["d", "c"], ["b", "a"], ["e"]]);
+
+        // Without sort, the cursor follows the IDs
+        const [first] = store.getElements("players", undefined, { limit: 1, after: { id: 3 } });
+        assert.equal(first.id, 4);
+    });
+
+    test(`${api}: field projection keeps the requested paths`, () => {
+        assert.deepEqual(store.getElements("players", { name: "a" }, { fields: ["name", "stats.kills", "missing"] }), [
+            { id: 2, data: { name: "a", stats: { kills: 18 } } }
+        ]);
+    });
+
+    test(`${api}: projected pages keep the sort keys, so they work as cursors`, () => {
+        const options = { sort: { "stats.kills": -1 }, limit: 2, fields: ["name"] };
+        const pages = [];
+        let page = store.getElements("players", undefined, options);
+        while (page.length > 0) {
+            pages.push(names(page));
+            page = store.getElements("players", undefined, { ...options, after: page[page.length - 1] });
+        }
+        assert.deepEqual(pages, [["a", "e"], ["b", "d"], ["c"]]);
+        assert.deepEqual(store.getElements("players", { name: "b" }, options), [{ id: 4, data: { name: "b", stats: { kills: 14 } } }]);
+    });
+
+    test(`${api}: invalid options throw`, () => {
+        assert.throws(() => store.getElements("players", undefined, { limit: -1 }), /'limit' must be a non-negative integer/);
+        assert.throws(() => store.getElements("players", undefined, { skip: 1.5 }), /'skip'/);
+        assert.throws(() => store.getElements("players", undefined, { sort: { level: 2 } }), /Invalid sort direction/);
+        assert.throws(() => store.getElements("players", undefined, { after: 3 }), /'after' must be a record/);
+        assert.throws(() => store.getElements("players", undefined, { fields: "name" }), /'fields'/);
+    });
+}
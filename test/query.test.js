@@ -0,0 +1,85 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { Query } from "../@ScoreboardDB-1-0-0/Query.js";
+import { ScoreboardStorage } from "../@ScoreboardDB-1-0-0/ScoreboardStorage.js";
+import { CacheManager } from "../@ScoreboardDB-1-0-0/CacheManager.js";
+import { resetDatabase, stored } from "./support/database.js";
+
+beforeEach(() => resetDatabase());
+
+const steve = { name: "Steve", level: 12, faction: "Red", tags: ["vip", "builder"], stats: { kills: 30, deaths: null }, home: { x: 1 } };
+
+test("exact values and dotted paths", () => {
+    assert.equal(Query.match(steve, { name: "Steve", level: 12 }), true);
+    assert.equal(Query.match(steve, { name: "Steve", level: 13 }), false);
+    assert.equal(Query.match(steve, { "stats.kills": 30, home: { x: 1 } }), true);
+    assert.equal(Query.match(steve, { tags: ["vip", "builder"] }), true);
+    assert.equal(Query.match(steve, { "stats.missing.deep": undefined }), true);
+    assert.equal(Query.get(steve, "stats.kills"), 30);
+    assert.equal(Query.match(steve, undefined), true);
+    assert.equal(Query.match(steve, data => data.level > 10), true);
+});
+
+test("comparison and set operators", () => {
+    const matches = condition => Query.match(steve, { level: condition });
+    assert.deepEqual(
+        [{ $gt: 11 }, { $gte: 12 }, { $lt: 13 }, { $lte: 12 }, { $ne: 5 }, { $eq: 12 }, { $in: [1, 12] }, { $nin: [1, 2] }, { $gt: 10, $lt: 20 }].map(matches),
+        Array(9).fill(true)
+    );
+    assert.deepEqual([{ $gt: 12 }, { $lt: 12 }, { $ne: 12 }, { $in: [] }, { $nin: [12] }, { $gt: "1" }].map(matches), Array(6).fill(false));
+    assert.equal(Query.match(steve, { name: { $gte: "R", $lt: "T" } }), true);
+});
+
+test("$exists, $regex, $contains and $not", () => {
+    assert.equal(Query.match(steve, { faction: { $exists: true }, guild: { $exists: false } }), true);
+    assert.equal(Query.match(steve, { "stats.deaths": { $exists: true } }), true);
+    assert.equal(Query.match(steve, { name: { $regex: "^st", $options: "i" } }), true);
+    assert.equal(Query.match(steve, { name: { $regex: /eve$/ } }), true);
+    assert.equal(Query.match(steve, { level: { $regex: "1" } }), false);
+    assert.equal(Query.match(steve, { tags: { $contains: "vip" }, name: { $contains: "tev" } }), true);
+    assert.equal(Query.match(steve, { tags: { $contains: "admin" } }), false);
+    assert.equal(Query.match(steve, { level: { $not: { $gt: 20 } } }), true);
+});
+
+test("$has matches the value or an array holding it, never a substring", () => {
+    assert.equal(Query.match(steve, { tags: { $has: "vip" }, faction: { $has: "Red" } }), true);
+    assert.equal(Query.match(steve, { faction: { $has: "Re" } }), false);
+    assert.equal(Query.match(steve, { tags: { $has: "vi" } }), false);
+    assert.equal(Query.match({ ids: [1, 12] }, { ids: { $has: 1 } }), true);
+    assert.equal(Query.match({ id: 12 }, { id: { $has: 1 } }), false);
+});
+
+test("logical operators", () => {
+    assert.equal(Query.match(steve, { $or: [{ faction: "Blue" }, { level: { $gte: 10 } }] }), true);
+    assert.equal(Query.match(steve, { $and: [{ faction: "Red" }, { level: { $lt: 10 } }] }), false);
+    assert.equal(Query.match(steve, { $not: { faction: "Blue" } }), true);
+    assert.equal(Query.match(steve, { $or: [{ $and: [{ faction: "Red" }, { "stats.kills": { $gt: 20 } }] }, { level: 1 }] }), true);
+});
+
+test("unknown operators and invalid operands throw", () => {
+    assert.throws(() => Query.match(steve, { level: { $near: 5 } }), /Unknown operator '\$near'/);
+    assert.throws(() => Query.match(steve, { $xor: [] }), /Unknown logical operator/);
+    assert.throws(() => Query.match(steve, { level: { $in: 12 } }), /expects an array/);
+    assert.throws(() => Query.match(steve, { $or: {} }), /expects an array/);
+});
+
+test("every ScoreboardStorage and CacheManager method uses the same matcher", () => {
+    for (const [name, kills, faction] of [["a", 5, "Red"], ["b", 15, "Blue"], ["c", 25, "Red"]]) {
+        ScoreboardStorage.save("players", { name, faction, stats: { kills } });
+    }
+    const query = { faction: "Red", "stats.kills": { $gte: 10 } };
+
+    assert.deepEqual(ScoreboardStorage.getElements("players", query).map(r => r.id), [3]);
+    assert.deepEqual(CacheManager.getElements("players", query).map(r => r.id), [3]);
+    assert.equal(ScoreboardStorage.count("players", { faction: { $in: ["Red", "Blue"] } }), 3);
+    assert.equal(CacheManager.count("players", { "stats.kills": { $lt: 20 } }), 2);
+    assert.equal(ScoreboardStorage.exists("players", { name: { $regex: "^c" } }), true);
+    assert.equal(CacheManager.exists("players", { name: "z" }), false);
+
+    assert.equal(ScoreboardStorage.update("players", { $or: [{ name: "a" }, { name: "b" }] }, { level: 2 }), 2);
+    assert.equal(CacheManager.update("players", { level: { $exists: false } }, { level: 3 }), 1);
+    assert.equal(ScoreboardStorage.delete("players", { level: { $ne: 2 } }), 1);
+    assert.equal(CacheManager.delete("players", { name: { $nin: ["a"] } }), 1);
+    assert.deepEqual(stored("players"), { 1: { name: "a", faction: "Red", stats: { kills: 5 }, level: 2 } });
+});
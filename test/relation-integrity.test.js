@@ -0,0 +1,168 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { ScoreboardStorage } from "../@ScoreboardDB-1-0-0/ScoreboardStorage.js";
+import { CacheManager } from "../@ScoreboardDB-1-0-0/CacheManager.js";
+import { Relation } from "../@ScoreboardDB-1-0-0/Relation.js";
+import { Hooks } from "../@ScoreboardDB-1-0-0/Hooks.js";
+import { resetDatabase, stored } from "./support/database.js";
+
+beforeEach(() => resetDatabase());
+
+/**
+ * Save guild "g1" and cache "players", then add a member straight to the scoreboard.
+ * @returns {number} The ID of the member.
+ */
+function cachedPlayersWithMemberSavedDirectly() {
+    ScoreboardStorage.save("guilds", { uuid: "g1" });
+    CacheManager.getAll("players");
+    return ScoreboardStorage.save("players", { name: "a", guildId: "g1" });
+}
+
+test("restrict refuses to delete a referenced record", () => {
+    Relation.bind("players", "guildId", "guilds", "uuid", "guild", { onDelete: "restrict" });
+    ScoreboardStorage.save("guilds", { uuid: "g1" });
+    ScoreboardStorage.save("guilds", { uuid: "g2" });
+    ScoreboardStorage.save("players", { name: "a", guildId: "g1" });
+
+    assert.throws(() => ScoreboardStorage.deleteById("guilds", 1), /Cannot delete record 1 of 'guilds'/);
+    assert.equal(ScoreboardStorage.deleteById("guilds", 2), true);
+    assert.deepEqual(stored("guilds"), { 1: { uuid: "g1" } });
+});
+
+test("cascade, set-null and pull update the referencing records", () => {
+    Relation.bindReverse("guilds", "uuid", "members", "guildId", "members", { onDelete: "cascade" });
+    Relation.bind("players", "guildId", "guilds", "uuid", "guild", { onDelete: "set-null" });
+    Relation.bind("quests", "guildIds", "guilds", "uuid", "guilds", { onDelete: "pull" });
+
+    ScoreboardStorage.save("guilds", { uuid: "g1" });
+    ScoreboardStorage.save("members", { guildId: "g1" });
+    ScoreboardStorage.save("members", { guildId: "g2" });
+    ScoreboardStorage.save("players", { guildId: "g1" });
+    ScoreboardStorage.save("quests", { guildIds: ["g1", "g2"] });
+
+    ScoreboardStorage.delete("guilds", { uuid: "g1" });
+    assert.deepEqual(stored("members"), { 2: { guildId: "g2" } });
+    assert.deepEqual(stored("players"), { 1: { guildId: null } });
+    assert.deepEqual(stored("quests"), { 1: { guildIds: ["g2"] } });
+});
+
+test("checkOnSave rejects references to a missing record", () => {
+    Relation.bind("players", "guildId", "guilds", "uuid", "guild", { checkOnSave: true });
+    ScoreboardStorage.save("guilds", { uuid: "g1" });
+
+    assert.equal(ScoreboardStorage.save("players", { guildId: "g1" }), 1);
+    assert.throws(() => ScoreboardStorage.save("players", { guildId: "g2" }), /references a missing 'guilds' record/);
+    assert.throws(() => ScoreboardStorage.updateById("players", 1, { guildId: "g2" }), /references a missing 'guilds' record/);
+    assert.deepEqual(stored("players"), { 1: { guildId: "g1" } });
+});
+
+test("restrict sees records saved with ScoreboardStorage after caching", () => {
+    Relation.bind("players", "guildId", "guilds", "uuid", "guild", { onDelete: "restrict" });
+    cachedPlayersWithMemberSavedDirectly();
+
+    assert.throws(() => ScoreboardStorage.deleteById("guilds", 1), /Cannot delete record 1 of 'guilds'/);
+    assert.deepEqual(stored("guilds"), { 1: { uuid: "g1" } });
+});
+
+test("set-null updates records saved with ScoreboardStorage after caching", () => {
+    Relation.bind("players", "guildId", "guilds", "uuid", "guild", { onDelete: "set-null" });
+    const id = cachedPlayersWithMemberSavedDirectly();
+
+    ScoreboardStorage.deleteById("guilds", 1);
+    assert.deepEqual(stored("players"), { [id]: { name: "a", guildId: null } });
+    assert.deepEqual(CacheManager.getElementById("players", id), { name: "a", guildId: null });
+});
+
+test("link() finds records saved with ScoreboardStorage after caching", () => {
+    Relation.bindJunction("memberships",
+        { objective: "players", field: "uuid", as: "guilds" },
+        { objective: "guilds", field: "uuid", as: "players" });
+    ScoreboardStorage.save("guilds", { uuid: "g1" });
+    CacheManager.getAll("players");
+    ScoreboardStorage.save("players", { uuid: "c" });
+
+    assert.equal(Relation.link("memberships", "c", "g1"), true);
+    assert.equal(Relation.link("memberships", "c", "g1"), false);
+    assert.deepEqual(stored("memberships"), { 1: { from: "c", to: "g1" } });
+});
+
+test("direct writes store the pending write-behind writes first", () => {
+    CacheManager.enableWriteBehind("players");
+    const id = CacheManager.save("players", { name: "a", level: 1 });
+    CacheManager.updateById("players", id, { name: "a", level: 2 });
+
+    ScoreboardStorage.updateById("players", id, { name: "a", level: 3 });
+    CacheManager.flush("players");
+    assert.deepEqual(stored("players"), { [id]: { name: "a", level: 3 } });
+    assert.deepEqual(CacheManager.getElementById("players", id), { name: "a", level: 3 });
+});
+
+test("policies and checks follow dotted paths", () => {
+    Relation.bind("players", "guild.uuid", "guilds", "uuid", "guildData", { onDelete: "set-null", checkOnSave: true });
+    ScoreboardStorage.save("guilds", { uuid: "g1" });
+    ScoreboardStorage.save("players", { name: "a", guild: { uuid: "g1", rank: 2 } });
+
+    assert.throws(() => ScoreboardStorage.save("players", { guild: { uuid: "g2" } }), /references a missing 'guilds' record/);
+    ScoreboardStorage.deleteById("guilds", 1);
+    assert.deepEqual(stored("players"), { 1: { name: "a", guild: { uuid: null, rank: 2 } } });
+});
+
+test("references never match a key by substring", () => {
+    Relation.bind("players", "guildId", "guilds", "uuid", "guild", { onDelete: "cascade" });
+    ScoreboardStorage.save("guilds", { uuid: "g1" });
+    ScoreboardStorage.save("players", { name: "a", guildId: "g10" });
+
+    ScoreboardStorage.deleteById("guilds", 1);
+    assert.deepEqual(stored("players"), { 1: { name: "a", guildId: "g10" } });
+});
+
+test("a cached objective looks the references up through its index", () => {
+    Relation.bind("players", "guildId", "guilds", "uuid", "guild", { onDelete: "restrict" });
+    ScoreboardStorage.save("guilds", { uuid: "g1" });
+    ScoreboardStorage.save("guilds", { uuid: "g2" });
+    for (const guildId of ["g1", "g2", "g2", "g2"]) ScoreboardStorage.save("players", { guildId });
+    CacheManager.defineIndex("players", "guildId");
+    CacheManager.getAll("players");
+    CacheManager.resetStats("players");
+
+    assert.throws(() => ScoreboardStorage.deleteById("guilds", 1), /1 record\(s\) of 'players'/);
+    assert.equal(CacheManager.getStats("players").hits, 1);
+});
+
+test("direct writes update the RAM copy instead of dropping it", () => {
+    CacheManager.getAll("players");
+    const id = ScoreboardStorage.save("players", { name: "a", level: 1 });
+    ScoreboardStorage.updateById("players", id, { name: "a", level: 2 });
+    ScoreboardStorage.save("players", { name: "b", level: 1 });
+    ScoreboardStorage.delete("players", { name: "b" });
+
+    assert.equal(CacheManager._ids.has("players"), true);
+    assert.deepEqual(CacheManager.getAll("players"), [{ id, data: { name: "a", level: 2 } }]);
+    assert.equal(CacheManager.getStats("players").misses, 0);
+
+    ScoreboardStorage.clear("players");
+    assert.deepEqual(CacheManager.getAll("players"), []);
+});
+
+test("a hook writing the objective directly does not break a cached write", () => {
+    CacheManager.save("log", { n: 0 });
+    Hooks.on("log", "beforeSave", () => ScoreboardStorage.updateById("log", 1, { n: 1 }));
+
+    const id = CacheManager.save("log", { n: 5 });
+    assert.deepEqual(stored("log"), { 1: { n: 1 }, [id]: { n: 5 } });
+    assert.deepEqual(CacheManager.getAll("log"), [{ id: 1, data: { n: 1 } }, { id, data: { n: 5 } }]);
+});
+
+test("a hook dropping the RAM copy does not break a cached write", () => {
+    CacheManager.save("log", { n: 0 });
+    for (const event of ["beforeSave", "beforeUpdate", "beforeDelete"]) {
+        Hooks.on("log", event, () => CacheManager.invalidate("log"));
+    }
+
+    const id = CacheManager.save("log", { n: 5 });
+    assert.equal(CacheManager.updateById("log", id, { n: 6 }), true);
+    assert.equal(CacheManager.deleteById("log", 1), true);
+    assert.deepEqual(stored("log"), { [id]: { n: 6 } });
+    assert.deepEqual(CacheManager.getAll("log"), [{ id, data: { n: 6 } }]);
+});
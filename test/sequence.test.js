@@ -0,0 +1,64 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { ScoreboardStorage } from "../@ScoreboardDB-1-0-0/ScoreboardStorage.js";
+import { resetDatabase } from "./support/database.js";
+
+let backend;
+beforeEach(() => ({ backend } = resetDatabase()));
+
+const sequence = objectiveName => backend.getScore(objectiveName, ScoreboardStorage.SEQUENCE_PARTICIPANT);
+
+test("IDs come from the persisted sequence and are never reused", () => {
+    assert.equal(ScoreboardStorage.save("players", { name: "a" }), 1);
+    assert.equal(ScoreboardStorage.save("players", { name: "b" }), 2);
+    assert.equal(sequence("players"), 2);
+
+    ScoreboardStorage.deleteById("players", 2);
+    assert.equal(ScoreboardStorage.save("players", { name: "c" }), 3);
+});
+
+test("an objective without a sequence continues after its highest ID", () => {
+    ScoreboardStorage.save("players", { name: "a" });
+    ScoreboardStorage.save("players", { name: "b" });
+    backend.removeParticipant("players", ScoreboardStorage.SEQUENCE_PARTICIPANT);
+
+    assert.equal(ScoreboardStorage.save("players", { name: "c" }), 3);
+});
+
+test("repairSequence() catches up with the records, and never moves back", () => {
+    for (const name of ["a", "b", "c"]) ScoreboardStorage.save("players", { name });
+
+    backend.setScore("players", ScoreboardStorage.SEQUENCE_PARTICIPANT, 1);
+    assert.equal(ScoreboardStorage.repairSequence("players"), 3);
+    assert.equal(sequence("players"), 3);
+
+    ScoreboardStorage.deleteById("players", 3);
+    assert.equal(ScoreboardStorage.repairSequence("players"), 3);
+    assert.equal(ScoreboardStorage.repairSequence("missing"), 0);
+});
+
+test("repairSequence() is journaled by transactions, which keep the sequence", () => {
+    ScoreboardStorage.save("players", { name: "a" });
+    ScoreboardStorage.save("players", { name: "b" });
+    backend.setScore("players", ScoreboardStorage.SEQUENCE_PARTICIPANT, 0);
+
+    assert.throws(() => ScoreboardStorage.transaction(() => {
+        ScoreboardStorage.repairSequence("players");
+        assert.ok(ScoreboardStorage._transaction.journal.has("players"));
+        ScoreboardStorage.deleteById("players", 2);
+        throw new Error("boom");
+    }), /boom/);
+
+    // The records are restored, the sequence only moves forward
+    assert.deepEqual(ScoreboardStorage.getElements("players").map(r => r.id).sort(), [1, 2]);
+    assert.equal(sequence("players"), 2);
+});
+
+test("an exhausted sequence throws a RangeError", () => {
+    backend.createObjective("players");
+    backend.setScore("players", ScoreboardStorage.SEQUENCE_PARTICIPANT, ScoreboardStorage.MAX_ID);
+
+    assert.throws(() => ScoreboardStorage.save("players", { name: "a" }), RangeError);
+    assert.equal(ScoreboardStorage.getElements("players").length, 0);
+});
@@ -0,0 +1,43 @@
+import { ScoreboardStorage } from "../../@ScoreboardDB-1-0-0/ScoreboardStorage.js";
+import { CacheManager } from "../../@ScoreboardDB-1-0-0/CacheManager.js";
+import { MemoryBackend } from "../../@ScoreboardDB-1-0-0/MemoryBackend.js";
+import { Hooks } from "../../@ScoreboardDB-1-0-0/Hooks.js";
+import { Relation } from "../../@ScoreboardDB-1-0-0/Relation.js";
+import { TestScheduler } from "./scheduler.js";
+
+/**
+ * Put the library back in its initial state, on a fresh MemoryBackend and TestScheduler.
+ * @param {object} [backendOptions] - Options of the MemoryBackend.
+ * @returns {{backend: MemoryBackend, scheduler: TestScheduler}}
+ */
+export function resetDatabase(backendOptions) {
+    Relation.reset();
+    Hooks.clear();
+    CacheManager.reset();
+    ScoreboardStorage.reset();
+
+    const backend = new MemoryBackend(backendOptions);
+    const scheduler = new TestScheduler();
+    ScoreboardStorage.useBackend(backend);
+    ScoreboardStorage.useScheduler(scheduler);
+    return { backend, scheduler };
+}
+
+/**
+ * The participants of an objective, as stored by the backend.
+ * @param {MemoryBackend} backend
+ * @param {string} objectiveName
+ * @returns {Object<string, number>}
+ */
+export function participants(backend, objectiveName) {
+    return Object.fromEntries(backend.getParticipants(objectiveName).map(({ name, score }) => [name, score]));
+}
+
+/**
+ * The records of an objective read back from the backend, as { id: data }.
+ * @param {string} objectiveName
+ * @returns {Object<number, any>}
+ */
+export function stored(objectiveName) {
+    return Object.fromEntries(ScoreboardStorage.getElements(objectiveName).map(({ id, data }) => [id, data]));
+}
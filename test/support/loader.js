@@ -0,0 +1,9 @@
+/**
+ * Module resolution hook: outside of the game, "@minecraft/server" is not a real package.
+ */
+export async function resolve(specifier, context, nextResolve) {
+    if (specifier === "@minecraft/server") {
+        return { url: new URL("./minecraft-server.js", import.meta.url).href, shortCircuit: true };
+    }
+    return nextResolve(specifier, context);
+}
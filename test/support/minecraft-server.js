@@ -0,0 +1,68 @@
+import { TestScheduler } from "./scheduler.js";
+
+/**
+ * Minimal stand-in for the parts of "@minecraft/server" used by the library:
+ * the world scoreboard, the world dynamic properties and the system scheduler.
+ */
+
+const participantName = (participant) => typeof participant === "string" ? participant : participant.displayName;
+
+class ScoreboardObjective {
+    constructor(id) {
+        this.id = id;
+        this.scores = new Map();
+    }
+
+    getParticipants() {
+        return [...this.scores.keys()].map(displayName => ({ displayName }));
+    }
+
+    hasParticipant(participant) {
+        return this.scores.has(participantName(participant));
+    }
+
+    getScore(participant) {
+        return this.scores.get(participantName(participant));
+    }
+
+    setScore(participant, score) {
+        this.scores.set(participantName(participant), score);
+    }
+
+    removeParticipant(participant) {
+        return this.scores.delete(participantName(participant));
+    }
+}
+
+const objectives = new Map();
+const dynamicProperties = new Map();
+
+export const world = {
+    scoreboard: {
+        getObjective: (id) => objectives.get(id),
+        addObjective: (id) => {
+            const objective = new ScoreboardObjective(id);
+            objectives.set(id, objective);
+            return objective;
+        },
+        removeObjective: (objective) => objectives.delete(typeof objective === "string" ? objective : objective.id),
+        getObjectives: () => [...objectives.values()]
+    },
+
+    getDynamicProperty: (key) => dynamicProperties.get(key),
+    setDynamicProperty: (key, value) => {
+        if (value === undefined) dynamicProperties.delete(key);
+        else dynamicProperties.set(key, value);
+    },
+    getDynamicPropertyIds: () => [...dynamicProperties.keys()],
+
+    /**
+     * Remove every objective and dynamic property (between tests).
+     */
+    reset() {
+        objectives.clear();
+        dynamicProperties.clear();
+    }
+};
+
+export const system = new TestScheduler();
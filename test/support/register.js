@@ -0,0 +1,4 @@
+import { register } from "node:module";
+
+// Resolve "@minecraft/server" to the stand-in of ./minecraft-server.js
+register("./loader.js", import.meta.url);
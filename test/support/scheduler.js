@@ -0,0 +1,67 @@
+/**
+ * A tick scheduler driven by the tests (same surface as `system` from @minecraft/server).
+ * Nothing runs until tick() is called.
+ */
+export class TestScheduler {
+    constructor() {
+        this.currentTick = 0;
+        this.nextId = 1;
+        this.intervals = new Map();
+        this.jobs = new Map();
+    }
+
+    runInterval(callback, ticks = 1) {
+        const id = this.nextId++;
+        this.intervals.set(id, { callback, ticks, next: this.currentTick + ticks });
+        return id;
+    }
+
+    clearRun(id) {
+        this.intervals.delete(id);
+    }
+
+    runJob(generator) {
+        const id = this.nextId++;
+        this.jobs.set(id, generator);
+        return id;
+    }
+
+    clearJob(id) {
+        this.jobs.delete(id);
+    }
+
+    /**
+     * Advance the game: intervals due run, then every job runs one step per tick.
+     * @param {number} [count=1]
+     */
+    tick(count = 1) {
+        for (let i = 0; i < count; i++) {
+            this.currentTick++;
+            for (const interval of [...this.intervals.values()]) {
+                if (interval.next > this.currentTick) continue;
+                interval.next = this.currentTick + interval.ticks;
+                interval.callback();
+            }
+            for (const [id, job] of [...this.jobs]) {
+                if (job.next().done) this.jobs.delete(id);
+            }
+        }
+    }
+
+    /**
+     * Tick until a promise settles (the microtasks of each step run between two ticks).
+     * @param {Promise<any>} promise
+     * @param {number} [maxTicks=1000]
+     * @returns {Promise<any>} The settled promise.
+     */
+    async settle(promise, maxTicks = 1000) {
+        let settled = false;
+        promise.then(() => { settled = true; }, () => { settled = true; });
+
+        for (let i = 0; i < maxTicks && !settled; i++) {
+            this.tick();
+            await new Promise(resolve => setImmediate(resolve));
+        }
+        return promise;
+    }
+}
@@ -0,0 +1,94 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { ScoreboardStorage } from "../@ScoreboardDB-1-0-0/ScoreboardStorage.js";
+import { CacheManager } from "../@ScoreboardDB-1-0-0/CacheManager.js";
+import { resetDatabase, stored } from "./support/database.js";
+
+beforeEach(() => resetDatabase());
+
+/**
+ * Move coins between two accounts, failing halfway when asked to.
+ * @param {typeof ScoreboardStorage|typeof CacheManager} store
+ * @param {boolean} fail
+ * @returns {string} "done"
+ */
+function transfer(store, fail) {
+    return ScoreboardStorage.transaction(() => {
+        store.updateById("bank", 1, { owner: "a", coins: 0 });
+        if (fail) throw new Error("boom");
+        store.updateById("bank", 2, { owner: "b", coins: 20 });
+        return "done";
+    });
+}
+
+test("a committed transaction keeps every write and returns the callback result", () => {
+    ScoreboardStorage.save("bank", { owner: "a", coins: 10 });
+    ScoreboardStorage.save("bank", { owner: "b", coins: 10 });
+
+    assert.equal(transfer(ScoreboardStorage, false), "done");
+    assert.deepEqual(stored("bank"), { 1: { owner: "a", coins: 0 }, 2: { owner: "b", coins: 20 } });
+});
+
+test("a failed transaction restores every objective it touched", () => {
+    ScoreboardStorage.save("bank", { owner: "a", coins: 10 });
+    ScoreboardStorage.save("bank", { owner: "b", coins: 10 });
+    ScoreboardStorage.save("log", { entry: 1 });
+    const before = { bank: stored("bank"), log: stored("log") };
+
+    assert.throws(() => ScoreboardStorage.transaction(() => {
+        ScoreboardStorage.updateById("bank", 1, { owner: "a", coins: 0 });
+        ScoreboardStorage.deleteById("bank", 2);
+        ScoreboardStorage.save("log", { entry: 2 });
+        ScoreboardStorage.clear("log");
+        ScoreboardStorage.save("audit", { entry: 1 });
+        throw new Error("boom");
+    }), /boom/);
+
+    assert.deepEqual({ bank: stored("bank"), log: stored("log") }, before);
+    assert.deepEqual(stored("audit"), {});
+
+    // IDs handed out by the failed writes are not reused
+    assert.equal(ScoreboardStorage.save("log", { entry: 3 }), 3);
+});
+
+test("nested transactions join the outer one", () => {
+    ScoreboardStorage.save("bank", { owner: "a", coins: 10 });
+
+    assert.throws(() => ScoreboardStorage.transaction(() => {
+        ScoreboardStorage.transaction(() => ScoreboardStorage.updateById("bank", 1, { owner: "a", coins: 5 }));
+        throw new Error("boom");
+    }), /boom/);
+    assert.deepEqual(stored("bank"), { 1: { owner: "a", coins: 10 } });
+});
+
+test("CacheManager writes are rolled back in storage and in RAM", () => {
+    CacheManager.defineIndex("bank", "owner");
+    CacheManager.save("bank", { owner: "a", coins: 10 });
+    CacheManager.save("bank", { owner: "b", coins: 10 });
+
+    assert.throws(() => transfer(CacheManager, true), /boom/);
+    assert.deepEqual(stored("bank"), { 1: { owner: "a", coins: 10 }, 2: { owner: "b", coins: 10 } });
+    assert.deepEqual(CacheManager.getElementById("bank", 1), { owner: "a", coins: 10 });
+    assert.deepEqual(CacheManager.findBy("bank", "owner", "a").map(record => record.id), [1]);
+
+    assert.equal(transfer(CacheManager, false), "done");
+    assert.deepEqual(CacheManager.getElementById("bank", 2), { owner: "b", coins: 20 });
+});
+
+test("a failing write inside the callback rolls back the writes before it", () => {
+    ScoreboardStorage.save("bank", { owner: "a", coins: 10 });
+    const failing = { toJSON() { throw new RangeError("too big"); } };
+
+    assert.throws(() => ScoreboardStorage.transaction(() => {
+        ScoreboardStorage.updateById("bank", 1, { owner: "a", coins: 0 });
+        ScoreboardStorage.save("bank", failing);
+    }), RangeError);
+    assert.deepEqual(stored("bank"), { 1: { owner: "a", coins: 10 } });
+});
+
+test("transaction() rejects invalid and asynchronous callbacks", () => {
+    assert.throws(() => ScoreboardStorage.transaction(null), TypeError);
+    assert.throws(() => ScoreboardStorage.transaction(async () => {}), /must be synchronous/);
+    assert.equal(ScoreboardStorage._transaction, null);
+});
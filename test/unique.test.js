@@ -0,0 +1,65 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { ScoreboardStorage, UniqueConstraintError } from "../@ScoreboardDB-1-0-0/ScoreboardStorage.js";
+import { CacheManager } from "../@ScoreboardDB-1-0-0/CacheManager.js";
+import { DataSchema } from "../@ScoreboardDB-1-0-0/DataSchema.js";
+import { resetDatabase, stored } from "./support/database.js";
+
+beforeEach(() => {
+    resetDatabase();
+    const schemas = new DataSchema("schemas");
+    schemas.define("player", {
+        uuid: { type: "string", unique: true },
+        name: { type: "string" },
+        guild: { type: "string", required: false }
+    }, { unique: [["name", "guild"]] });
+    schemas.attach("players", "player");
+});
+
+test("ScoreboardStorage rejects duplicated unique values", () => {
+    ScoreboardStorage.save("players", { uuid: "a", name: "Steve", guild: "red" });
+    const id = ScoreboardStorage.save("players", { uuid: "b", name: "Alex", guild: "red" });
+
+    assert.throws(() => ScoreboardStorage.save("players", { uuid: "a", name: "Bob" }), (error) => {
+        assert.ok(error instanceof UniqueConstraintError);
+        assert.deepEqual(error.fields, ["uuid"]);
+        assert.deepEqual(error.values, ["a"]);
+        assert.equal(error.conflictingId, 1);
+        return true;
+    });
+    assert.throws(() => ScoreboardStorage.updateById("players", id, { uuid: "b", name: "Steve", guild: "red" }), /\(name, guild\)/);
+
+    // A record may keep its own values, and combinations only clash when complete
+    assert.equal(ScoreboardStorage.updateById("players", id, { uuid: "b", name: "Alex", guild: "blue" }), true);
+    assert.equal(typeof ScoreboardStorage.save("players", { uuid: "c", name: "Steve", guild: "blue" }), "number");
+});
+
+test("CacheManager rejects duplicated unique values", () => {
+    CacheManager.save("players", { uuid: "a", name: "Steve" });
+    CacheManager.save("players", { uuid: "b", name: "Alex" });
+
+    assert.throws(() => CacheManager.save("players", { uuid: "a", name: "Bob" }), UniqueConstraintError);
+    assert.throws(() => CacheManager.update("players", () => true, data => ({ ...data, uuid: "z" })), UniqueConstraintError);
+    assert.deepEqual(stored("players"), { 1: { uuid: "a", name: "Steve" }, 2: { uuid: "b", name: "Alex" } });
+});
+
+test("CacheManager sees the unique values written with ScoreboardStorage", () => {
+    CacheManager.save("players", { uuid: "a", name: "Steve" });
+    ScoreboardStorage.updateById("players", 1, { uuid: "c", name: "Steve" });
+
+    assert.throws(() => CacheManager.save("players", { uuid: "c", name: "Alex" }), UniqueConstraintError);
+    assert.equal(CacheManager.save("players", { uuid: "a", name: "Alex" }), 2);
+    assert.deepEqual(stored("players"), { 1: { uuid: "c", name: "Steve" }, 2: { uuid: "a", name: "Alex" } });
+});
+
+test("a batch update can swap unique values", () => {
+    CacheManager.defineIndex("players", "name", { unique: true });
+    CacheManager.save("players", { uuid: "a", name: "Steve" });
+    CacheManager.save("players", { uuid: "b", name: "Alex" });
+
+    const swap = data => ({ uuid: data.uuid === "a" ? "b" : "a", name: data.name === "Steve" ? "Alex" : "Steve" });
+    assert.equal(CacheManager.update("players", () => true, swap), 2);
+    assert.deepEqual(stored("players"), { 1: { uuid: "b", name: "Alex" }, 2: { uuid: "a", name: "Steve" } });
+    assert.deepEqual(CacheManager.findBy("players", "name", "Steve").map(record => record.id), [2]);
+});
@@ -0,0 +1,78 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { ScoreboardStorage } from "../@ScoreboardDB-1-0-0/ScoreboardStorage.js";
+import { CacheManager } from "../@ScoreboardDB-1-0-0/CacheManager.js";
+import { DataSchema, SchemaValidationError } from "../@ScoreboardDB-1-0-0/DataSchema.js";
+import { resetDatabase, stored } from "./support/database.js";
+
+let schemas;
+beforeEach(() => {
+    resetDatabase();
+    schemas = new DataSchema("schemas");
+    schemas.define("player", {
+        name: { type: "string", required: true, min: 3, max: 16, pattern: /^[A-Za-z]+$/ },
+        level: { type: "number", default: 1, min: 1, max: 100 },
+        rank: { type: "string", enum: ["member", "officer"] },
+        tags: { type: "array", max: 2 },
+        online: { type: "boolean" },
+        home: { type: "vector3" },
+        stats: { type: "object", schema: { kills: { type: "number", required: true, min: 0, default: 0 } } },
+        joinedAt: () => 42,
+        coins: 100
+    });
+});
+
+const rules = result => result.errors.map(({ field, rule }) => `${field}:${rule}`);
+
+test("validate() accepts matching data", () => {
+    const valid = { name: "Steve", level: 5, rank: "member", tags: ["a"], online: true, home: { x: 0, y: 64, z: 0 }, stats: { kills: 0 } };
+    assert.deepEqual(schemas.validate("player", valid), { valid: true, errors: [] });
+    assert.equal(schemas.validate("player", { name: "Alex" }).valid, true); // Optional fields may be missing
+});
+
+test("validate() lists every offending field", () => {
+    const result = schemas.validate("player", {
+        level: "5",
+        rank: "owner",
+        tags: ["a", "b", "c"],
+        online: "yes",
+        home: { x: 0, y: "64", z: 0 },
+        stats: { kills: -1 }
+    });
+
+    assert.equal(result.valid, false);
+    assert.deepEqual(rules(result), ["name:required", "level:type", "rank:enum", "tags:max", "online:type", "home:type", "stats.kills:min"]);
+    assert.ok(result.errors.every(error => error.message.startsWith(`'${error.field}'`)));
+
+    assert.deepEqual(rules(schemas.validate("player", { name: "St" })), ["name:min"]);
+    assert.deepEqual(rules(schemas.validate("player", { name: "Steve42" })), ["name:pattern"]);
+    assert.deepEqual(rules(schemas.validate("player", { name: "Steve", level: 101 })), ["level:max"]);
+    assert.deepEqual(rules(schemas.validate("player", { name: "Steve", stats: {} })), ["stats.kills:required"]);
+    assert.deepEqual(rules(schemas.validate("player", "Steve")), [":type"]);
+});
+
+test("resolve() fills defaults and generators, assertValid() throws a SchemaValidationError", () => {
+    assert.deepEqual(schemas.resolve("player", { name: "Steve" }), { name: "Steve", level: 1, stats: { kills: 0 }, joinedAt: 42, coins: 100 });
+
+    assert.throws(() => schemas.assertValid("player", { name: 3 }), (error) => {
+        assert.ok(error instanceof SchemaValidationError);
+        assert.equal(error.schemaName, "player");
+        assert.deepEqual(error.errors.map(e => e.rule), ["type"]);
+        return true;
+    });
+});
+
+test("attached schemas validate every write, through both APIs", () => {
+    schemas.attach("players", "player");
+
+    assert.equal(ScoreboardStorage.save("players", { name: "Steve" }), 1);
+    assert.throws(() => ScoreboardStorage.save("players", { name: "St" }), SchemaValidationError);
+    assert.throws(() => ScoreboardStorage.updateById("players", 1, { name: "Steve", level: 0 }), SchemaValidationError);
+    assert.throws(() => CacheManager.save("players", { level: 2 }), SchemaValidationError);
+    assert.throws(() => CacheManager.update("players", { name: "Steve" }, { rank: "owner" }), SchemaValidationError);
+    assert.deepEqual(stored("players"), { 1: { name: "Steve" } });
+
+    schemas.detach("players");
+    assert.equal(ScoreboardStorage.save("players", { name: "St" }), 2);
+});
@@ -0,0 +1,82 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { ScoreboardStorage, UniqueConstraintError } from "../@ScoreboardDB-1-0-0/ScoreboardStorage.js";
+import { DataSchema } from "../@ScoreboardDB-1-0-0/DataSchema.js";
+import { resetDatabase, stored } from "./support/database.js";
+
+let schemas;
+beforeEach(() => {
+    resetDatabase();
+    schemas = new DataSchema("schemas");
+});
+
+const v2 = {
+    version: 2,
+    migrations: {
+        2: ({ money, ...data }) => ({ ...data, coins: money })
+    }
+};
+
+test("versioned schemas stamp new records and upgrade old ones on read", () => {
+    ScoreboardStorage.save("players", { name: "a", money: 5 });
+    schemas.define("player", { name: "", coins: 0 }, v2);
+    schemas.attach("players", "player");
+
+    assert.deepEqual(schemas.resolve("player", { name: "b" }), { name: "b", coins: 0, _v: 2 });
+    assert.deepEqual(ScoreboardStorage.getElementById("players", 1), { name: "a", coins: 5, _v: 2 });
+    assert.equal(schemas.getVersion("player"), 2);
+    assert.throws(() => schemas.upgrade("player", { _v: 3 }), /newer than schema 'player'/);
+    assert.throws(() => schemas.define("other", {}, { version: 2 }), /missing the migration to version 2/);
+});
+
+test("migrateAll() rewrites the outdated records in one transaction", () => {
+    ScoreboardStorage.save("players", { name: "a", money: 5 });
+    ScoreboardStorage.save("players", { name: "b", coins: 1, _v: 2 });
+    schemas.define("player", { name: "", coins: 0 }, v2);
+    schemas.attach("players", "player");
+
+    assert.equal(schemas.migrateAll("players"), 1);
+    const raw = Object.fromEntries(ScoreboardStorage._rawRecords("players").map(({ id, data }) => [id, data]));
+    assert.deepEqual(raw, { 1: { name: "a", coins: 5, _v: 2 }, 2: { name: "b", coins: 1, _v: 2 } });
+    assert.equal(schemas.migrateAll("players"), 0);
+    assert.throws(() => schemas.migrateAll("guilds"), /No schema attached/);
+});
+
+test("define() stores the metadata, and refreshes it when the fields or the version change", () => {
+    schemas.define("player", { name: "" });
+    schemas.define("player", { name: "" });
+    const [first] = ScoreboardStorage.getElements("schemas");
+    assert.deepEqual([first.data.fields, first.data.version], [["name"], 1]);
+    assert.equal(ScoreboardStorage.count("schemas"), 1);
+
+    schemas.define("player", { name: "", coins: 0 });
+    assert.deepEqual(stored("schemas")[first.id].fields, ["name", "coins"]);
+
+    schemas.define("player", { name: "", coins: 0 }, v2);
+    assert.equal(stored("schemas")[first.id].version, 2);
+    assert.equal(ScoreboardStorage.count("schemas"), 1);
+});
+
+test("define() updates the objectives already attached to the schema", () => {
+    schemas.define("player", { uuid: { type: "string" } });
+    schemas.attach("players", "player");
+    ScoreboardStorage.save("players", { uuid: "a" });
+
+    schemas.define("player", { uuid: { type: "string", unique: true } });
+    assert.throws(() => ScoreboardStorage.save("players", { uuid: "a" }), UniqueConstraintError);
+});
+
+test("reset() forgets the schemas, their versions and their unique constraints", () => {
+    schemas.define("player", { uuid: { type: "string" } }, { ...v2, unique: ["uuid"] });
+    schemas.attach("players", "player");
+    schemas.reset();
+
+    assert.equal(schemas.schemas.size + schemas.versions.size + schemas.constraints.size + schemas.attached.size, 0);
+    assert.equal(ScoreboardStorage.count("schemas"), 0);
+    assert.throws(() => schemas.resolve("player"), Error);
+
+    // The objective is no longer guarded
+    ScoreboardStorage.save("players", { uuid: "a" });
+    assert.equal(typeof ScoreboardStorage.save("players", { uuid: "a", extra: 1 }), "number");
+});
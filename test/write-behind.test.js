@@ -0,0 +1,101 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { ScoreboardStorage } from "../@ScoreboardDB-1-0-0/ScoreboardStorage.js";
+import { CacheManager } from "../@ScoreboardDB-1-0-0/CacheManager.js";
+import { resetDatabase, stored } from "./support/database.js";
+
+let backend, scheduler, writes;
+beforeEach(() => {
+    ({ backend, scheduler } = resetDatabase());
+
+    // Count the record writes (the ID sequence is not a record)
+    writes = 0;
+    const setScore = backend.setScore.bind(backend);
+    backend.setScore = (objectiveName, participant, score) => {
+        if (participant !== ScoreboardStorage.SEQUENCE_PARTICIPANT) writes++;
+        return setScore(objectiveName, participant, score);
+    };
+});
+
+test("writes are deferred to the next interval, and collapse per record", () => {
+    CacheManager.enableWriteBehind("players", { interval: 5 });
+    const id = CacheManager.save("players", { name: "a", x: 0 });
+    for (let x = 1; x <= 10; x++) CacheManager.updateById("players", id, { name: "a", x });
+
+    assert.deepEqual(CacheManager.getById("players", id), { name: "a", x: 10 });
+    assert.equal(writes, 0);
+
+    scheduler.tick(4);
+    assert.equal(writes, 0);
+    scheduler.tick();
+    assert.equal(writes, 1);
+    assert.deepEqual(stored("players"), { [id]: { name: "a", x: 10 } });
+});
+
+test("IDs are allocated right away, and deletes are deferred too", () => {
+    CacheManager.enableWriteBehind("players");
+    const first = CacheManager.save("players", { name: "a" });
+    const second = CacheManager.save("players", { name: "b" });
+    assert.deepEqual([first, second], [1, 2]);
+
+    assert.equal(CacheManager.flush("players"), 2);
+    assert.equal(CacheManager.deleteById("players", first), true);
+    assert.equal(CacheManager.delete("players", { name: "b" }), 1);
+    assert.equal(Object.keys(stored("players")).length, 2, "direct reads see the last flush");
+    assert.equal(CacheManager.flush(), 2);
+    assert.deepEqual(stored("players"), {});
+});
+
+test("disableWriteBehind() flushes and writes through again", () => {
+    CacheManager.enableWriteBehind("players");
+    CacheManager.save("players", { name: "a" });
+
+    assert.equal(CacheManager.disableWriteBehind("players"), true);
+    assert.equal(CacheManager.disableWriteBehind("players"), false);
+    assert.equal(writes, 1);
+    assert.equal(scheduler.intervals.size, 0);
+
+    CacheManager.save("players", { name: "b" });
+    assert.equal(writes, 2);
+});
+
+test("clear() discards the pending writes", () => {
+    CacheManager.enableWriteBehind("players");
+    CacheManager.save("players", { name: "a" });
+    CacheManager.clear("players");
+
+    scheduler.tick(20);
+    assert.equal(writes, 0);
+    assert.deepEqual(stored("players"), {});
+});
+
+test("CacheManager.reset() drops the RAM copies, the pending writes and their interval", () => {
+    CacheManager.enableWriteBehind("players");
+    CacheManager.save("players", { name: "a" });
+    CacheManager.reset();
+
+    assert.equal(CacheManager._ids.has("players"), false);
+    assert.equal(scheduler.intervals.size, 0);
+    scheduler.tick(40);
+    assert.equal(writes, 0);
+    assert.deepEqual(CacheManager.getAll("players"), []);
+});
+
+test("a transaction flushes the pending writes, and its rollback keeps them", () => {
+    CacheManager.enableWriteBehind("players");
+    const id = CacheManager.save("players", { name: "a", level: 1 });
+
+    assert.throws(() => ScoreboardStorage.transaction(() => {
+        CacheManager.updateById("players", id, { name: "a", level: 2 });
+        throw new Error("boom");
+    }), /boom/);
+
+    assert.deepEqual(stored("players"), { [id]: { name: "a", level: 1 } });
+    assert.deepEqual(CacheManager.getById("players", id), { name: "a", level: 1 });
+});
+
+test("invalid intervals throw", () => {
+    assert.throws(() => CacheManager.enableWriteBehind("players", { interval: 0 }), /positive integer/);
+    assert.throws(() => CacheManager.enableWriteBehind("players", { interval: 1.5 }), /positive integer/);
+});